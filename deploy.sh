@@ -8,6 +8,16 @@ SERVICE_NAME="oncall-bot-service"
 IMAGE_NAME="oncall-bot-image"
 AR_REPO_NAME="oncall-bot-repo"
 RUN_SA_EMAIL="oncall-bot-runner@${PROJECT_ID}.iam.gserviceaccount.com"
+# Bucket for the bot's state: incidents, answer feedback and answers waiting to be
+# shared (the run SA needs object read/write on it)
+STATE_BUCKET="YOUR_STATE_BUCKET"
+# Bucket holding the ingestion manifest and the chunk store, read by /oncall status
+# and the retriever (same as the ingestion function's)
+MANIFEST_BUCKET="YOUR_MANIFEST_BUCKET"
+# Channel config (per-channel namespaces, ticketing channel and personality);
+# leave the bucket empty to use the global settings for every channel
+CHANNEL_CONFIG_BUCKET=""
+CHANNEL_CONFIG_OBJECT="channels.json"
 
 # Build Image using Cloud Build and push to Artifact Registry
 echo "Building and pushing Docker image to Artifact Registry..."
@@ -23,7 +33,7 @@ gcloud run deploy "${SERVICE_NAME}" \
     --allow-unauthenticated \
     --port=8080 \
     --set-secrets=SLACK_BOT_TOKEN=SLACK_BOT_TOKEN:latest,SLACK_SIGNING_SECRET=SLACK_SIGNING_SECRET:latest,TICKET_CHANNEL_ID=TICKET_CHANNEL_ID:latest,GCP_PROJECT_ID=GCP_PROJECT_ID:latest,GCP_REGION=GCP_REGION:latest,VERTEX_AI_INDEX_ID=VERTEX_AI_INDEX_ID:latest,VERTEX_AI_INDEX_ENDPOINT_ID=VERTEX_AI_INDEX_ENDPOINT_ID:latest,DRIVE_SERVICE_ACCOUNT_KEY=DRIVE_SERVICE_ACCOUNT_KEY:latest,PERSONALITY_USER_ID=PERSONALITY_USER_ID:latest \
-    --set-env-vars=NODE_ENV=production \
+    --set-env-vars=NODE_ENV=production,INCIDENT_STORE_BUCKET=${STATE_BUCKET},FEEDBACK_STORE_BUCKET=${STATE_BUCKET},SHARE_STORE_BUCKET=${STATE_BUCKET},INGESTION_MANIFEST_BUCKET=${MANIFEST_BUCKET},CHUNK_STORE_BUCKET=${MANIFEST_BUCKET},CHANNEL_CONFIG_BUCKET=${CHANNEL_CONFIG_BUCKET},CHANNEL_CONFIG_OBJECT=${CHANNEL_CONFIG_OBJECT} \
     --cpu=1 \
     --memory=1Gi \
     --min-instances=0 \
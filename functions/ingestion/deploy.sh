@@ -9,6 +9,27 @@ INGESTION_SA_EMAIL="oncall-runbook-ingester@${PROJECT_ID}.iam.gserviceaccount.co
 SCHEDULER_JOB_NAME="trigger-runbook-ingestion-func"
 SCHEDULE="0 3 * * *" # 3 AM Daily (UTC)
 TIMEZONE="Etc/UTC"
+# Bucket holding the ingestion manifest (enables incremental runs and stale vector removal)
+# and the chunk store (chunk text and metadata read by the bot's retriever)
+MANIFEST_BUCKET="YOUR_MANIFEST_BUCKET"
+# Channel config, so chunks are tagged with their knowledge namespaces; use the
+# same values as the bot's deploy.sh (leave the bucket empty without namespaces)
+CHANNEL_CONFIG_BUCKET=""
+CHANNEL_CONFIG_OBJECT="channels.json"
+
+# The function shares src/ingestion with scripts/ingest.js, so deploy from a
+# staging directory laid out like the repo (package.json's main points at
+# functions/ingestion/index.js).
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+REPO_ROOT="$(cd "${SCRIPT_DIR}/../.." && pwd)"
+STAGING_DIR="$(mktemp -d)"
+trap 'rm -rf "${STAGING_DIR}"' EXIT
+
+echo "Staging function source in ${STAGING_DIR}..."
+mkdir -p "${STAGING_DIR}/functions/ingestion"
+cp "${SCRIPT_DIR}/index.js" "${STAGING_DIR}/functions/ingestion/"
+cp "${SCRIPT_DIR}/package.json" "${STAGING_DIR}/"
+cp -R "${REPO_ROOT}/src" "${STAGING_DIR}/"
 
 # Deploy the Cloud Function
 echo "Deploying Cloud Function..."
@@ -16,7 +37,7 @@ gcloud functions deploy "${FUNCTION_NAME}" \
   --gen2 \
   --runtime nodejs18 \
   --region "${REGION}" \
-  --source . \
+  --source "${STAGING_DIR}" \
   --entry-point runbookIngestionHttp \
   --trigger-http \
   --no-allow-unauthenticated \
@@ -24,7 +45,7 @@ gcloud functions deploy "${FUNCTION_NAME}" \
   --memory=1024Mi \
   --run-service-account "${INGESTION_SA_EMAIL}" \
   --set-secrets=DRIVE_SERVICE_ACCOUNT_KEY=DRIVE_SERVICE_ACCOUNT_KEY:latest,VERTEX_AI_INDEX_ID=VERTEX_AI_INDEX_ID:latest,VERTEX_AI_INDEX_ENDPOINT_ID=VERTEX_AI_INDEX_ENDPOINT_ID:latest,VERTEX_AI_EMBEDDING_MODEL_NAME=VERTEX_AI_EMBEDDING_MODEL_NAME:latest,GOOGLE_DRIVE_FOLDER_ID=GOOGLE_DRIVE_FOLDER_ID:latest \
-  --set-env-vars=NODE_ENV=production,GCP_PROJECT_ID=${PROJECT_ID},GCP_REGION=${REGION}
+  --set-env-vars=NODE_ENV=production,GCP_PROJECT_ID=${PROJECT_ID},GCP_REGION=${REGION},INGESTION_MANIFEST_BUCKET=${MANIFEST_BUCKET},CHUNK_STORE_BUCKET=${MANIFEST_BUCKET},CHANNEL_CONFIG_BUCKET=${CHANNEL_CONFIG_BUCKET},CHANNEL_CONFIG_OBJECT=${CHANNEL_CONFIG_OBJECT}
 
 # Get the function URL
 FUNCTION_URL=$(gcloud functions describe ${FUNCTION_NAME} --region=${REGION} --format='value(serviceConfig.uri)')
@@ -0,0 +1,99 @@
+/**
+ * Exports the answer feedback report: which runbooks are behind 👎 answers
+ * and what users said was wrong.
+ *
+ * Usage: node scripts/feedback-report.js [--since YYYY-MM-DD]
+ *                                        [--format text|csv|json] [--output <file>]
+ *
+ * Only the report goes to stdout, so it can be piped or redirected to a file;
+ * progress messages and warnings (including those logged while loading the
+ * configuration and manifest) go to stderr.
+ */
+const fs = require('fs');
+const { Console } = require('console');
+const { parseArgs } = require('util');
+const { getConfig } = require('../src/config');
+const { createFeedbackStore } = require('../src/feedback/store');
+const {
+  buildFeedbackReport,
+  formatReportCsv,
+  formatReportText,
+} = require('../src/feedback/report');
+const { createManifestStore } = require('../src/ingestion/manifest');
+
+const FORMATTERS = {
+  text: formatReportText,
+  csv: formatReportCsv,
+  json: (report) => `${JSON.stringify(report, null, 2)}\n`,
+};
+
+const USAGE = `Usage: node scripts/feedback-report.js [options]
+
+Options:
+  --since <YYYY-MM-DD>      Only include feedback from this date on
+  --format <text|csv|json>  Output format (default: text; csv lists runbooks only)
+  --output <file>           Write the report to a file instead of stdout
+  -h, --help                Show this help`;
+
+// Keep stdout for the report: everything logged through console goes to stderr
+global.console = new Console({
+  stdout: process.stderr,
+  stderr: process.stderr,
+});
+
+async function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        since: { type: 'string' },
+        format: { type: 'string', default: 'text' },
+        output: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (args.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  const formatter = FORMATTERS[args.format];
+  const since = args.since ? new Date(args.since) : undefined;
+  if (!formatter || (since && Number.isNaN(since.getTime()))) {
+    console.error(`Invalid --format or --since value.\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const config = await getConfig({ profile: 'report' });
+  const feedbackStore = createFeedbackStore(config);
+  console.log(`Reading feedback from ${feedbackStore.location}`);
+  const records = await feedbackStore.list();
+
+  // The manifest maps chunk IDs to runbook names; without it file IDs are shown
+  let manifest;
+  try {
+    manifest = await createManifestStore(config).load(config.ragBackend);
+  } catch (error) {
+    console.warn('Could not load the ingestion manifest:', error.message);
+  }
+
+  const output = formatter(buildFeedbackReport(records, { manifest, since }));
+  if (args.output) {
+    await fs.promises.writeFile(args.output, output);
+    console.log(`Feedback report written to ${args.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Feedback report failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,214 @@
+/**
+ * Channel configuration registry.
+ * Maps Slack channel IDs to the knowledge namespaces their questions search,
+ * the channel their incidents are logged to and the personality answers are
+ * written in. Channels without an entry use `defaults`, which fall back to the
+ * global settings: every runbook, TICKETING_CHANNEL_ID and the built-in style
+ * examples.
+ *
+ * A namespace is a set of folders inside the ingested Drive folder (or
+ * LOCAL_RUNBOOKS_DIR); ingestion tags each chunk with the namespaces of its
+ * folder. The document is read from CHANNEL_CONFIG_PATH, or from
+ * gs://CHANNEL_CONFIG_BUCKET/CHANNEL_CONFIG_OBJECT when the bucket is set:
+ *
+ *   {
+ *     "namespaces": {
+ *       "payments": { "folders": ["payments", "shared/databases"] },
+ *       "search": { "folders": ["search-infra"] }
+ *     },
+ *     "personalities": {
+ *       "formal": { "styleExamples": ["Please restart the consumer first."] }
+ *     },
+ *     "defaults": { "namespaces": [] },
+ *     "channels": {
+ *       "C0PAYMENTS": {
+ *         "namespaces": ["payments"],
+ *         "ticketingChannelId": "C0PAYINCIDENTS",
+ *         "personality": "formal"
+ *       }
+ *     }
+ *   }
+ */
+const { createJsonStore } = require('../storage/jsonStore');
+const { folderAncestors } = require('../rag/filters');
+
+// Settings a channel entry (or the defaults) may set
+const CHANNEL_SETTINGS = ['namespaces', 'ticketingChannelId', 'personality'];
+
+let registryPromise = null;
+
+/**
+ * Checks the references in the document, so a typo fails at startup instead
+ * of silently searching nothing.
+ * @param {object} document - The channel configuration document.
+ * @throws {Error} - On unknown namespaces, personalities or settings.
+ */
+function validateChannelConfig(document) {
+  Object.entries(document.namespaces).forEach(([name, namespace]) => {
+    if (!Array.isArray(namespace.folders) || namespace.folders.length === 0) {
+      throw new Error(
+        `Channel config: namespace "${name}" needs a non-empty "folders" list.`
+      );
+    }
+  });
+  Object.entries(document.personalities).forEach(([name, personality]) => {
+    if (
+      !Array.isArray(personality.styleExamples) ||
+      personality.styleExamples.length === 0
+    ) {
+      throw new Error(
+        `Channel config: personality "${name}" needs a non-empty "styleExamples" list.`
+      );
+    }
+  });
+
+  const entries = [
+    ['defaults', document.defaults],
+    ...Object.entries(document.channels),
+  ];
+  entries.forEach(([channelId, settings]) => {
+    Object.keys(settings).forEach((key) => {
+      if (!CHANNEL_SETTINGS.includes(key)) {
+        throw new Error(
+          `Channel config: unknown setting "${key}" for ${channelId}. Expected one of: ${CHANNEL_SETTINGS.join(', ')}`
+        );
+      }
+    });
+    (settings.namespaces || []).forEach((name) => {
+      if (!document.namespaces[name]) {
+        throw new Error(
+          `Channel config: ${channelId} refers to unknown namespace "${name}".`
+        );
+      }
+    });
+    if (settings.personality && !document.personalities[settings.personality]) {
+      throw new Error(
+        `Channel config: ${channelId} refers to unknown personality "${settings.personality}".`
+      );
+    }
+  });
+}
+
+/**
+ * Creates the registry from a channel configuration document.
+ * @param {object|null} document - The document (see the top of this file); null for none.
+ * @param {object} config - The loaded configuration, for the global defaults.
+ * @returns {{namespaces: string[], forChannel: (channelId: string) => {namespaces: string[], ticketingChannelId: string, personality: {name: string, styleExamples: string[]}|null}, namespacesForFolder: (folderPath: string) => string[]}}
+ */
+function createChannelRegistry(document, config) {
+  const normalized = {
+    namespaces: (document && document.namespaces) || {},
+    personalities: (document && document.personalities) || {},
+    defaults: (document && document.defaults) || {},
+    channels: (document && document.channels) || {},
+  };
+  validateChannelConfig(normalized);
+
+  const defaults = {
+    namespaces: [],
+    ticketingChannelId: config.ticketingChannelId,
+    personality: null,
+    ...normalized.defaults,
+  };
+
+  return {
+    namespaces: Object.keys(normalized.namespaces),
+
+    /**
+     * Settings for a channel, falling back to the defaults for each one it
+     * does not set. An empty namespace list searches every runbook.
+     * @param {string} channelId - Slack channel ID.
+     * @returns {{namespaces: string[], ticketingChannelId: string, personality: {name: string, styleExamples: string[]}|null}}
+     */
+    forChannel(channelId) {
+      const settings = { ...defaults, ...normalized.channels[channelId] };
+      return {
+        namespaces: settings.namespaces,
+        ticketingChannelId: settings.ticketingChannelId,
+        personality: settings.personality
+          ? {
+              name: settings.personality,
+              ...normalized.personalities[settings.personality],
+            }
+          : null,
+      };
+    },
+
+    /**
+     * Namespaces a runbook belongs to, from its folder.
+     * @param {string} folderPath - Folder path inside the ingested folder, e.g. "payments/db".
+     * @returns {string[]}
+     */
+    namespacesForFolder(folderPath) {
+      const ancestors = folderAncestors(folderPath);
+      return Object.entries(normalized.namespaces)
+        .filter(([, namespace]) =>
+          namespace.folders.some((folder) =>
+            ancestors.includes(folder.replace(/^\/+|\/+$/g, ''))
+          )
+        )
+        .map(([name]) => name);
+    },
+  };
+}
+
+/**
+ * Loads the channel registry once per process. Without CHANNEL_CONFIG_PATH or
+ * CHANNEL_CONFIG_BUCKET every channel uses the global settings.
+ * @param {object} config - The loaded configuration.
+ * @returns {Promise<ReturnType<typeof createChannelRegistry>>}
+ */
+function loadChannelRegistry(config) {
+  if (!registryPromise) {
+    registryPromise = (async () => {
+      if (!config.channelConfigBucket && !config.channelConfigPath) {
+        return createChannelRegistry(null, config);
+      }
+      const store = createJsonStore({
+        bucket: config.channelConfigBucket,
+        objectName: config.channelConfigObject,
+        filePath: config.channelConfigPath,
+      });
+      const document = await store.read();
+      if (!document) {
+        console.warn(
+          `Channel config not found at ${store.location}. Every channel uses the defaults.`
+        );
+      }
+      const registry = createChannelRegistry(document, config);
+      console.log(
+        `Channel config loaded from ${store.location}: ${Object.keys((document && document.channels) || {}).length} channels, ${registry.namespaces.length} namespaces.`
+      );
+      return registry;
+    })();
+    // Let a failed load be retried
+    registryPromise.catch(() => {
+      registryPromise = null;
+    });
+  }
+  return registryPromise;
+}
+
+/**
+ * Turns channel settings into answerQuestion options: retrieval scoped to the
+ * channel's namespaces and the channel's personality.
+ * @param {ReturnType<ReturnType<typeof createChannelRegistry>['forChannel']>} settings
+ * @returns {{retrieval: object, styleExamples?: string[]}}
+ */
+function answerOptionsForChannel(settings) {
+  return {
+    retrieval:
+      settings.namespaces.length > 0
+        ? { filter: { namespaces: settings.namespaces } }
+        : {},
+    ...(settings.personality
+      ? { styleExamples: settings.personality.styleExamples }
+      : {}),
+  };
+}
+
+module.exports = {
+  answerOptionsForChannel,
+  createChannelRegistry,
+  loadChannelRegistry,
+};
@@ -23,6 +23,24 @@ const productionSecretNames = [
   'TICKETING_CHANNEL_ID',
 ];
 
+// Secrets needed by the ingestion profile (scripts/ingest.js and the ingestion
+// Cloud Function). SLACK_BOT_TOKEN is added when past Slack threads are ingested.
+const ingestionSecretNames = [
+  'VERTEX_AI_INDEX_ID',
+  'VERTEX_AI_INDEX_ENDPOINT_ID',
+  'VERTEX_AI_EMBEDDING_MODEL_NAME',
+  'GOOGLE_DRIVE_FOLDER_ID',
+  'DRIVE_SERVICE_ACCOUNT_KEY', // Expecting the JSON key content as the secret value
+];
+
+// Secrets per config profile. The report profile (scripts/feedback-report.js)
+// only reads the stores described by the optional settings.
+const profileSecretNames = {
+  bot: productionSecretNames,
+  ingestion: ingestionSecretNames,
+  report: [],
+};
+
 // List of environment variables expected in development (.env file)
 const developmentEnvVars = [
   'SLACK_BOT_TOKEN',
@@ -41,6 +59,93 @@ const developmentEnvVars = [
   // 'DRIVE_SERVICE_ACCOUNT_KEY_PATH',
 ];
 
+// Variables only required when the Vertex AI backends are in use
+const vertexEnvVars = [
+  'GCP_PROJECT_ID',
+  'GCP_REGION',
+  'VERTEX_AI_INDEX_ID',
+  'VERTEX_AI_INDEX_ENDPOINT_ID',
+  'VERTEX_AI_EMBEDDING_MODEL_NAME',
+  'VERTEX_AI_LLM_MODEL_NAME',
+];
+
+// Optional settings read from the environment in every mode, with their defaults.
+// RAG_BACKEND selects 'vertex' (production) or 'local' (offline stand-ins).
+// INGESTION_SOURCE selects 'drive' or 'local' (LOCAL_RUNBOOKS_DIR) for scripts/ingest.js.
+const optionalSettings = {
+  RAG_BACKEND: 'vertex',
+  INGESTION_SOURCE: 'drive',
+  LOCAL_RUNBOOKS_DIR: 'data/runbooks',
+  LOCAL_VECTOR_STORE_PATH: 'data/vector-store.json',
+  DRIVE_MAX_FOLDER_DEPTH: undefined, // Unset = walk all subfolders
+  // ID of the VERTEX_AI_INDEX_ID deployment on the index endpoint. Unset = looked up
+  // on the endpoint; only needed when the index is deployed there more than once.
+  VERTEX_AI_DEPLOYED_INDEX_ID: undefined,
+  // LLM_PROVIDER: 'vertex', 'openai' (any OpenAI-compatible server) or 'fake'.
+  // Defaults to 'fake' with the local backend and 'vertex' otherwise.
+  LLM_PROVIDER: undefined,
+  LLM_TEMPERATURE: undefined, // Overrides the provider's default
+  LLM_MAX_OUTPUT_TOKENS: undefined, // Overrides the provider's default
+  OPENAI_COMPAT_BASE_URL: undefined,
+  OPENAI_COMPAT_MODEL: undefined,
+  OPENAI_COMPAT_API_KEY: undefined,
+  // Hybrid retrieval: chunks whose vector similarity and keyword score (0-1) are
+  // both below RETRIEVAL_MIN_SCORE are dropped before answering
+  RETRIEVAL_MIN_SCORE: undefined, // Default 0.2
+  RETRIEVAL_CANDIDATE_COUNT: undefined, // Default 20 per search before fusion
+  // QUERY_REWRITE: 'true' or 'false'. Rewrites follow-ups into standalone search
+  // queries with the LLM. Defaults to on, except with the fake provider.
+  QUERY_REWRITE: undefined,
+  QUERY_REWRITE_VARIANTS: '0', // Extra phrasings searched and merged with the query
+  // Past support threads: comma-separated channel IDs whose resolved threads are
+  // ingested next to the runbooks (needs SLACK_BOT_TOKEN for ingestion too)
+  SLACK_HISTORY_CHANNEL_IDS: undefined,
+  SLACK_HISTORY_DAYS: '180', // Each run looks at threads started this many days back
+  // Ingestion manifest: a Cloud Storage object when the bucket is set, otherwise a local file
+  INGESTION_MANIFEST_BUCKET: undefined,
+  INGESTION_MANIFEST_OBJECT: 'ingestion-manifest.json',
+  INGESTION_MANIFEST_PATH: 'data/ingestion-manifest.json',
+  // Chunk text and metadata for the Vertex AI backend, written by ingestion and read by
+  // the retriever: a Cloud Storage object when the bucket is set, otherwise a local file
+  CHUNK_STORE_BUCKET: undefined,
+  CHUNK_STORE_OBJECT: 'chunks.json',
+  CHUNK_STORE_PATH: 'data/chunks.json',
+  // Answer feedback store: a Cloud Storage object when the bucket is set, otherwise a local file
+  FEEDBACK_STORE_BUCKET: undefined,
+  FEEDBACK_STORE_OBJECT: 'feedback.json',
+  FEEDBACK_STORE_PATH: 'data/feedback.json',
+  // Incident store: a Cloud Storage object when the bucket is set, otherwise a local file
+  INCIDENT_STORE_BUCKET: undefined,
+  INCIDENT_STORE_OBJECT: 'incidents.json',
+  INCIDENT_STORE_PATH: 'data/incidents.json',
+  // Private /oncall ask answers waiting to be shared: a Cloud Storage object when the
+  // bucket is set, otherwise a local file
+  SHARE_STORE_BUCKET: undefined,
+  SHARE_STORE_OBJECT: 'shares.json',
+  SHARE_STORE_PATH: 'data/shares.json',
+  // Channel config (src/config/channels.js): per-channel knowledge namespaces, ticketing
+  // channel and personality. A Cloud Storage object when the bucket is set, otherwise a
+  // local file; with neither, every channel uses the global settings.
+  CHANNEL_CONFIG_BUCKET: undefined,
+  CHANNEL_CONFIG_OBJECT: 'channels.json',
+  CHANNEL_CONFIG_PATH: undefined,
+  // TICKET_TRACKER: 'none', 'jira' or 'github'. Logged incidents are also filed there.
+  TICKET_TRACKER: 'none',
+  TICKET_TRACKER_BASE_URL: undefined, // Required for Jira; GitHub defaults to api.github.com
+  TICKET_TRACKER_PROJECT: undefined, // Jira project key, or "owner/repo" for GitHub
+  TICKET_TRACKER_TOKEN: undefined,
+  TICKET_TRACKER_EMAIL: undefined, // Jira Cloud: account email for the API token
+  TICKET_TRACKER_ISSUE_TYPE: 'Task', // Jira only
+  TICKET_TRACKER_TIMEOUT_MS: undefined,
+  // Related incidents offered for linking when logging an incident
+  RELATED_INCIDENT_MIN_SCORE: '0.3', // Text similarity (0-1) needed to count as related
+  RELATED_INCIDENT_WINDOW_DAYS: '30', // Only incidents logged this many days back
+  // Follow-ups answered in a thread without a new mention, after the first answer
+  FOLLOW_UP_MAX_TURNS: '5',
+};
+
+const SUPPORTED_RAG_BACKENDS = ['vertex', 'local'];
+
 // Helper function to convert snake_case or UPPER_SNAKE_CASE to camelCase
 function toCamelCase(str) {
   return str
@@ -50,8 +155,8 @@ function toCamelCase(str) {
     );
 }
 
-async function loadConfigInternal() {
-  const loadedConfig = {};
+async function loadConfigInternal(profile) {
+  const loadedConfig = { profile };
 
   if (process.env.NODE_ENV === 'production') {
     console.log(
@@ -80,7 +185,12 @@ async function loadConfigInternal() {
     console.log(`Fetching secrets from Project ID: ${projectId}`);
 
     try {
-      const accessPromises = productionSecretNames.map(async (secretName) => {
+      // Ingesting past Slack threads needs the bot token as well
+      const secretNames =
+        profile === 'ingestion' && process.env.SLACK_HISTORY_CHANNEL_IDS
+          ? [...profileSecretNames[profile], 'SLACK_BOT_TOKEN']
+          : profileSecretNames[profile];
+      const accessPromises = secretNames.map(async (secretName) => {
         const secretVersionName = `projects/${projectId}/secrets/${secretName}/versions/latest`;
         try {
           const [version] = await secretClient.accessSecretVersion({
@@ -139,8 +249,26 @@ async function loadConfigInternal() {
       'TICKETING_CHANNEL_ID',
     ];
 
+    // The local backend runs without GCP, so the Vertex variables become optional.
+    // The Vertex LLM model is only needed when Vertex is the LLM provider.
+    const useLocalBackend = process.env.RAG_BACKEND === 'local';
+    const usesVertexLlm =
+      process.env.LLM_PROVIDER === 'vertex' ||
+      (!process.env.LLM_PROVIDER && !useLocalBackend);
+
+    // Only the bot has strict requirements; the ingestion stages validate
+    // the settings they use themselves
     const missingVars = [];
     requiredDevVars.forEach((varName) => {
+      if (profile !== 'bot') {
+        return;
+      }
+      if (useLocalBackend && vertexEnvVars.includes(varName)) {
+        return;
+      }
+      if (varName === 'VERTEX_AI_LLM_MODEL_NAME' && !usesVertexLlm) {
+        return;
+      }
       if (!process.env[varName]) {
         missingVars.push(varName);
       }
@@ -191,14 +319,46 @@ async function loadConfigInternal() {
     );
   }
 
+  Object.entries(optionalSettings).forEach(([varName, defaultValue]) => {
+    loadedConfig[toCamelCase(varName)] = process.env[varName] || defaultValue;
+  });
+
+  if (!loadedConfig.llmProvider) {
+    loadedConfig.llmProvider =
+      loadedConfig.ragBackend === 'local' ? 'fake' : 'vertex';
+  }
+  if (!loadedConfig.queryRewrite) {
+    // The fake model only echoes runbook context, so it can't rewrite queries
+    loadedConfig.queryRewrite = String(loadedConfig.llmProvider !== 'fake');
+  }
+
+  if (!SUPPORTED_RAG_BACKENDS.includes(loadedConfig.ragBackend)) {
+    throw new Error(
+      `Unsupported RAG_BACKEND "${loadedConfig.ragBackend}". Expected one of: ${SUPPORTED_RAG_BACKENDS.join(', ')}`
+    );
+  }
+
   return loadedConfig;
 }
 
-async function getConfig() {
+/**
+ * Loads the configuration once per process.
+ * @param {object} [options]
+ * @param {string} [options.profile='bot'] - 'bot' for the Slack app, 'ingestion' for
+ *   scripts/ingest.js and the ingestion Cloud Function (no Slack settings required),
+ *   'report' for scripts/feedback-report.js.
+ * @returns {Promise<object>} - The loaded configuration.
+ */
+async function getConfig({ profile = 'bot' } = {}) {
   if (!config) {
     try {
-      console.log('Loading application configuration...');
-      config = await loadConfigInternal();
+      if (!profileSecretNames[profile]) {
+        throw new Error(
+          `Unsupported config profile "${profile}". Expected one of: ${Object.keys(profileSecretNames).join(', ')}`
+        );
+      }
+      console.log(`Loading application configuration (${profile} profile)...`);
+      config = await loadConfigInternal(profile);
       console.log('Configuration loaded successfully.');
       // Optional: Freeze the config object to prevent modifications
       // Object.freeze(config);
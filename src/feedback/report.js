@@ -0,0 +1,176 @@
+/**
+ * Feedback report: aggregates answer feedback per runbook so the runbooks
+ * behind bad answers can be found and fixed.
+ */
+
+const CHUNK_ID_SUFFIX = /_chunk_\d+$/;
+
+/**
+ * Aggregates feedback records.
+ * Chunk IDs are `<fileId>_chunk_<n>`, so each record is attributed to the
+ * runbooks its answer was generated from. The ingestion manifest, when given,
+ * turns file IDs into runbook names.
+ * @param {Array<object>} records - Records from the feedback store.
+ * @param {object} [options]
+ * @param {object} [options.manifest] - Ingestion manifest, for runbook names.
+ * @param {Date} [options.since] - Only include feedback from this date on.
+ * @returns {{totals: object, runbooks: Array<object>, negative: Array<object>}}
+ */
+function buildFeedbackReport(records, { manifest, since } = {}) {
+  const files = (manifest && manifest.files) || {};
+  const included = records.filter(
+    (record) => !since || new Date(record.createdAt) >= since
+  );
+
+  const totals = { total: included.length, up: 0, down: 0, withDetails: 0 };
+  const byRunbook = new Map();
+
+  included.forEach((record) => {
+    totals[record.rating === 'up' ? 'up' : 'down'] += 1;
+    if (record.comment || (record.reasons && record.reasons.length > 0)) {
+      totals.withDetails += 1;
+    }
+
+    const fileIds = new Set(
+      (record.chunkIds || []).map((id) => id.replace(CHUNK_ID_SUFFIX, ''))
+    );
+    fileIds.forEach((fileId) => {
+      let runbook = byRunbook.get(fileId);
+      if (!runbook) {
+        runbook = {
+          source: fileId,
+          name: files[fileId] ? files[fileId].name : fileId,
+          folderPath: files[fileId] ? files[fileId].folderPath || '' : '',
+          up: 0,
+          down: 0,
+          reasons: {},
+        };
+        byRunbook.set(fileId, runbook);
+      }
+      if (record.rating === 'up') {
+        runbook.up += 1;
+      } else {
+        runbook.down += 1;
+        (record.reasons || []).forEach((reason) => {
+          runbook.reasons[reason] = (runbook.reasons[reason] || 0) + 1;
+        });
+      }
+    });
+  });
+
+  // Worst runbooks first: most 👎, then highest share of 👎
+  const runbooks = [...byRunbook.values()]
+    .map((runbook) => ({
+      ...runbook,
+      negativeRate: runbook.down / (runbook.up + runbook.down),
+    }))
+    .sort((a, b) => b.down - a.down || b.negativeRate - a.negativeRate);
+
+  const negative = included
+    .filter((record) => record.rating !== 'up')
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map((record) => ({
+      createdAt: record.createdAt,
+      user: record.user,
+      question: record.question,
+      reasons: record.reasons || [],
+      comment: record.comment,
+      runbooks: [
+        ...new Set(
+          (record.chunkIds || []).map((id) => {
+            const fileId = id.replace(CHUNK_ID_SUFFIX, '');
+            return files[fileId] ? files[fileId].name : fileId;
+          })
+        ),
+      ],
+    }));
+
+  return { totals, runbooks, negative };
+}
+
+/**
+ * Quotes a value for CSV.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats the per-runbook table as CSV.
+ * @param {object} report - Output of buildFeedbackReport.
+ * @returns {string}
+ */
+function formatReportCsv(report) {
+  const rows = [
+    [
+      'runbook',
+      'folder',
+      'source',
+      'helpful',
+      'not_helpful',
+      'negative_rate',
+      'reasons',
+    ],
+    ...report.runbooks.map((runbook) => [
+      runbook.name,
+      runbook.folderPath,
+      runbook.source,
+      runbook.up,
+      runbook.down,
+      runbook.negativeRate.toFixed(2),
+      Object.entries(runbook.reasons)
+        .map(([reason, count]) => `${reason}:${count}`)
+        .join(' '),
+    ]),
+  ];
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Formats the report as readable text.
+ * @param {object} report - Output of buildFeedbackReport.
+ * @returns {string}
+ */
+function formatReportText(report) {
+  const { totals } = report;
+  const lines = [
+    'Answer feedback report',
+    `Total: ${totals.total} (👍 ${totals.up}, 👎 ${totals.down}, ${totals.withDetails} with details)`,
+    '',
+    'Runbooks by negative feedback:',
+  ];
+  if (report.runbooks.length === 0) {
+    lines.push('  (none)');
+  }
+  report.runbooks.forEach((runbook) => {
+    const folder = runbook.folderPath ? ` (${runbook.folderPath})` : '';
+    const reasons = Object.entries(runbook.reasons)
+      .map(([reason, count]) => `${reason} ×${count}`)
+      .join(', ');
+    lines.push(
+      `  ${runbook.name}${folder}: 👎 ${runbook.down} / 👍 ${runbook.up} (${Math.round(runbook.negativeRate * 100)}% negative)${reasons ? ` - ${reasons}` : ''}`
+    );
+  });
+
+  lines.push('', 'Negative feedback, newest first:');
+  if (report.negative.length === 0) {
+    lines.push('  (none)');
+  }
+  report.negative.forEach((entry) => {
+    lines.push(`  ${entry.createdAt} <@${entry.user}>: ${entry.question}`);
+    if (entry.reasons.length > 0 || entry.comment) {
+      lines.push(
+        `    What was wrong: ${[entry.reasons.join(', '), entry.comment].filter(Boolean).join(' - ')}`
+      );
+    }
+    if (entry.runbooks.length > 0) {
+      lines.push(`    Runbooks: ${entry.runbooks.join(', ')}`);
+    }
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { buildFeedbackReport, formatReportCsv, formatReportText };
@@ -0,0 +1,99 @@
+/**
+ * Answer feedback store.
+ * Keeps every 👍/👎 on a bot answer together with the question, the answer
+ * and the chunk IDs it was generated from, so bad answers can be traced back
+ * to the runbooks behind them (see scripts/feedback-report.js).
+ */
+const crypto = require('crypto');
+const { createJsonStore } = require('../storage/jsonStore');
+
+const FEEDBACK_VERSION = 1;
+
+/**
+ * Creates the feedback store: Cloud Storage when FEEDBACK_STORE_BUCKET is set,
+ * otherwise a local file (FEEDBACK_STORE_PATH).
+ * @param {object} config - The loaded configuration.
+ * @returns {{location: string, add: (record: object) => Promise<object>, update: (id: string, details: object) => Promise<boolean>, list: () => Promise<Array<object>>}}
+ */
+function createFeedbackStore(config) {
+  const store = createJsonStore({
+    bucket: config.feedbackStoreBucket,
+    objectName: config.feedbackStoreObject,
+    filePath: config.feedbackStorePath,
+  });
+  const recordsOf = (document) =>
+    document && Array.isArray(document.records) ? document.records : [];
+
+  const readAll = async () => recordsOf(await store.read());
+
+  /**
+   * Changes the records. Other instances may write them at the same time, so
+   * the change can run again on a newer copy and must only touch the records.
+   * @param {(records: Array<object>) => any} change - Mutates the records in place.
+   * @returns {Promise<void>}
+   */
+  const modify = async (change) => {
+    await store.update((current) => {
+      const records = recordsOf(current);
+      change(records);
+      return { version: FEEDBACK_VERSION, records };
+    });
+  };
+
+  return {
+    location: store.location,
+
+    /**
+     * Appends a feedback record.
+     * @param {object} record
+     * @param {string} [record.id] - Record ID; generated when omitted.
+     * @param {'up'|'down'} record.rating - 👍 or 👎.
+     * @param {string} record.user - Slack user ID of the rater.
+     * @param {string} record.channel - Channel of the answer.
+     * @param {string} record.messageTs - Timestamp of the answer message.
+     * @param {string} record.question - The question that was answered.
+     * @param {string} record.answer - The answer text.
+     * @param {string[]} record.chunkIds - IDs of the chunks the answer was generated from.
+     * @returns {Promise<object>} - The stored record.
+     */
+    async add(record) {
+      const stored = {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        reasons: [],
+        comment: null,
+        ...record,
+      };
+      await modify((records) => records.push(stored));
+      return stored;
+    },
+
+    /**
+     * Adds the details from the 👎 modal to a stored record.
+     * @param {string} id - Record ID.
+     * @param {{reasons?: string[], comment?: string|null}} details - What was wrong.
+     * @returns {Promise<boolean>} - Whether the record was found.
+     */
+    async update(id, details) {
+      let found = false;
+      await modify((records) => {
+        const record = records.find((r) => r.id === id);
+        found = Boolean(record);
+        if (record) {
+          Object.assign(record, details, {
+            updatedAt: new Date().toISOString(),
+          });
+        }
+      });
+      return found;
+    },
+
+    /**
+     * Lists all feedback records, oldest first.
+     * @returns {Promise<Array<object>>}
+     */
+    list: readAll,
+  };
+}
+
+module.exports = { createFeedbackStore };
@@ -0,0 +1,93 @@
+/**
+ * Related incident search.
+ * Compares an incident with the ones logged before it by their title,
+ * service, question and summary, so an outage reported from several channels
+ * can be linked to the incident that already exists instead of being logged
+ * again. Uses the local hashing embeddings: no model or network access, and
+ * cheap enough to embed the recent incidents on every search.
+ */
+const { HashEmbeddings } = require('../rag/localEmbeddings');
+const { cosineSimilarity } = require('../rag/localVectorStore');
+const { stripSummaryLabels } = require('./summary');
+
+const DEFAULT_MIN_SCORE = 0.3;
+const DEFAULT_WINDOW_DAYS = 30;
+const DEFAULT_LIMIT = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const embeddings = new HashEmbeddings();
+
+/**
+ * The text an incident is compared by.
+ * @param {object} incident - A stored incident or a submitted incident form.
+ * @returns {string}
+ */
+function incidentText({ title, service, question, summary }) {
+  return [title, service, question, stripSummaryLabels(summary)]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Finds earlier incidents that look like the same problem.
+ * @param {object} incident - The incident being logged (title, service, question, summary).
+ * @param {Array<object>} candidates - Stored incidents to compare with.
+ * @param {object} [options]
+ * @param {number} [options.minScore=0.3] - Minimum cosine similarity.
+ * @param {number} [options.windowDays=30] - Only incidents logged this many days back.
+ * @param {number} [options.limit=3] - Maximum number of matches.
+ * @param {Date} [options.now] - Current time, for the window.
+ * @returns {Array<{incident: object, score: number}>} - Best match first.
+ */
+function findRelatedIncidents(
+  incident,
+  candidates,
+  {
+    minScore = DEFAULT_MIN_SCORE,
+    windowDays = DEFAULT_WINDOW_DAYS,
+    limit = DEFAULT_LIMIT,
+    now = new Date(),
+  } = {}
+) {
+  const text = incidentText(incident);
+  if (!text) {
+    return [];
+  }
+  const query = embeddings.embedText(text);
+  const since = now.getTime() - windowDays * DAY_MS;
+
+  return candidates
+    .filter(
+      (candidate) =>
+        candidate.id !== incident.id &&
+        new Date(candidate.createdAt).getTime() >= since
+    )
+    .map((candidate) => ({
+      incident: candidate,
+      score: cosineSimilarity(
+        query,
+        embeddings.embedText(incidentText(candidate))
+      ),
+    }))
+    .filter(({ score }) => score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Reads the related-incident search options from the configuration.
+ * @param {object} config - The loaded configuration.
+ * @returns {{minScore: number, windowDays: number}}
+ */
+function relatedIncidentOptions(config) {
+  return {
+    minScore: config.relatedIncidentMinScore
+      ? Number(config.relatedIncidentMinScore)
+      : DEFAULT_MIN_SCORE,
+    windowDays: config.relatedIncidentWindowDays
+      ? Number(config.relatedIncidentWindowDays)
+      : DEFAULT_WINDOW_DAYS,
+  };
+}
+
+module.exports = { findRelatedIncidents, relatedIncidentOptions };
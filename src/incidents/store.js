@@ -0,0 +1,163 @@
+/**
+ * Incident store.
+ * Keeps every incident logged from Slack with its status, owner and activity
+ * trail, so the ticketing-channel post can be rebuilt after a restart and
+ * open incidents can be listed (/oncall incidents).
+ */
+const { createJsonStore } = require('../storage/jsonStore');
+
+const INCIDENTS_VERSION = 1;
+
+const INCIDENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+/**
+ * Formats an incident number as its ID, e.g. 42 -> "INC-0042".
+ * @param {number} number
+ * @returns {string}
+ */
+function formatIncidentId(number) {
+  return `INC-${String(number).padStart(4, '0')}`;
+}
+
+/**
+ * Creates the incident store: Cloud Storage when INCIDENT_STORE_BUCKET is set,
+ * otherwise a local file (INCIDENT_STORE_PATH).
+ * @param {object} config - The loaded configuration.
+ * @returns {{location: string, create: (incident: object, user: string) => Promise<object>, update: (id: string, change: (incident: object) => void) => Promise<object|null>, remove: (id: string) => Promise<void>, get: (id: string) => Promise<object|null>, list: (options?: {status?: string[]}) => Promise<Array<object>>}}
+ */
+function createIncidentStore(config) {
+  const store = createJsonStore({
+    bucket: config.incidentStoreBucket,
+    objectName: config.incidentStoreObject,
+    filePath: config.incidentStorePath,
+  });
+  const normalize = (document) => ({
+    version: INCIDENTS_VERSION,
+    nextNumber: (document && document.nextNumber) || 1,
+    incidents:
+      document && Array.isArray(document.incidents) ? document.incidents : [],
+  });
+
+  const readDocument = async () => normalize(await store.read());
+
+  /**
+   * Changes the document. Other instances may write it at the same time, so
+   * the change can run again on a newer copy and must not have side effects.
+   * @param {(document: object) => {document: object, result?: any}} change - Returns the new document and what to return.
+   * @returns {Promise<any>} - The result of the change on the copy that was written.
+   */
+  const modify = async (change) => {
+    let result;
+    await store.update((current) => {
+      const next = change(normalize(current));
+      result = next.result;
+      return next.document;
+    });
+    return result;
+  };
+
+  return {
+    location: store.location,
+
+    /**
+     * Stores a new incident and gives it the next INC-#### ID.
+     * @param {object} incident - The submitted incident form (title, severity, service, impact, assignee, summary, question, answer) and what was collected with it (permalink, files, relatedIncidents, source).
+     * @param {string} user - Slack user ID of who logged it.
+     * @returns {Promise<object>} - The stored incident.
+     */
+    create(incident, user) {
+      return modify((document) => {
+        const now = new Date().toISOString();
+        const stored = {
+          ...incident,
+          id: formatIncidentId(document.nextNumber),
+          status: 'open',
+          loggedBy: user,
+          createdAt: now,
+          updatedAt: now,
+          activity: [
+            { at: now, user, action: 'logged' },
+            ...(incident.assignee
+              ? [{ at: now, user, action: 'assigned', text: incident.assignee }]
+              : []),
+          ],
+        };
+        return {
+          document: {
+            ...document,
+            nextNumber: document.nextNumber + 1,
+            incidents: [...document.incidents, stored],
+          },
+          result: stored,
+        };
+      });
+    },
+
+    /**
+     * Changes a stored incident.
+     * @param {string} id - Incident ID, e.g. "INC-0042".
+     * @param {(incident: object) => void} change - Mutates the copy of the incident it is given.
+     * @returns {Promise<object|null>} - The updated incident, or null if not found.
+     */
+    update(id, change) {
+      return modify((document) => {
+        const incident = document.incidents.find((item) => item.id === id);
+        if (!incident) {
+          return { document, result: null };
+        }
+        const updated = { ...incident, activity: [...incident.activity] };
+        change(updated);
+        updated.updatedAt = new Date().toISOString();
+        return {
+          document: {
+            ...document,
+            incidents: document.incidents.map((item) =>
+              item === incident ? updated : item
+            ),
+          },
+          result: updated,
+        };
+      });
+    },
+
+    /**
+     * Forgets an incident, e.g. when it could not be posted. Its number is not
+     * given out again.
+     * @param {string} id - Incident ID.
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+      await modify((document) => ({
+        document: {
+          ...document,
+          incidents: document.incidents.filter((item) => item.id !== id),
+        },
+      }));
+    },
+
+    /**
+     * Gets an incident by ID.
+     * @param {string} id - Incident ID.
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+      const { incidents } = await readDocument();
+      return incidents.find((item) => item.id === id) || null;
+    },
+
+    /**
+     * Lists incidents, newest first.
+     * @param {object} [options]
+     * @param {string[]} [options.status] - Only these statuses.
+     * @returns {Promise<Array<object>>}
+     */
+    async list({ status } = {}) {
+      const { incidents } = await readDocument();
+      return incidents
+        .filter((item) => !status || status.includes(item.status))
+        .reverse();
+    },
+  };
+}
+
+module.exports = { createIncidentStore, formatIncidentId, INCIDENT_STATUSES };
@@ -0,0 +1,136 @@
+/**
+ * LLM-drafted incident summaries.
+ * Summarizes a support thread into a structured draft (title, symptoms,
+ * suspected cause, steps taken, current status, open questions) that
+ * pre-fills the Log Incident form.
+ */
+const { PromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const { RunnableSequence } = require('@langchain/core/runnables');
+const { getLlmClient } = require('../rag/generator');
+
+const MAX_SUMMARY_TITLE_LENGTH = 150;
+
+// Headings and placeholders written by formatIncidentSummary
+const SUMMARY_LABEL_PATTERN =
+  /^(Symptoms|Suspected cause|Steps taken|Current status|Open questions):/gim;
+const SUMMARY_PLACEHOLDER_PATTERN = /^- None$|\bUnknown\b/gm;
+
+const SUMMARY_PROMPT_TEMPLATE = `You are helping an on-call engineer log an incident from a Slack support thread.
+Summarize the thread below for the incident record. Use only facts stated in the thread; write "Unknown" when the thread does not say.
+
+Reply with a single JSON object and nothing else, using exactly these keys:
+{{
+  "title": "short incident title, under 100 characters",
+  "symptoms": "what users or systems are seeing",
+  "suspectedCause": "the most likely cause discussed, or Unknown",
+  "stepsTaken": ["each troubleshooting step already taken, in order"],
+  "currentStatus": "where things stand at the end of the thread",
+  "openQuestions": ["questions that are still unanswered"]
+}}
+
+Original question: {question}
+
+Bot answer in the thread:
+{answer}
+
+Slack thread (oldest to newest):
+------------------------------------------
+{slack_history}
+------------------------------------------`;
+
+const summaryPrompt = PromptTemplate.fromTemplate(SUMMARY_PROMPT_TEMPLATE);
+
+/**
+ * Parses the LLM reply into a summary, tolerating code fences and text
+ * around the JSON object.
+ * @param {string} reply - Raw LLM output.
+ * @returns {object} - The summary.
+ * @throws {Error} - If the reply has no usable JSON object.
+ */
+function parseSummary(reply) {
+  const start = reply.indexOf('{');
+  const end = reply.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('LLM reply did not contain a JSON object.');
+  }
+  const raw = JSON.parse(reply.slice(start, end + 1));
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const list = (value) =>
+    (Array.isArray(value) ? value : [value]).map(text).filter(Boolean);
+  const summary = {
+    title: text(raw.title).substring(0, MAX_SUMMARY_TITLE_LENGTH),
+    symptoms: text(raw.symptoms),
+    suspectedCause: text(raw.suspectedCause),
+    stepsTaken: list(raw.stepsTaken),
+    currentStatus: text(raw.currentStatus),
+    openQuestions: list(raw.openQuestions),
+  };
+  if (!summary.title && !summary.symptoms) {
+    throw new Error('LLM summary was empty.');
+  }
+  return summary;
+}
+
+/**
+ * Formats a summary as the editable text of the incident form.
+ * @param {object} summary - Output of summarizeIncidentThread.
+ * @returns {string}
+ */
+function formatIncidentSummary(summary) {
+  const bullets = (items) =>
+    items.length > 0 ? items.map((item) => `- ${item}`).join('\n') : '- None';
+  return [
+    `Symptoms: ${summary.symptoms || 'Unknown'}`,
+    `Suspected cause: ${summary.suspectedCause || 'Unknown'}`,
+    `Steps taken:\n${bullets(summary.stepsTaken)}`,
+    `Current status: ${summary.currentStatus || 'Unknown'}`,
+    `Open questions:\n${bullets(summary.openQuestions)}`,
+  ].join('\n');
+}
+
+/**
+ * Strips the headings and placeholders formatIncidentSummary adds, leaving
+ * what the summary actually says (for comparing incidents by their text).
+ * @param {string} text - A summary, possibly edited by hand.
+ * @returns {string}
+ */
+function stripSummaryLabels(text) {
+  return (text || '')
+    .replace(SUMMARY_LABEL_PATTERN, '')
+    .replace(SUMMARY_PLACEHOLDER_PATTERN, '');
+}
+
+/**
+ * Drafts an incident summary from a support thread with the configured LLM.
+ * @param {string} slackHistory - The thread, formatted by getFormattedHistory.
+ * @param {object} [context]
+ * @param {string} [context.question] - The question the bot answered.
+ * @param {string} [context.answer] - The bot's answer.
+ * @returns {Promise<object>} - {title, symptoms, suspectedCause, stepsTaken, currentStatus, openQuestions}
+ * @throws {Error} - If the LLM fails or its reply cannot be parsed, so callers can fall back.
+ */
+async function summarizeIncidentThread(
+  slackHistory,
+  { question = '', answer = '' } = {}
+) {
+  const llm = await getLlmClient();
+  const chain = RunnableSequence.from([
+    summaryPrompt,
+    llm,
+    new StringOutputParser(),
+  ]);
+  console.log('Drafting incident summary from the thread...');
+  const reply = await chain.invoke({
+    question: question || 'Unknown',
+    answer: answer || 'None',
+    slack_history: slackHistory,
+  });
+  return parseSummary(reply);
+}
+
+module.exports = {
+  summarizeIncidentThread,
+  formatIncidentSummary,
+  stripSummaryLabels,
+};
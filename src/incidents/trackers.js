@@ -0,0 +1,193 @@
+/**
+ * Ticket trackers: where logged incidents are filed besides the Slack post.
+ * TICKET_TRACKER picks one of the adapters below, configured with
+ * TICKET_TRACKER_BASE_URL, TICKET_TRACKER_PROJECT and TICKET_TRACKER_TOKEN.
+ * Each adapter talks plain REST through fetch, so it can be pointed at a
+ * local mock server.
+ */
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Formats the ticket description shared by the adapters.
+ * @param {object} incident - A stored incident.
+ * @returns {string}
+ */
+function formatTicketDescription(incident) {
+  const lines = [
+    `Severity: ${incident.severity.toUpperCase()}`,
+    `Affected service: ${incident.service}`,
+    '',
+    'Impact:',
+    incident.impact,
+  ];
+  if (incident.summary) {
+    lines.push('', 'Summary:', incident.summary);
+  }
+  if (incident.question) {
+    lines.push('', 'Original question:', incident.question);
+  }
+  if (incident.answer) {
+    lines.push('', 'Answer from the on-call bot:', incident.answer);
+  }
+  if (incident.files && incident.files.length > 0) {
+    lines.push('', 'Files from the Slack thread:');
+    incident.files.forEach((file) => {
+      lines.push(
+        file.note
+          ? `- ${file.name} (${file.note})`
+          : `- ${file.name}${file.permalink ? `: ${file.permalink}` : ''}`
+      );
+    });
+  }
+  if (incident.relatedIncidents && incident.relatedIncidents.length > 0) {
+    lines.push('', 'Possibly related incidents:');
+    incident.relatedIncidents.forEach((related) => {
+      lines.push(`- ${related.id}: ${related.title}`);
+    });
+  }
+  if (incident.permalink) {
+    lines.push('', `Slack thread: ${incident.permalink}`);
+  }
+  lines.push('', `Logged from Slack as ${incident.id}.`);
+  return lines.join('\n');
+}
+
+/**
+ * Sends a JSON request to a tracker and returns the parsed response.
+ * @param {string} url
+ * @param {object} options
+ * @param {object} options.headers - Request headers (auth).
+ * @param {object} options.body - JSON body.
+ * @param {number} options.timeoutMs - Request timeout.
+ * @returns {Promise<object>}
+ * @throws {Error} - On network errors, timeouts and non-2xx responses.
+ */
+async function postJson(url, { headers, body, timeoutMs }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...headers,
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(
+      `${url} returned ${response.status}: ${text.substring(0, 500)}`
+    );
+  }
+  return response.json();
+}
+
+const TRACKERS = {
+  // Jira REST API v2 (Cloud and Data Center). With TICKET_TRACKER_EMAIL the
+  // token is a Cloud API token (basic auth); without it, a personal access token.
+  jira: {
+    requiredConfig: [
+      'ticketTrackerBaseUrl',
+      'ticketTrackerProject',
+      'ticketTrackerToken',
+    ],
+    create: (config, { baseUrl, timeoutMs }) => ({
+      name: 'jira',
+      label: 'Jira',
+      async createTicket(incident) {
+        const authorization = config.ticketTrackerEmail
+          ? `Basic ${Buffer.from(`${config.ticketTrackerEmail}:${config.ticketTrackerToken}`).toString('base64')}`
+          : `Bearer ${config.ticketTrackerToken}`;
+        const issue = await postJson(`${baseUrl}/rest/api/2/issue`, {
+          headers: { Authorization: authorization },
+          body: {
+            fields: {
+              project: { key: config.ticketTrackerProject },
+              issuetype: { name: config.ticketTrackerIssueType },
+              summary: `[${incident.severity.toUpperCase()}] ${incident.title}`,
+              description: formatTicketDescription(incident),
+              labels: ['oncall-bot', incident.severity],
+            },
+          },
+          timeoutMs,
+        });
+        return { key: issue.key, url: `${baseUrl}/browse/${issue.key}` };
+      },
+    }),
+  },
+  // GitHub Issues REST API. TICKET_TRACKER_PROJECT is "owner/repo".
+  github: {
+    defaultBaseUrl: 'https://api.github.com',
+    requiredConfig: ['ticketTrackerProject', 'ticketTrackerToken'],
+    create: (config, { baseUrl, timeoutMs }) => ({
+      name: 'github',
+      label: 'GitHub',
+      async createTicket(incident) {
+        const issue = await postJson(
+          `${baseUrl}/repos/${config.ticketTrackerProject}/issues`,
+          {
+            headers: {
+              Authorization: `Bearer ${config.ticketTrackerToken}`,
+              Accept: 'application/vnd.github+json',
+            },
+            body: {
+              title: `[${incident.severity.toUpperCase()}] ${incident.title}`,
+              body: formatTicketDescription(incident),
+              labels: ['oncall-bot', incident.severity],
+            },
+            timeoutMs,
+          }
+        );
+        return {
+          key: `${config.ticketTrackerProject}#${issue.number}`,
+          url: issue.html_url,
+        };
+      },
+    }),
+  },
+};
+
+/**
+ * Creates the ticket tracker adapter for TICKET_TRACKER.
+ * @param {object} config - The loaded application configuration.
+ * @returns {{name: string, label: string, createTicket: (incident: object) => Promise<{key: string, url: string}>}|null}
+ *   - The adapter, or null when no tracker is configured.
+ */
+function createTicketTracker(config) {
+  const trackerName = config.ticketTracker;
+  if (!trackerName || trackerName === 'none') {
+    return null;
+  }
+  const tracker = TRACKERS[trackerName];
+  if (!tracker) {
+    throw new Error(
+      `Unsupported TICKET_TRACKER "${trackerName}". Expected one of: none, ${Object.keys(TRACKERS).join(', ')}`
+    );
+  }
+
+  const missingConfig = tracker.requiredConfig.filter((key) => !config[key]);
+  if (missingConfig.length > 0) {
+    throw new Error(
+      `Missing required config for ticket tracker ${trackerName}: ${missingConfig.join(', ')}`
+    );
+  }
+
+  const baseUrl = (
+    config.ticketTrackerBaseUrl || tracker.defaultBaseUrl
+  ).replace(/\/+$/, '');
+  let timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS;
+  if (config.ticketTrackerTimeoutMs) {
+    const configuredTimeoutMs = Number(config.ticketTrackerTimeoutMs);
+    if (Number.isFinite(configuredTimeoutMs) && configuredTimeoutMs > 0) {
+      timeoutMs = configuredTimeoutMs;
+    } else {
+      console.warn(
+        `Ignoring invalid TICKET_TRACKER_TIMEOUT_MS "${config.ticketTrackerTimeoutMs}"; using ${DEFAULT_REQUEST_TIMEOUT_MS} ms.`
+      );
+    }
+  }
+  return tracker.create(config, { baseUrl, timeoutMs });
+}
+
+module.exports = { createTicketTracker, formatTicketDescription };
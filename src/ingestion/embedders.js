@@ -0,0 +1,84 @@
+/**
+ * Embedding stage: picks the embedding function for the target backend and
+ * embeds chunks in batches.
+ */
+const { VertexAIEmbeddings } = require('@langchain/google-vertexai');
+const { HashEmbeddings } = require('../rag/localEmbeddings');
+
+const EMBEDDING_BATCH_SIZE = 200; // Max vectors per Vertex AI embed request (check limits)
+
+/**
+ * Creates the embedding function for a backend. It must match the one the
+ * retriever uses for queries, or search results are meaningless.
+ * @param {object} config - The loaded configuration.
+ * @param {string} backend - 'vertex' or 'local'.
+ * @returns {import("@langchain/core/embeddings").Embeddings}
+ */
+function createEmbedder(config, backend) {
+  if (backend === 'local') {
+    console.log('Local hash embeddings initialized.');
+    return new HashEmbeddings();
+  }
+
+  if (!config.vertexAiEmbeddingModelName) {
+    throw new Error(
+      'Missing required configuration for Vertex AI embeddings: vertexAiEmbeddingModelName'
+    );
+  }
+  // Credentials should be handled by ADC or SA
+  const embeddings = new VertexAIEmbeddings({
+    modelName: config.vertexAiEmbeddingModelName,
+  });
+  console.log('Vertex AI Embeddings client initialized.');
+  return embeddings;
+}
+
+/**
+ * Generates embeddings for text chunks in batches. Failed batches are skipped
+ * so the manifest can retry their files on the next run.
+ * @param {Array<import("@langchain/core/documents").Document>} chunks - Array of LangChain documents.
+ * @param {import("@langchain/core/embeddings").Embeddings} embeddingsClient - Embedding function.
+ * @returns {Promise<Array<{id: string, embedding: number[], metadata: object, pageContent: string}>>} - Array of chunks with embeddings.
+ */
+async function embedChunks(chunks, embeddingsClient) {
+  console.log(`Generating embeddings for ${chunks.length} chunks...`);
+  const embeddedChunks = [];
+  for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const batchTexts = batch.map((chunk) => chunk.pageContent);
+
+    try {
+      console.log(
+        `Embedding batch ${i / EMBEDDING_BATCH_SIZE + 1} (${batch.length} chunks)...`
+      );
+      const batchEmbeddings = await embeddingsClient.embedDocuments(batchTexts);
+
+      if (batchEmbeddings.length !== batch.length) {
+        throw new Error(
+          'Mismatch between number of texts and embeddings returned.'
+        );
+      }
+
+      batch.forEach((chunk, index) => {
+        embeddedChunks.push({
+          id: chunk.metadata.id, // The unique ID we assigned
+          embedding: batchEmbeddings[index],
+          metadata: chunk.metadata,
+          pageContent: chunk.pageContent,
+        });
+      });
+      console.log(
+        `Batch ${i / EMBEDDING_BATCH_SIZE + 1} embedded successfully.`
+      );
+    } catch (error) {
+      console.error(`Error embedding batch starting at index ${i}:`, error);
+      console.warn(`Skipping embedding for batch starting at index ${i}.`);
+    }
+  }
+  console.log(
+    `Generated embeddings for ${embeddedChunks.length} out of ${chunks.length} chunks.`
+  );
+  return embeddedChunks;
+}
+
+module.exports = { createEmbedder, embedChunks };
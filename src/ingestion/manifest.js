@@ -0,0 +1,110 @@
+/**
+ * Ingestion manifest.
+ * Records, per source file, the version that was last ingested and the chunk
+ * IDs it produced, so unchanged files are skipped and orphaned chunks can be
+ * removed from the index.
+ */
+const { createJsonStore } = require('../storage/jsonStore');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Creates an empty manifest.
+ * @param {string} backend - The index backend the manifest describes.
+ * @returns {{version: number, backend: string, updatedAt: string|null, files: object, orphanedChunkIds: string[]}}
+ */
+function emptyManifest(backend) {
+  return {
+    version: MANIFEST_VERSION,
+    backend,
+    updatedAt: null,
+    files: {},
+    orphanedChunkIds: [], // Chunk IDs still waiting to be removed from the index
+  };
+}
+
+/**
+ * Creates the manifest store: Cloud Storage when INGESTION_MANIFEST_BUCKET is
+ * set, otherwise a local file (INGESTION_MANIFEST_PATH).
+ * @param {object} config - The loaded configuration.
+ * @returns {{location: string, load: (backend: string) => Promise<object>, save: (manifest: object) => Promise<void>}}
+ */
+function createManifestStore(config) {
+  const store = createJsonStore({
+    bucket: config.ingestionManifestBucket,
+    objectName: config.ingestionManifestObject,
+    filePath: config.ingestionManifestPath,
+  });
+
+  return {
+    location: store.location,
+
+    /**
+     * Loads the manifest for a backend. A missing, outdated or other-backend
+     * manifest yields an empty one, which makes the run a full ingestion.
+     * @param {string} backend - The index backend being written to.
+     * @returns {Promise<object>}
+     */
+    async load(backend) {
+      const manifest = await store.read();
+      if (!manifest) {
+        console.log(
+          `No ingestion manifest found at ${store.location}. Treating all files as new.`
+        );
+        return emptyManifest(backend);
+      }
+      if (manifest.version !== MANIFEST_VERSION) {
+        console.warn(
+          `Ingestion manifest version ${manifest.version} is not supported. Starting from an empty manifest.`
+        );
+        return emptyManifest(backend);
+      }
+      if (manifest.backend !== backend) {
+        console.warn(
+          `Ingestion manifest at ${store.location} describes the ${manifest.backend} backend, not ${backend}. Starting from an empty manifest.`
+        );
+        return emptyManifest(backend);
+      }
+      console.log(
+        `Loaded ingestion manifest with ${Object.keys(manifest.files).length} files (last updated ${manifest.updatedAt}).`
+      );
+      return manifest;
+    },
+
+    /**
+     * Saves the manifest, stamping the update time.
+     * @param {object} manifest - The manifest to save.
+     * @returns {Promise<void>}
+     */
+    async save(manifest) {
+      await store.write({ ...manifest, updatedAt: new Date().toISOString() });
+      console.log(`Ingestion manifest saved to ${store.location}.`);
+    },
+  };
+}
+
+/**
+ * Whether a source file differs from the version recorded in the manifest.
+ * Google-native files have no md5Checksum, so modifiedTime is the fallback.
+ * A moved file, or one whose namespaces changed in the channel config, is also
+ * treated as changed so its chunk metadata is refreshed.
+ * @param {object} file - Source file { modifiedTime, md5Checksum, folderPath, namespaces }.
+ * @param {object} entry - The manifest entry for the file.
+ * @returns {boolean}
+ */
+function hasFileChanged(file, entry) {
+  if (file.folderPath !== entry.folderPath) {
+    return true;
+  }
+  if (
+    (file.namespaces || []).join(',') !== (entry.namespaces || []).join(',')
+  ) {
+    return true;
+  }
+  if (file.md5Checksum && entry.md5Checksum) {
+    return file.md5Checksum !== entry.md5Checksum;
+  }
+  return file.modifiedTime !== entry.modifiedTime;
+}
+
+module.exports = { createManifestStore, hasFileChanged };
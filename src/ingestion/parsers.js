@@ -0,0 +1,299 @@
+/**
+ * Parser registry: maps a source MIME type to how its content is fetched
+ * (export format, response type) and how it is turned into text segments.
+ * A segment is { text, format, metadata }: `format` ('markdown', 'text' or
+ * 'conversation') tells the splitter whether headings can be detected or the
+ * segment must stay in one chunk, and `metadata` is copied onto every chunk
+ * cut from the segment (e.g. the PDF page number).
+ *
+ * A parser entry looks like:
+ *   {
+ *     responseType: 'text' | 'arraybuffer' | 'json',
+ *     exportMimeType?: string,  // Drive export format for Google-native files
+ *     api?: 'sheets' | 'slides' | 'slack', // Fetch through that API instead of Drive
+ *     extensions?: string[],     // File extensions picked up by the local source
+ *     parse: async (data, file) => Array<{text, format, metadata}>,
+ *   }
+ */
+const mammoth = require('mammoth');
+const pdf = require('pdf-parse');
+const TurndownService = require('turndown');
+const { SLACK_THREAD_MIME_TYPE, parseSlackThread } = require('./slackThreads');
+
+/**
+ * Converts fetched data to a string.
+ * @param {string|Buffer|ArrayBuffer} data - Raw content.
+ * @returns {string}
+ */
+function toText(data) {
+  if (typeof data === 'string') {
+    return data;
+  }
+  return Buffer.from(data).toString('utf8');
+}
+
+/**
+ * Renders one PDF page the way pdf-parse does by default: text items on the
+ * same line are joined, a change of vertical position starts a new line.
+ * @param {object} pageData - pdf.js page proxy.
+ * @returns {Promise<string>}
+ */
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+  let lastY;
+  let text = '';
+  textContent.items.forEach((item) => {
+    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  });
+  return text;
+}
+
+/**
+ * Extracts PDF text page by page so chunks can cite their page.
+ * @param {string|Buffer|ArrayBuffer} data - Raw PDF content.
+ * @returns {Promise<Array<{text: string, format: string, metadata: {page: number}}>>}
+ */
+async function parsePdf(data) {
+  const pages = [];
+  await pdf(Buffer.from(data), {
+    pagerender: async (pageData) => {
+      const text = await renderPdfPage(pageData);
+      pages.push({
+        text,
+        format: 'text',
+        metadata: { page: pageData.pageNumber || pages.length + 1 },
+      });
+      return text;
+    },
+  });
+  return pages.filter((page) => page.text.trim());
+}
+
+/**
+ * Converts HTML to Markdown so the splitter sees its headings and lists.
+ * @param {string} html - HTML content.
+ * @returns {string}
+ */
+function htmlToMarkdown(html) {
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+  });
+  turndown.remove(['script', 'style', 'noscript', 'nav', 'head', 'title']);
+  return turndown.turndown(html);
+}
+
+/**
+ * Turns spreadsheet rows into readable "column: value" records, one sheet per
+ * segment. The first row of each sheet is used as the column names.
+ * @param {{sheets: Array<{title: string, values: string[][]}>}} data - Sheet values from the Sheets API.
+ * @returns {Array<{text: string, format: string, metadata: {sheet: string}}>}
+ */
+function parseSpreadsheet(data) {
+  return (data.sheets || [])
+    .map((sheet) => {
+      const [header = [], ...rows] = sheet.values || [];
+      const records = rows
+        .map((row) =>
+          row
+            .map((cell, index) => {
+              const value = String(cell ?? '').trim();
+              const column =
+                String(header[index] ?? '').trim() || `Column ${index + 1}`;
+              return value ? `${column}: ${value}` : null;
+            })
+            .filter(Boolean)
+            .join('\n')
+        )
+        .filter(Boolean);
+      return {
+        // The sheet title becomes the section breadcrumb of its rows
+        text: `# ${sheet.title}\n\n${records.join('\n\n')}`,
+        format: 'markdown',
+        metadata: { sheet: sheet.title },
+        hasRecords: records.length > 0,
+      };
+    })
+    .filter((segment) => segment.hasRecords)
+    .map(({ hasRecords, ...segment }) => segment);
+}
+
+/**
+ * Collects the text of a Slides page element (shapes, tables and groups).
+ * @param {object} element - Slides API page element.
+ * @returns {string[]} - Text blocks.
+ */
+function slideElementText(element) {
+  const textFromContent = (text) =>
+    ((text && text.textElements) || [])
+      .map((textElement) =>
+        textElement.textRun ? textElement.textRun.content : ''
+      )
+      .join('')
+      .trim();
+
+  if (element.shape) {
+    const text = textFromContent(element.shape.text);
+    return text ? [text] : [];
+  }
+  if (element.table) {
+    return (element.table.tableRows || []).map((row) =>
+      (row.tableCells || [])
+        .map((cell) => textFromContent(cell.text))
+        .filter(Boolean)
+        .join(' | ')
+    );
+  }
+  if (element.elementGroup) {
+    return (element.elementGroup.children || []).flatMap(slideElementText);
+  }
+  return [];
+}
+
+/**
+ * Extracts slide text (and speaker notes) per slide. Slide numbers are
+ * recorded as the page so citations can point to a slide.
+ * @param {object} presentation - Presentation from the Slides API.
+ * @returns {Array<{text: string, format: string, metadata: {page: number}}>}
+ */
+function parsePresentation(presentation) {
+  return (presentation.slides || [])
+    .map((slide, index) => {
+      const blocks = (slide.pageElements || []).flatMap(slideElementText);
+      const notesPage =
+        slide.slideProperties && slide.slideProperties.notesPage;
+      const notes = notesPage
+        ? (notesPage.pageElements || []).flatMap(slideElementText)
+        : [];
+      const text = [
+        ...blocks,
+        ...(notes.length > 0 ? [`Speaker notes:\n${notes.join('\n')}`] : []),
+      ]
+        .filter((block) => block.trim())
+        .join('\n\n');
+      return { text, format: 'text', metadata: { page: index + 1 } };
+    })
+    .filter((segment) => segment.text);
+}
+
+const markdownParser = {
+  responseType: 'text',
+  parse: async (data) => [
+    { text: toText(data), format: 'markdown', metadata: {} },
+  ],
+};
+
+const textParser = {
+  responseType: 'text',
+  parse: async (data) => [{ text: toText(data), format: 'text', metadata: {} }],
+};
+
+const pdfParser = {
+  responseType: 'arraybuffer',
+  extensions: ['.pdf'],
+  parse: parsePdf,
+};
+
+const docxParser = {
+  responseType: 'arraybuffer',
+  extensions: ['.docx'],
+  parse: async (data) => {
+    const { value } = await mammoth.convertToHtml({
+      buffer: Buffer.from(data),
+    });
+    return [{ text: htmlToMarkdown(value), format: 'markdown', metadata: {} }];
+  },
+};
+
+const htmlParser = {
+  responseType: 'text',
+  extensions: ['.html', '.htm'],
+  parse: async (data) => [
+    { text: htmlToMarkdown(toText(data)), format: 'markdown', metadata: {} },
+  ],
+};
+
+const spreadsheetParser = {
+  responseType: 'json',
+  api: 'sheets',
+  parse: async (data) => parseSpreadsheet(data),
+};
+
+const presentationParser = {
+  responseType: 'json',
+  api: 'slides',
+  parse: async (data) => parsePresentation(data),
+};
+
+const slackThreadParser = {
+  responseType: 'json',
+  api: 'slack',
+  parse: async (data) => parseSlackThread(data),
+};
+
+/**
+ * Creates a parser registry with the built-in parsers. More formats can be
+ * added with `register` (or the `extraParsers` argument) without touching
+ * the pipeline.
+ * @param {object} [extraParsers] - Additional parsers keyed by MIME type.
+ * @returns {{get: (mimeType: string) => object|undefined, mimeTypes: () => string[], mimeTypeForExtension: (extension: string) => string|undefined, register: (mimeType: string, parser: object) => void}}
+ */
+function createParserRegistry(extraParsers = {}) {
+  const parsers = new Map([
+    [
+      'application/vnd.google-apps.document',
+      // Markdown export keeps the document's headings and numbered lists
+      { ...markdownParser, exportMimeType: 'text/markdown' },
+    ],
+    ['application/vnd.google-apps.spreadsheet', spreadsheetParser],
+    ['application/vnd.google-apps.presentation', presentationParser],
+    ['text/plain', { ...textParser, extensions: ['.txt'] }],
+    ['text/markdown', { ...markdownParser, extensions: ['.md'] }],
+    ['text/html', htmlParser],
+    ['application/pdf', pdfParser],
+    [
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      docxParser,
+    ],
+    // Listed and fetched by the Slack source (SLACK_HISTORY_CHANNEL_IDS)
+    [SLACK_THREAD_MIME_TYPE, slackThreadParser],
+  ]);
+
+  const registry = {
+    get: (mimeType) => parsers.get(mimeType),
+    mimeTypes: () => [...parsers.keys()],
+
+    /**
+     * Finds the MIME type of a local file from its extension.
+     * @param {string} extension - e.g. '.md'.
+     * @returns {string|undefined}
+     */
+    mimeTypeForExtension: (extension) =>
+      [...parsers.entries()].find(([, parser]) =>
+        (parser.extensions || []).includes(extension.toLowerCase())
+      )?.[0],
+
+    /**
+     * Adds or replaces the parser for a MIME type.
+     * @param {string} mimeType - Source MIME type.
+     * @param {object} parser - Parser entry (see the top of this file).
+     */
+    register(mimeType, parser) {
+      if (!parser || typeof parser.parse !== 'function') {
+        throw new Error(`Parser for ${mimeType} must have a parse function.`);
+      }
+      parsers.set(mimeType, { responseType: 'text', ...parser });
+    },
+  };
+
+  Object.entries(extraParsers).forEach(([mimeType, parser]) =>
+    registry.register(mimeType, parser)
+  );
+  return registry;
+}
+
+module.exports = { createParserRegistry };
@@ -0,0 +1,298 @@
+/**
+ * Runbook ingestion pipeline shared by scripts/ingest.js and the ingestion
+ * Cloud Function. Each stage is pluggable:
+ *   source   - lists files and fetches their raw content (runbooks, plus past
+ *              Slack threads when SLACK_HISTORY_CHANNEL_IDS is set)
+ *   parsers  - registry turning raw content into text segments, per MIME type
+ *   splitter - turns segments into chunks with stable IDs
+ *   embedder - LangChain Embeddings used for the chunks
+ *   sink     - writes and removes vectors in the index
+ * An ingestion manifest makes runs incremental. Files are tagged with the
+ * knowledge namespaces of their folder (src/config/channels.js). Files marked
+ * `recheckUntilIndexed` (Slack threads) that give no chunks are left out of
+ * the manifest, so they are fetched again next run. Files a source no longer
+ * lists are removed, unless the source retains them (`retainsUnlisted`).
+ */
+const { createParserRegistry } = require('./parsers');
+const {
+  combineSources,
+  createDriveSource,
+  createLocalSource,
+  createSlackSource,
+} = require('./sources');
+const { splitText } = require('./splitter');
+const { createEmbedder, embedChunks } = require('./embedders');
+const { createVertexSink, createLocalSink } = require('./sinks');
+const { createManifestStore, hasFileChanged } = require('./manifest');
+const { loadChannelRegistry } = require('../config/channels');
+
+const SUPPORTED_SOURCES = ['drive', 'local'];
+const SUPPORTED_BACKENDS = ['vertex', 'local'];
+
+/**
+ * Builds the default stages from configuration.
+ * @param {object} config - The loaded configuration.
+ * @param {object} [options]
+ * @param {string} [options.source] - 'drive' or 'local'; defaults to INGESTION_SOURCE.
+ * @param {string} [options.backend] - 'vertex' or 'local'; defaults to RAG_BACKEND.
+ * @param {string} [options.folder] - Drive folder ID or local directory to ingest instead of the configured one.
+ * @returns {Promise<object>} - The stages for runIngestion.
+ */
+async function createIngestionStages(config, options = {}) {
+  const sourceName = options.source || config.ingestionSource;
+  const backend = options.backend || config.ragBackend;
+  if (!SUPPORTED_SOURCES.includes(sourceName)) {
+    throw new Error(
+      `Unsupported ingestion source "${sourceName}". Expected one of: ${SUPPORTED_SOURCES.join(', ')}`
+    );
+  }
+  if (!SUPPORTED_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unsupported ingestion backend "${backend}". Expected one of: ${SUPPORTED_BACKENDS.join(', ')}`
+    );
+  }
+  console.log(`Ingestion source: ${sourceName}, target backend: ${backend}`);
+
+  const runbookSource =
+    sourceName === 'local'
+      ? createLocalSource(config, { folder: options.folder })
+      : createDriveSource(config, { folderId: options.folder });
+  const source = combineSources([
+    runbookSource,
+    ...(config.slackHistoryChannelIds ? [createSlackSource(config)] : []),
+  ]);
+  const embedder = createEmbedder(config, backend);
+  const sink =
+    backend === 'local'
+      ? await createLocalSink(config, embedder)
+      : createVertexSink(config);
+
+  return {
+    source,
+    parsers: createParserRegistry(),
+    splitter: splitText,
+    embedder,
+    sink,
+    manifestStore: createManifestStore(config),
+    channelRegistry: await loadChannelRegistry(config),
+  };
+}
+
+/**
+ * Runs an ingestion: only new or changed files are fetched, split, embedded
+ * and upserted; chunks of deleted or shortened files are removed.
+ * @param {object} stages - From createIngestionStages (or custom stages with the same shape).
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Fetch and split only; write nothing.
+ * @param {boolean} [options.full=false] - Ignore the manifest and re-ingest every file.
+ * @returns {Promise<object>} - Run summary.
+ */
+async function runIngestion(stages, { dryRun = false, full = false } = {}) {
+  const {
+    source,
+    parsers,
+    splitter,
+    embedder,
+    sink,
+    manifestStore,
+    channelRegistry,
+  } = stages;
+  console.log(
+    `Starting runbook ingestion from ${source.name} into ${sink.name}${dryRun ? ' (dry run)' : ''}...`
+  );
+
+  const summary = {
+    dryRun,
+    filesAdded: 0,
+    filesUpdated: 0,
+    filesUnchanged: 0,
+    filesDeleted: 0,
+    filesFailed: 0,
+    chunksGenerated: 0,
+    chunksEmbedded: 0,
+    chunksUpserted: 0,
+    chunksRemoved: 0,
+  };
+
+  // 1. Load the manifest and list files
+  const manifest = await manifestStore.load(sink.name);
+  if (full) {
+    // Keep the old chunk IDs so anything no longer produced still gets removed
+    manifest.files = Object.fromEntries(
+      Object.entries(manifest.files).map(([fileId, entry]) => [
+        fileId,
+        { ...entry, modifiedTime: null, md5Checksum: null },
+      ])
+    );
+  }
+  const listedFiles = await source.listFiles(parsers);
+  const files = channelRegistry
+    ? listedFiles.map((file) => ({
+        ...file,
+        namespaces: channelRegistry.namespacesForFolder(file.folderPath),
+      }))
+    : listedFiles;
+  const orphanedChunkIds = new Set(manifest.orphanedChunkIds || []);
+
+  // 2. Work out what changed since the last run
+  const listedIds = new Set(files.map((file) => file.id));
+  const changedFiles = files.filter((file) => {
+    const entry = manifest.files[file.id];
+    if (entry && !hasFileChanged(file, entry)) {
+      summary.filesUnchanged += 1;
+      return false;
+    }
+    return true;
+  });
+  const retained = (fileId) =>
+    Boolean(source.retainsUnlisted && source.retainsUnlisted(fileId));
+  Object.entries(manifest.files).forEach(([fileId, entry]) => {
+    if (!listedIds.has(fileId) && !retained(fileId)) {
+      console.log(
+        `File ${entry.name} (${fileId}) was deleted from the source.`
+      );
+      entry.chunkIds.forEach((id) => orphanedChunkIds.add(id));
+      delete manifest.files[fileId];
+      summary.filesDeleted += 1;
+    }
+  });
+  console.log(
+    `${changedFiles.length} new or changed files, ${summary.filesUnchanged} unchanged, ${summary.filesDeleted} deleted.`
+  );
+
+  // 3. Fetch, parse and split the changed files
+  const chunksByFile = new Map();
+  let filesRechecked = 0;
+  for (const file of changedFiles) {
+    console.log(`Processing file: ${file.name} (${file.mimeType})`);
+    const parser = parsers.get(file.mimeType);
+    let segments = null;
+    try {
+      segments = await parser.parse(
+        await source.fetchContent(file, parser),
+        file
+      );
+    } catch (error) {
+      console.error(
+        `Error getting content for file ${file.name} (${file.id}):`,
+        error
+      );
+    }
+    if (segments === null) {
+      // Keep the previous manifest entry so the file is retried next run
+      console.warn(
+        `Skipped processing file ${file.name} due to content retrieval/parsing issues.`
+      );
+      summary.filesFailed += 1;
+      continue;
+    }
+    const chunks = await splitter(segments, file);
+    if (chunks.length === 0 && file.recheckUntilIndexed) {
+      // Nothing to index yet (e.g. an unresolved thread): forget the file, so
+      // the next run looks at it again, and drop what it gave before
+      const previous = manifest.files[file.id];
+      if (previous) {
+        previous.chunkIds.forEach((id) => orphanedChunkIds.add(id));
+        delete manifest.files[file.id];
+      }
+      filesRechecked += 1;
+      continue;
+    }
+    chunksByFile.set(file.id, chunks);
+    summary.chunksGenerated += chunks.length;
+  }
+  if (filesRechecked > 0) {
+    console.log(
+      `${filesRechecked} files gave nothing to index yet and will be checked again next run.`
+    );
+  }
+
+  if (dryRun) {
+    chunksByFile.forEach((chunks, fileId) => {
+      if (manifest.files[fileId]) {
+        summary.filesUpdated += 1;
+      } else {
+        summary.filesAdded += 1;
+      }
+    });
+    console.log('Dry run complete. Nothing was written.', summary);
+    return summary;
+  }
+
+  // 4. Embed and upsert the new chunks
+  const allChunks = [...chunksByFile.values()].flat();
+  let upsertedIds = new Set();
+  if (allChunks.length > 0) {
+    const embeddedChunks = await embedChunks(allChunks, embedder);
+    summary.chunksEmbedded = embeddedChunks.length;
+    if (embeddedChunks.length > 0) {
+      upsertedIds = await sink.upsert(embeddedChunks);
+      summary.chunksUpserted = upsertedIds.size;
+    }
+  }
+
+  // 5. Record files whose chunks all made it into the index
+  for (const file of changedFiles) {
+    const chunks = chunksByFile.get(file.id);
+    if (!chunks) {
+      continue;
+    }
+    const chunkIds = chunks.map((chunk) => chunk.metadata.id);
+    if (!chunkIds.every((id) => upsertedIds.has(id))) {
+      console.warn(
+        `Not all chunks of ${file.name} were indexed. It will be retried next run.`
+      );
+      summary.filesFailed += 1;
+      continue;
+    }
+
+    const previous = manifest.files[file.id];
+    if (previous) {
+      // A shortened runbook leaves its trailing chunk IDs behind
+      previous.chunkIds
+        .filter((id) => !chunkIds.includes(id))
+        .forEach((id) => orphanedChunkIds.add(id));
+      summary.filesUpdated += 1;
+    } else {
+      summary.filesAdded += 1;
+    }
+    chunkIds.forEach((id) => orphanedChunkIds.delete(id));
+    manifest.files[file.id] = {
+      name: file.name,
+      mimeType: file.mimeType,
+      folderPath: file.folderPath,
+      namespaces: file.namespaces || [],
+      modifiedTime: file.modifiedTime,
+      md5Checksum: file.md5Checksum || null,
+      chunkIds,
+      ingestedAt: new Date().toISOString(),
+    };
+  }
+
+  // 6. Remove orphaned chunks, then persist the index and the manifest
+  const removedIds = await sink.remove([...orphanedChunkIds]);
+  summary.chunksRemoved = removedIds.size;
+  manifest.orphanedChunkIds = [...orphanedChunkIds].filter(
+    (id) => !removedIds.has(id)
+  );
+  await sink.flush();
+  await manifestStore.save(manifest);
+
+  console.log('Ingestion process completed.', summary);
+  return summary;
+}
+
+/**
+ * Formats a run summary as one line for logs and HTTP responses.
+ * @param {object} summary - Output of runIngestion.
+ * @returns {string}
+ */
+function formatIngestionSummary(summary) {
+  return `${summary.dryRun ? 'Dry run' : 'Ingestion'} completed successfully. Files added: ${summary.filesAdded}, updated: ${summary.filesUpdated}, unchanged: ${summary.filesUnchanged}, deleted: ${summary.filesDeleted}, failed: ${summary.filesFailed}. Chunks upserted: ${summary.chunksUpserted}, removed: ${summary.chunksRemoved}.`;
+}
+
+module.exports = {
+  createIngestionStages,
+  runIngestion,
+  formatIngestionSummary,
+};
@@ -0,0 +1,190 @@
+/**
+ * Index sinks. A sink writes embedded chunks to a vector index and removes
+ * orphaned ones. Both methods return the IDs they actually handled, so the
+ * pipeline only records files whose chunks all made it.
+ */
+const path = require('path');
+const { IndexServiceClient } = require('@google-cloud/aiplatform').v1;
+const { LocalVectorStore } = require('../rag/localVectorStore');
+const { chunkRestricts } = require('../rag/filters');
+const { createChunkStore } = require('../rag/chunkStore');
+
+const UPSERT_BATCH_SIZE = 100; // Max vectors per Vertex AI upsert request (check limits)
+const REMOVE_BATCH_SIZE = 1000; // Max datapoint IDs per Vertex AI remove request
+
+/**
+ * Creates the Vertex AI Vector Search sink. The index only keeps vectors and
+ * restricts, so chunk text and metadata go to the chunk store (see
+ * src/rag/chunkStore.js), written once on flush.
+ * @param {object} config - The loaded configuration.
+ * @param {object} [clients] - Clients to use instead of the default ones (tests).
+ * @param {object} [clients.indexClient] - Vertex AI IndexServiceClient.
+ * @param {object} [clients.chunkStore] - Chunk store (createChunkStore).
+ * @returns {object} - Sink stage.
+ */
+function createVertexSink(config, clients = {}) {
+  const requiredConfig = ['vertexAiIndexId', 'gcpProjectId', 'gcpRegion'];
+  const missingConfig = requiredConfig.filter((key) => !config[key]);
+  if (missingConfig.length > 0) {
+    throw new Error(
+      `Missing required configuration for the Vertex AI sink: ${missingConfig.join(', ')}`
+    );
+  }
+
+  // Credentials typically handled by ADC (GOOGLE_APPLICATION_CREDENTIALS or Compute Engine metadata)
+  const indexClient =
+    clients.indexClient ||
+    new IndexServiceClient({
+      apiEndpoint: `${config.gcpRegion}-aiplatform.googleapis.com`,
+    });
+  const index = `projects/${config.gcpProjectId}/locations/${config.gcpRegion}/indexes/${config.vertexAiIndexId}`;
+  const chunkStore = clients.chunkStore || createChunkStore(config);
+  console.log('Vertex AI Vector Search client initialized.');
+
+  // Chunk store changes for the datapoints actually written, applied on flush
+  const pendingUpserts = new Map();
+  const pendingRemovals = new Set();
+
+  return {
+    name: 'vertex',
+
+    /**
+     * Upserts vectors into the index in batches.
+     * @param {Array<{id: string, embedding: number[], pageContent: string, metadata: object}>} embeddedChunks - Chunks with IDs and embeddings.
+     * @returns {Promise<Set<string>>} - IDs of the datapoints that were upserted.
+     */
+    async upsert(embeddedChunks) {
+      console.log(
+        `Upserting ${embeddedChunks.length} vectors into Vertex AI Vector Search...`
+      );
+      const upsertedIds = new Set();
+      for (let i = 0; i < embeddedChunks.length; i += UPSERT_BATCH_SIZE) {
+        const batch = embeddedChunks.slice(i, i + UPSERT_BATCH_SIZE);
+        // Restricts let retrieval filter by folder, file name, type and date
+        const datapoints = batch.map((chunk) => ({
+          datapointId: chunk.id,
+          featureVector: chunk.embedding,
+          ...chunkRestricts(chunk.metadata),
+        }));
+
+        try {
+          console.log(
+            `Upserting batch ${i / UPSERT_BATCH_SIZE + 1} (${batch.length} vectors)...`
+          );
+          await indexClient.upsertDatapoints({ index, datapoints });
+          batch.forEach((chunk) => {
+            upsertedIds.add(chunk.id);
+            pendingRemovals.delete(chunk.id);
+            pendingUpserts.set(chunk.id, chunk);
+          });
+        } catch (error) {
+          console.error(
+            `Error upserting batch starting at index ${i}:`,
+            error.message
+          );
+          console.warn(`Skipping upsert for batch starting at index ${i}.`);
+        }
+      }
+      console.log(
+        `Successfully upserted ${upsertedIds.size} out of ${embeddedChunks.length} vectors.`
+      );
+      return upsertedIds;
+    },
+
+    /**
+     * Removes datapoints from the index in batches.
+     * @param {string[]} datapointIds - IDs of the datapoints to remove.
+     * @returns {Promise<Set<string>>} - IDs of the datapoints that were removed.
+     */
+    async remove(datapointIds) {
+      const removedIds = new Set();
+      if (datapointIds.length === 0) {
+        return removedIds;
+      }
+      console.log(
+        `Removing ${datapointIds.length} orphaned vectors from Vertex AI Vector Search...`
+      );
+      for (let i = 0; i < datapointIds.length; i += REMOVE_BATCH_SIZE) {
+        const batch = datapointIds.slice(i, i + REMOVE_BATCH_SIZE);
+        try {
+          await indexClient.removeDatapoints({ index, datapointIds: batch });
+          batch.forEach((id) => {
+            removedIds.add(id);
+            pendingUpserts.delete(id);
+            pendingRemovals.add(id);
+          });
+        } catch (error) {
+          // The IDs stay in the manifest's orphan list and are retried on the next run
+          console.error(
+            `Error removing batch starting at index ${i}:`,
+            error.message
+          );
+          console.warn(`Skipping removal for batch starting at index ${i}.`);
+        }
+      }
+      console.log(
+        `Removed ${removedIds.size} out of ${datapointIds.length} vectors.`
+      );
+      return removedIds;
+    },
+
+    /**
+     * Writes the text and metadata of the upserted chunks to the chunk store
+     * and drops the removed ones.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      if (pendingUpserts.size === 0 && pendingRemovals.size === 0) {
+        return;
+      }
+      const total = await chunkStore.save({
+        upserts: [...pendingUpserts.values()],
+        removals: [...pendingRemovals],
+      });
+      console.log(
+        `Saved ${pendingUpserts.size} and removed ${pendingRemovals.size} chunks in ${chunkStore.location} (${total} in total).`
+      );
+      pendingUpserts.clear();
+      pendingRemovals.clear();
+    },
+  };
+}
+
+/**
+ * Creates the sink for the local on-disk vector store used by RAG_BACKEND=local.
+ * Changes are kept in memory until flush() writes the store file.
+ * @param {object} config - The loaded configuration.
+ * @param {import("@langchain/core/embeddings").Embeddings} embeddings - The local embedding function.
+ * @returns {Promise<object>} - Sink stage.
+ */
+async function createLocalSink(config, embeddings) {
+  const store = await LocalVectorStore.load(
+    path.resolve(config.localVectorStorePath),
+    embeddings
+  );
+
+  return {
+    name: 'local',
+
+    async upsert(embeddedChunks) {
+      const ids = await store.addVectors(
+        embeddedChunks.map((chunk) => chunk.embedding),
+        embeddedChunks.map((chunk) => ({
+          pageContent: chunk.pageContent,
+          metadata: chunk.metadata,
+        })),
+        { ids: embeddedChunks.map((chunk) => chunk.id) }
+      );
+      return new Set(ids);
+    },
+
+    async remove(ids) {
+      await store.delete({ ids });
+      return new Set(ids);
+    },
+
+    flush: () => store.save(),
+  };
+}
+
+module.exports = { createVertexSink, createLocalSink };
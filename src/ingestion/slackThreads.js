@@ -0,0 +1,142 @@
+/**
+ * Past Slack support threads as a knowledge source.
+ * Many answers only exist in old threads, so resolved threads from the
+ * channels in SLACK_HISTORY_CHANNEL_IDS are indexed next to the runbooks.
+ * Before indexing, a thread is cleaned and anonymized:
+ * - bots (including this one), join notices and other noise are dropped;
+ * - authors and mentioned users become "Person 1", "Person 2", ... per thread;
+ * - Slack markup is turned into plain text, and email addresses and phone
+ *   numbers are masked.
+ * Each thread becomes a single chunk, so the question stays with its answer.
+ */
+const {
+  formatSlackHistory,
+  isConversationMessage,
+  resolveMentions,
+} = require('../slack/history');
+
+const SLACK_THREAD_MIME_TYPE = 'application/x-slack-thread';
+// Longer threads keep their opening question and latest replies
+const MAX_THREAD_TEXT_LENGTH = 4000;
+
+// A thread counts as resolved when someone reacted with one of these...
+const RESOLVED_REACTIONS = new Set([
+  'white_check_mark',
+  'heavy_check_mark',
+  'ballot_box_with_check',
+  'resolved',
+]);
+// ...or the person who asked replies with one of these, without a question
+// or anything that says it isn't over ("fixed, but it fails again"). A plain
+// thanks is only politeness ("thanks, will try that tomorrow")
+const RESOLVED_PATTERN =
+  /\b(resolved|fixed|solved|that worked|it worked|works now|working now)\b/i;
+const UNRESOLVED_PATTERN =
+  /\b(still|not|but|again|anymore|no longer|however)\b|n['’]t\b|\?/i;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_PATTERNS = [
+  /\+\d[\d\s().-]{7,}\d/g, // International: +44 20 7946 0958
+  /\b\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g, // North American: (555) 123-4567
+];
+
+/**
+ * Whether a thread was resolved: a resolution reaction on any message, or a
+ * reply from the person who asked such as "fixed, thanks". Replies from
+ * others don't count: "thanks, looking" from a helper resolves nothing.
+ * @param {Array<object>} messages - Raw thread messages, opening message first.
+ * @returns {boolean}
+ */
+function isResolvedThread(messages) {
+  const hasReaction = messages.some((msg) =>
+    (msg.reactions || []).some((reaction) =>
+      RESOLVED_REACTIONS.has(reaction.name)
+    )
+  );
+  if (hasReaction) {
+    return true;
+  }
+  const asker = messages[0] && messages[0].user;
+  return messages.slice(1).some((msg) => {
+    const text = msg.text || '';
+    return (
+      isConversationMessage(msg) &&
+      msg.user === asker &&
+      RESOLVED_PATTERN.test(text) &&
+      !UNRESOLVED_PATTERN.test(text)
+    );
+  });
+}
+
+/**
+ * Masks email addresses and phone numbers.
+ * @param {string} text
+ * @returns {string}
+ */
+function maskPersonalData(text) {
+  return PHONE_PATTERNS.reduce(
+    (masked, pattern) => masked.replace(pattern, '[phone]'),
+    text.replace(EMAIL_PATTERN, '[email]')
+  );
+}
+
+/**
+ * Cleans and anonymizes a thread.
+ * @param {Array<object>} messages - Raw thread messages.
+ * @param {(id: string) => Promise<string>} channelName - Resolves channel mentions.
+ * @returns {Promise<Array<{author: string, text: string, ts: string}>>} - Human messages, oldest first.
+ */
+async function anonymizeThread(messages, channelName) {
+  const people = new Map();
+  const person = (id) => {
+    if (!people.has(id)) {
+      people.set(id, `Person ${people.size + 1}`);
+    }
+    return people.get(id);
+  };
+  // Mentions are resolved to pseudonyms, never to real names
+  const resolver = { userName: async (id) => person(id), channelName };
+
+  const conversation = messages
+    .filter((msg) => isConversationMessage(msg) && (msg.text || '').trim())
+    .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+  const cleaned = [];
+  for (const msg of conversation) {
+    // Name the author before resolving mentions, so numbering follows who spoke
+    const author = `@${person(msg.user)}`;
+    const text = maskPersonalData(
+      await resolveMentions(msg.text, resolver, { ignoreLabels: true })
+    );
+    cleaned.push({ author, text, ts: msg.ts });
+  }
+  return cleaned;
+}
+
+/**
+ * Parses a thread fetched by the Slack source into one conversation segment.
+ * Unresolved threads give no segments; ingestion checks them again next run.
+ * @param {{permalink: string|null, channelName: string, resolved: boolean, messages: Array<{author: string, text: string, ts: string}>}} data
+ * @returns {Array<{text: string, format: string, metadata: object}>}
+ */
+function parseSlackThread(data) {
+  if (!data.resolved || data.messages.length < 2) {
+    return [];
+  }
+  const transcript = formatSlackHistory(data.messages, MAX_THREAD_TEXT_LENGTH, {
+    keepOpening: true,
+  });
+  return [
+    {
+      text: `Previous support thread in #${data.channelName}:\n\n${transcript}`,
+      format: 'conversation',
+      metadata: data.permalink ? { url: data.permalink } : {},
+    },
+  ];
+}
+
+module.exports = {
+  SLACK_THREAD_MIME_TYPE,
+  anonymizeThread,
+  isResolvedThread,
+  parseSlackThread,
+};
@@ -0,0 +1,455 @@
+/**
+ * Ingestion sources. A source lists runbook files that the parser registry
+ * can handle (`listFiles(parsers)`) and fetches their raw content
+ * (`fetchContent(file, parser)`). Every source returns file objects shaped like
+ * { id, name, mimeType, folderPath, modifiedTime, md5Checksum?, sourceType }.
+ * A source that only lists part of what it indexed (e.g. a time window) can
+ * implement `retainsUnlisted(fileId)`, so those files are not treated as
+ * deleted.
+ */
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const { GoogleAuth } = require('google-auth-library');
+const { createNameResolver, paginate } = require('../slack/history');
+const {
+  SLACK_THREAD_MIME_TYPE,
+  anonymizeThread,
+  isResolvedThread,
+} = require('./slackThreads');
+
+const DRIVE_FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bounds for one run, so a busy channel can't stall ingestion
+const MAX_SLACK_CHANNEL_MESSAGES = 10000;
+const MAX_SLACK_THREAD_MESSAGES = 1000;
+
+/**
+ * Lists files matching supported types in a Google Drive folder and all of its
+ * subfolders. Each file gets a `folderPath` relative to the root folder
+ * (e.g. `payments/db/failover`). Folders reachable through more than one
+ * parent are only walked once, which also protects against cycles.
+ * @param {object} drive - Authenticated Google Drive API client.
+ * @param {string} folderId - The ID of the root Google Drive folder.
+ * @param {string[]} mimeTypes - Supported file MIME types.
+ * @param {number} [maxDepth=Infinity] - How many levels of subfolders to descend (0 = root only).
+ * @returns {Promise<Array<{id: string, name: string, mimeType: string, modifiedTime: string, md5Checksum?: string, folderPath: string}>>} - Array of file objects.
+ */
+async function listDriveFiles(drive, folderId, mimeTypes, maxDepth = Infinity) {
+  console.log(
+    `Listing files in Google Drive folder: ${folderId} (max depth: ${maxDepth})`
+  );
+  const files = [];
+  const seenFileIds = new Set();
+  const visitedFolderIds = new Set();
+  const pendingFolders = [{ id: folderId, path: '', depth: 0 }];
+  const mimeTypeQuery = mimeTypes
+    .concat(DRIVE_FOLDER_MIME_TYPE)
+    .map((mt) => `mimeType='${mt}'`)
+    .join(' or ');
+
+  try {
+    while (pendingFolders.length > 0) {
+      const folder = pendingFolders.shift();
+      if (visitedFolderIds.has(folder.id)) {
+        console.warn(
+          `Skipping already visited folder ${folder.id} (${folder.path || '/'}).`
+        );
+        continue;
+      }
+      visitedFolderIds.add(folder.id);
+
+      const query = `'${folder.id}' in parents and (${mimeTypeQuery}) and trashed = false`;
+      let pageToken = null;
+      do {
+        const res = await drive.files.list({
+          q: query,
+          fields:
+            'nextPageToken, files(id, name, mimeType, modifiedTime, md5Checksum)',
+          pageSize: 100, // Adjust as needed
+          pageToken,
+        });
+        (res.data.files || []).forEach((item) => {
+          if (item.mimeType === DRIVE_FOLDER_MIME_TYPE) {
+            if (folder.depth < maxDepth) {
+              pendingFolders.push({
+                id: item.id,
+                path: folder.path ? `${folder.path}/${item.name}` : item.name,
+                depth: folder.depth + 1,
+              });
+            }
+          } else if (!seenFileIds.has(item.id)) {
+            seenFileIds.add(item.id);
+            files.push({ ...item, folderPath: folder.path });
+          }
+        });
+        pageToken = res.data.nextPageToken;
+      } while (pageToken);
+    }
+
+    console.log(
+      `Found ${files.length} supported files in ${visitedFolderIds.size} folders.`
+    );
+    return files;
+  } catch (error) {
+    console.error('Error listing files from Google Drive:', error);
+    throw new Error(`Failed to list files: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the Google Drive source.
+ * @param {object} config - The loaded configuration.
+ * @param {object} options
+ * @param {string} [options.folderId] - Root folder; defaults to GOOGLE_DRIVE_FOLDER_ID.
+ * @returns {object} - Source stage.
+ */
+function createDriveSource(config, { folderId } = {}) {
+  const rootFolderId = folderId || config.googleDriveFolderId;
+  const missingConfig = [];
+  if (!config.driveServiceAccountCredentials) {
+    missingConfig.push('driveServiceAccountCredentials');
+  }
+  if (!rootFolderId) {
+    missingConfig.push('googleDriveFolderId');
+  }
+  if (missingConfig.length > 0) {
+    throw new Error(
+      `Missing required configuration for the Drive source: ${missingConfig.join(', ')}`
+    );
+  }
+
+  const driveAuth = new GoogleAuth({
+    credentials: config.driveServiceAccountCredentials,
+    scopes: ['https://www.googleapis.com/auth/drive.readonly'],
+  });
+  const drive = google.drive({ version: 'v3', auth: driveAuth });
+  // The drive.readonly scope also covers reading Sheets and Slides
+  const sheets = google.sheets({ version: 'v4', auth: driveAuth });
+  const slides = google.slides({ version: 'v1', auth: driveAuth });
+  console.log('Google Drive client authenticated successfully.');
+  const maxDepth = config.driveMaxFolderDepth
+    ? Number(config.driveMaxFolderDepth)
+    : Infinity;
+
+  return {
+    name: `drive:${rootFolderId}`,
+
+    listFiles: async (parsers) =>
+      (
+        await listDriveFiles(
+          drive,
+          rootFolderId,
+          // Slack threads are not Drive files
+          parsers.mimeTypes().filter((type) => type !== SLACK_THREAD_MIME_TYPE),
+          maxDepth
+        )
+      ).map((file) => ({ ...file, sourceType: 'drive' })),
+
+    /**
+     * Downloads a file, exporting Google-native files to the parser's format.
+     * Sheets and Slides are read through their own APIs.
+     * @param {object} file - File object from listFiles.
+     * @param {object} parser - Parser registry entry.
+     * @returns {Promise<string|ArrayBuffer|object>}
+     */
+    async fetchContent(file, parser) {
+      if (parser.api === 'sheets') {
+        const { data } = await sheets.spreadsheets.get({
+          spreadsheetId: file.id,
+          fields: 'sheets.properties.title',
+        });
+        const titles = (data.sheets || []).map(
+          (sheet) => sheet.properties.title
+        );
+        const { data: values } = await sheets.spreadsheets.values.batchGet({
+          spreadsheetId: file.id,
+          ranges: titles.map((title) => `'${title.replace(/'/g, "''")}'`),
+        });
+        return {
+          sheets: titles.map((title, index) => ({
+            title,
+            values: (values.valueRanges[index] || {}).values || [],
+          })),
+        };
+      }
+      if (parser.api === 'slides') {
+        const { data } = await slides.presentations.get({
+          presentationId: file.id,
+        });
+        return data;
+      }
+
+      const response = parser.exportMimeType
+        ? await drive.files.export(
+            { fileId: file.id, mimeType: parser.exportMimeType },
+            { responseType: parser.responseType }
+          )
+        : await drive.files.get(
+            { fileId: file.id, alt: 'media' },
+            { responseType: parser.responseType }
+          );
+      return response.data;
+    },
+  };
+}
+
+/**
+ * Creates the local directory source (recursive). Files are matched to parsers
+ * by extension. The path relative to the directory is used as the file ID and
+ * its directory part as the folder path.
+ * @param {object} config - The loaded configuration.
+ * @param {object} options
+ * @param {string} [options.folder] - Directory; defaults to LOCAL_RUNBOOKS_DIR.
+ * @returns {object} - Source stage.
+ */
+function createLocalSource(config, { folder } = {}) {
+  const dir = path.resolve(folder || config.localRunbooksDir);
+
+  return {
+    name: `local:${dir}`,
+
+    async listFiles(parsers) {
+      console.log(`Listing files in local directory: ${dir}`);
+      const files = [];
+      const walk = async (currentDir) => {
+        const entries = await fs.promises.readdir(currentDir, {
+          withFileTypes: true,
+        });
+        for (const entry of entries) {
+          const entryPath = path.join(currentDir, entry.name);
+          const mimeType = parsers.mimeTypeForExtension(
+            path.extname(entry.name)
+          );
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else if (mimeType) {
+            const relativePath = path.relative(dir, entryPath).split(path.sep);
+            const stats = await fs.promises.stat(entryPath);
+            files.push({
+              id: relativePath.join('/'),
+              name: entry.name,
+              mimeType,
+              folderPath: relativePath.slice(0, -1).join('/'),
+              modifiedTime: stats.mtime.toISOString(),
+              sourceType: 'local',
+              path: entryPath,
+            });
+          }
+        }
+      };
+
+      try {
+        await walk(dir);
+      } catch (error) {
+        console.error('Error listing files from local directory:', error);
+        throw new Error(`Failed to list files: ${error.message}`);
+      }
+      console.log(`Found ${files.length} supported files in the directory.`);
+      return files;
+    },
+
+    async fetchContent(file, parser) {
+      if (parser.api) {
+        throw new Error(
+          `${file.mimeType} files can only be read from Google Drive.`
+        );
+      }
+      return parser.responseType === 'text'
+        ? fs.promises.readFile(file.path, 'utf8')
+        : fs.promises.readFile(file.path);
+    },
+  };
+}
+
+/**
+ * Creates the Slack source: threads from the channels in
+ * SLACK_HISTORY_CHANNEL_IDS started in the last SLACK_HISTORY_DAYS days.
+ * Every thread with replies is listed, with `slack/<channel name>` as its
+ * folder path and its latest reply as the modification time, so a thread is
+ * fetched again when someone replies. Threads are marked
+ * `recheckUntilIndexed`: one that is not resolved yet gives no chunks and is
+ * not recorded in the manifest, so it is checked again every run (a ✅
+ * reaction does not change the thread's latest reply). fetchContent returns
+ * the cleaned and anonymized thread (see src/ingestion/slackThreads.js).
+ * Threads that were indexed and have since aged out of the window are kept
+ * (retainsUnlisted); removing a channel from the list drops its threads. The
+ * bot must be a member of the channels.
+ * @param {object} config - The loaded configuration.
+ * @param {object} [options]
+ * @param {import('@slack/web-api').WebClient} [options.client] - Slack client; defaults to one for SLACK_BOT_TOKEN.
+ * @returns {object} - Source stage.
+ */
+function createSlackSource(config, { client } = {}) {
+  const channelIds = (config.slackHistoryChannelIds || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const missingConfig = [];
+  if (channelIds.length === 0) {
+    missingConfig.push('slackHistoryChannelIds');
+  }
+  if (!client && !config.slackBotToken) {
+    missingConfig.push('slackBotToken');
+  }
+  if (missingConfig.length > 0) {
+    throw new Error(
+      `Missing required configuration for the Slack source: ${missingConfig.join(', ')}`
+    );
+  }
+
+  let slack = client;
+  if (!slack) {
+    // Lazy-load so runbook-only ingestion does not need the Slack SDK
+    // eslint-disable-next-line global-require
+    const { WebClient } = require('@slack/web-api');
+    slack = new WebClient(config.slackBotToken);
+  }
+  const resolver = createNameResolver(slack, console);
+  const historyDays = Number(config.slackHistoryDays);
+  // Start of the window of the last listing, as a Slack timestamp
+  let listedSince = null;
+
+  return {
+    name: `slack:${channelIds.join(',')}`,
+
+    async listFiles() {
+      const oldest = ((Date.now() - historyDays * DAY_MS) / 1000).toFixed(6);
+      listedSince = Number(oldest);
+      const files = [];
+      for (const channelId of channelIds) {
+        console.log(
+          `Listing Slack threads in channel ${channelId} from the last ${historyDays} days`
+        );
+        const channelName = await resolver.channelName(channelId);
+        let messages;
+        try {
+          messages = await paginate(
+            slack.conversations.history,
+            { channel: channelId, oldest },
+            MAX_SLACK_CHANNEL_MESSAGES
+          );
+        } catch (error) {
+          console.error(
+            `Error listing Slack threads in channel ${channelId}:`,
+            error
+          );
+          throw new Error(`Failed to list Slack threads: ${error.message}`);
+        }
+        messages
+          .filter((msg) => msg.reply_count > 0)
+          .forEach((msg) => {
+            const started = new Date(parseFloat(msg.ts) * 1000);
+            files.push({
+              id: `slack:${channelId}:${msg.ts}`,
+              name: `#${channelName} thread (${started.toISOString().slice(0, 10)})`,
+              mimeType: SLACK_THREAD_MIME_TYPE,
+              folderPath: `slack/${channelName}`,
+              modifiedTime: new Date(
+                parseFloat(msg.latest_reply || msg.ts) * 1000
+              ).toISOString(),
+              sourceType: 'slack_thread',
+              recheckUntilIndexed: true,
+              channel: channelId,
+              channelName,
+              threadTs: msg.ts,
+            });
+          });
+      }
+      console.log(
+        `Found ${files.length} threads in ${channelIds.length} Slack channels.`
+      );
+      return files;
+    },
+
+    /**
+     * Whether a thread missing from the listing is only older than the
+     * window, rather than deleted.
+     * @param {string} fileId - Manifest file ID, e.g. "slack:C123:1700000000.000100".
+     * @returns {boolean}
+     */
+    retainsUnlisted(fileId) {
+      const [prefix, channelId, threadTs] = fileId.split(':');
+      return (
+        prefix === 'slack' &&
+        listedSince !== null &&
+        channelIds.includes(channelId) &&
+        parseFloat(threadTs) < listedSince
+      );
+    },
+
+    /**
+     * Fetches a thread with its permalink, cleaned and anonymized.
+     * @param {object} file - File object from listFiles.
+     * @returns {Promise<{permalink: string|null, channelName: string, resolved: boolean, messages: Array<object>}>}
+     */
+    async fetchContent(file) {
+      const replies = await paginate(
+        slack.conversations.replies,
+        { channel: file.channel, ts: file.threadTs },
+        MAX_SLACK_THREAD_MESSAGES
+      );
+      let permalink = null;
+      try {
+        ({ permalink } = await slack.chat.getPermalink({
+          channel: file.channel,
+          message_ts: file.threadTs,
+        }));
+      } catch (error) {
+        console.warn(
+          `Could not get a permalink for Slack thread ${file.id}:`,
+          error.message
+        );
+      }
+      return {
+        permalink,
+        channelName: file.channelName,
+        resolved: isResolvedThread(replies),
+        messages: await anonymizeThread(replies, resolver.channelName),
+      };
+    },
+  };
+}
+
+/**
+ * Combines sources into one, so a single run (and manifest) covers them all.
+ * Each file is fetched by the source that listed it.
+ * @param {Array<object>} sources - Source stages.
+ * @returns {object} - Source stage.
+ */
+function combineSources(sources) {
+  if (sources.length === 1) {
+    return sources[0];
+  }
+  const owners = new Map();
+  return {
+    name: sources.map((source) => source.name).join(' + '),
+
+    async listFiles(parsers) {
+      const files = [];
+      for (const source of sources) {
+        (await source.listFiles(parsers)).forEach((file) => {
+          owners.set(file.id, source);
+          files.push(file);
+        });
+      }
+      return files;
+    },
+
+    fetchContent: (file, parser) =>
+      owners.get(file.id).fetchContent(file, parser),
+
+    retainsUnlisted: (fileId) =>
+      sources.some(
+        (source) => source.retainsUnlisted && source.retainsUnlisted(fileId)
+      ),
+  };
+}
+
+module.exports = {
+  combineSources,
+  createDriveSource,
+  createLocalSource,
+  createSlackSource,
+  listDriveFiles,
+};
@@ -0,0 +1,297 @@
+/**
+ * Splits parsed runbook segments into chunks with stable IDs and source metadata.
+ * Markdown is split along its headings: every chunk belongs to one section,
+ * starts with the section's heading breadcrumb and records it in
+ * `metadata.section`. Numbered step lists and code blocks are kept whole
+ * where possible so a procedure is not cut in the middle. Conversation
+ * segments (past Slack threads) are kept whole as a single chunk.
+ */
+const { Document } = require('@langchain/core/documents');
+const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+
+const CHUNK_SIZE = 1000; // Characters per chunk
+const CHUNK_OVERLAP = 150; // Characters overlap when a single paragraph has to be cut
+const MAX_STEP_LIST_SIZE = 3000; // Numbered lists up to this size stay in one (oversized) chunk
+const MIN_CHUNK_BUDGET = 300; // Room left for content after a long breadcrumb
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const NUMBERED_ITEM_PATTERN = /^\s*\d+[.)]\s+/;
+
+/**
+ * Removes Markdown emphasis and escapes from a heading
+ * (Google Docs exports headings like `# **Failover**`).
+ * @param {string} title - Raw heading text.
+ * @returns {string}
+ */
+function cleanHeading(title) {
+  return title
+    .replace(/(\*\*|__|\*|_)(.+?)\1/g, '$2')
+    .replace(/\\([\\`*_{}[\]()#+\-.!])/g, '$1')
+    .trim();
+}
+
+/**
+ * Splits a segment into sections at its Markdown headings. Headings inside
+ * code fences are ignored. Plain text is a single section without headings.
+ * @param {string} text - Segment text.
+ * @param {string} format - 'markdown' or 'text'.
+ * @returns {Array<{headings: string[], body: string}>}
+ */
+function splitIntoSections(text, format) {
+  const normalized = text.replace(/\r\n?/g, '\n');
+  if (format !== 'markdown') {
+    return [{ headings: [], body: normalized }];
+  }
+
+  const sections = [];
+  let stack = []; // [{level, title}]
+  let lines = [];
+  let inFence = false;
+  const flush = () => {
+    const body = lines.join('\n');
+    if (body.trim()) {
+      sections.push({ headings: stack.map((h) => h.title), body });
+    }
+    lines = [];
+  };
+
+  normalized.split('\n').forEach((line) => {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+    const match = !inFence && line.match(HEADING_PATTERN);
+    if (!match) {
+      lines.push(line);
+      return;
+    }
+    flush();
+    const level = match[1].length;
+    stack = stack.filter((heading) => heading.level < level);
+    stack.push({ level, title: cleanHeading(match[2]) });
+  });
+  flush();
+  return sections;
+}
+
+/**
+ * Groups section lines into blocks: paragraphs, code blocks and numbered
+ * lists. A numbered list, including blank lines and indented lines between
+ * its items, forms a single block.
+ * @param {string} body - Section body.
+ * @returns {Array<{kind: string, text: string}>}
+ */
+function splitIntoBlocks(body) {
+  const blocks = [];
+  const lines = body.split('\n');
+  let current = null; // {kind, lines, inFence}
+  const flush = () => {
+    if (current) {
+      const text = current.lines.join('\n').trim();
+      if (text) {
+        blocks.push({ kind: current.kind, text });
+      }
+    }
+    current = null;
+  };
+
+  lines.forEach((line, index) => {
+    if (current && current.inFence) {
+      current.lines.push(line);
+      current.inFence = !FENCE_PATTERN.test(line);
+      return;
+    }
+
+    if (!line.trim()) {
+      if (current && current.kind === 'list') {
+        // Keep the list open if it continues after the blank line
+        const next = lines.slice(index + 1).find((l) => l.trim());
+        if (next && (NUMBERED_ITEM_PATTERN.test(next) || /^\s/.test(next))) {
+          current.lines.push(line);
+          return;
+        }
+      }
+      flush();
+      return;
+    }
+
+    if (FENCE_PATTERN.test(line)) {
+      if (current && current.kind === 'list') {
+        current.lines.push(line);
+      } else {
+        flush();
+        current = { kind: 'code', lines: [line] };
+      }
+      current.inFence = true;
+      return;
+    }
+
+    if (NUMBERED_ITEM_PATTERN.test(line)) {
+      if (!current || current.kind !== 'list') {
+        flush();
+        current = { kind: 'list', lines: [] };
+      }
+      current.lines.push(line);
+      return;
+    }
+
+    if (current && current.kind === 'code') {
+      flush();
+    }
+    if (!current) {
+      current = { kind: 'paragraph', lines: [] };
+    }
+    current.lines.push(line);
+  });
+  flush();
+  return blocks;
+}
+
+/**
+ * Cuts a block that does not fit in one chunk. Lists are cut between steps,
+ * never inside one; other blocks fall back to the character splitter.
+ * @param {{kind: string, text: string}} block - The oversized block.
+ * @param {number} budget - Maximum characters per piece.
+ * @returns {Promise<string[]>}
+ */
+async function splitOversizedBlock(block, budget) {
+  const characterSplitter = new RecursiveCharacterTextSplitter({
+    chunkSize: budget,
+    chunkOverlap: Math.min(CHUNK_OVERLAP, Math.floor(budget / 4)),
+  });
+  if (block.kind !== 'list') {
+    return characterSplitter.splitText(block.text);
+  }
+  if (block.text.length <= MAX_STEP_LIST_SIZE) {
+    return [block.text];
+  }
+
+  const steps = [];
+  block.text.split('\n').forEach((line) => {
+    if (NUMBERED_ITEM_PATTERN.test(line) || steps.length === 0) {
+      steps.push(line);
+    } else {
+      steps[steps.length - 1] += `\n${line}`;
+    }
+  });
+
+  const pieces = [];
+  let current = '';
+  for (const step of steps.map((s) => s.trim())) {
+    if (step.length > budget) {
+      if (current) {
+        pieces.push(current);
+        current = '';
+      }
+      pieces.push(...(await characterSplitter.splitText(step)));
+    } else if (current && current.length + step.length + 1 > budget) {
+      pieces.push(current);
+      current = step;
+    } else {
+      current = current ? `${current}\n${step}` : step;
+    }
+  }
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+/**
+ * Packs a section's blocks into chunk texts of at most `budget` characters.
+ * Blocks are not overlapped; the breadcrumb carries the context instead.
+ * @param {string} body - Section body.
+ * @param {number} budget - Maximum characters per chunk (excluding the breadcrumb).
+ * @returns {Promise<string[]>}
+ */
+async function packSection(body, budget) {
+  const chunks = [];
+  let current = '';
+  for (const block of splitIntoBlocks(body)) {
+    const pieces =
+      block.text.length > budget
+        ? await splitOversizedBlock(block, budget)
+        : [block.text];
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > budget) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Splits parsed content into LangChain Document objects with unique IDs.
+ * Chunk IDs are `<fileId>_chunk_<n>`, which the manifest relies on to find
+ * orphaned chunks when a runbook shrinks.
+ * @param {string|Array<{text: string, format: string, metadata: object}>} content - Segments from the parser (a string is treated as one plain text segment).
+ * @param {object} file - The file object { id, name, folderPath, sourceType, mimeType?, modifiedTime?, namespaces? }.
+ * @returns {Promise<Array<import("@langchain/core/documents").Document>>} - Array of LangChain documents.
+ */
+async function splitText(content, file) {
+  const segments =
+    typeof content === 'string'
+      ? [{ text: content, format: 'text', metadata: {} }]
+      : content;
+  if (
+    !Array.isArray(segments) ||
+    !segments.some((segment) => segment.text && segment.text.trim())
+  ) {
+    console.warn(
+      `Skipping splitting for file ${file.name} due to empty or invalid text content.`
+    );
+    return [];
+  }
+
+  console.log(`Splitting text for file: ${file.name}`);
+  const documents = [];
+  const addChunk = (text, segment, breadcrumb) =>
+    documents.push(
+      new Document({
+        pageContent: text,
+        metadata: {
+          source: file.id, // Use file ID as source
+          name: file.name, // Keep original file name
+          folderPath: file.folderPath || '', // e.g. payments/db/failover
+          sourceType: file.sourceType || 'drive', // Used to build citation links
+          // Used by retrieval filters (src/rag/filters.js)
+          ...(file.mimeType ? { mimeType: file.mimeType } : {}),
+          ...(file.modifiedTime ? { modifiedTime: file.modifiedTime } : {}),
+          ...(file.namespaces && file.namespaces.length > 0
+            ? { namespaces: file.namespaces }
+            : {}),
+          ...(breadcrumb ? { section: breadcrumb } : {}),
+          ...segment.metadata, // e.g. the PDF page number
+          id: `${file.id}_chunk_${documents.length}`,
+        },
+      })
+    );
+
+  for (const segment of segments) {
+    if (segment.format === 'conversation') {
+      // A question and its answer only make sense together
+      addChunk(segment.text, segment, '');
+      continue;
+    }
+    for (const section of splitIntoSections(segment.text, segment.format)) {
+      const breadcrumb = section.headings.join(' > ');
+      const prefix = breadcrumb ? `Section: ${breadcrumb}\n\n` : '';
+      const budget = Math.max(CHUNK_SIZE - prefix.length, MIN_CHUNK_BUDGET);
+      const texts = await packSection(section.body, budget);
+      texts.forEach((text) =>
+        addChunk(`${prefix}${text}`, segment, breadcrumb)
+      );
+    }
+  }
+
+  console.log(`Created ${documents.length} chunks for file: ${file.name}`);
+  return documents;
+}
+
+module.exports = { splitText };
@@ -0,0 +1,174 @@
+/**
+ * Question answering flow shared by every Slack entry point (mentions,
+ * slash commands): rewrite the question into search queries, retrieve
+ * runbook chunks, then generate a cited answer.
+ */
+const { initializeRetriever } = require('./retriever');
+const { generateAnswer } = require('./generator');
+const { rewriteQuery } = require('./queryRewriter');
+
+// Cache the retriever instance (initialized at startup, retried lazily on failure)
+let retriever = null;
+
+/**
+ * Initializes the retriever up front so the first question is fast.
+ * Failure is logged, not thrown; getRetriever retries on the first question.
+ * @returns {Promise<boolean>} - Whether the retriever is ready.
+ */
+async function warmUpRetriever() {
+  try {
+    retriever = await initializeRetriever();
+    return true;
+  } catch (error) {
+    console.error(
+      'Retriever initialization failed at startup. Will retry on first question.',
+      error
+    );
+    return false;
+  }
+}
+
+/**
+ * Returns the retriever, initializing it if startup initialization failed.
+ * @returns {Promise<import("./hybridRetriever").HybridRetriever>}
+ */
+async function getRetriever() {
+  if (!retriever) {
+    retriever = await initializeRetriever();
+  }
+  return retriever;
+}
+
+/**
+ * Whether the retriever has been initialized.
+ * @returns {boolean}
+ */
+function isRetrieverReady() {
+  return retriever !== null;
+}
+
+/**
+ * Identifies a retrieved chunk, to merge results of several queries.
+ * @param {import("@langchain/core/documents").Document} document
+ * @returns {string}
+ */
+function documentKey(document) {
+  return (document.metadata && document.metadata.id) || document.pageContent;
+}
+
+/**
+ * Merges the results of several queries: their best matches first, taking
+ * turns between queries, without repeats and no more than one query returns.
+ * @param {Array<Array<import("@langchain/core/documents").Document>>} resultLists - Results per query, best first.
+ * @returns {Array<import("@langchain/core/documents").Document>}
+ */
+function mergeResults(resultLists) {
+  const limit = Math.max(0, ...resultLists.map((results) => results.length));
+  const merged = new Map();
+  for (let rank = 0; rank < limit; rank += 1) {
+    resultLists.forEach((results) => {
+      const document = results[rank];
+      if (document && !merged.has(documentKey(document))) {
+        merged.set(documentKey(document), document);
+      }
+    });
+  }
+  return [...merged.values()].slice(0, limit);
+}
+
+/**
+ * Builds the search queries for a question, falling back to the question
+ * itself if rewriting fails.
+ * @param {string} question - The user's question.
+ * @param {string} slackHistory - Formatted conversation history.
+ * @param {object} logger - Bolt logger.
+ * @returns {Promise<string[]>} - The main query first.
+ */
+async function buildSearchQueries(question, slackHistory, logger) {
+  try {
+    const { query, variants, rewritten } = await rewriteQuery(
+      question,
+      slackHistory
+    );
+    if (rewritten) {
+      logger.info(`Search query: "${query}"`, { question, variants });
+    }
+    return [query, ...variants];
+  } catch (error) {
+    logger.warn('Query rewriting failed; searching for the question', error);
+    return [question];
+  }
+}
+
+/**
+ * Answers a question from the runbooks.
+ * Failures are returned as an `errorKey` naming the ERROR_MESSAGES entry to
+ * show the user, so each caller can reply in its own way.
+ * @param {string} question - The user's question.
+ * @param {string} slackHistory - Formatted conversation history.
+ * @param {object} logger - Bolt logger.
+ * @param {object} [options]
+ * @param {(stage: 'retrieving'|'drafting', details?: object) => Promise<void>|void} [options.onStage] -
+ *   Called when a stage starts; 'drafting' gets the number of documents found.
+ * @param {(partialAnswer: string) => void} [options.onPartial] - Streams the answer as it is generated.
+ * @param {object} [options.retrieval] - Retrieval options for this question: k, minScore and
+ *   filter (see HybridRetriever#retrieve). Defaults to the configured ones.
+ * @param {string[]} [options.styleExamples] - Style examples for the answer's personality.
+ * @returns {Promise<{answer?: string, citations?: Array<object>, errorKey?: string}>}
+ */
+async function answerQuestion(
+  question,
+  slackHistory,
+  logger,
+  { onStage = () => {}, onPartial, retrieval = {}, styleExamples } = {}
+) {
+  let activeRetriever;
+  try {
+    activeRetriever = await getRetriever();
+  } catch (error) {
+    logger.error('Retriever is unavailable:', error);
+    return { errorKey: 'RETRIEVER_UNAVAILABLE' };
+  }
+
+  let documents;
+  try {
+    await onStage('retrieving');
+    const queries = await buildSearchQueries(question, slackHistory, logger);
+    documents = mergeResults(
+      await Promise.all(
+        queries.map((query) => activeRetriever.retrieve(query, retrieval))
+      )
+    );
+    logger.info(
+      `Retrieved ${documents.length} documents for question (${queries.length} ${queries.length === 1 ? 'query' : 'queries'}).`
+    );
+  } catch (error) {
+    logger.error('Error retrieving documents:', error);
+    return { errorKey: 'RETRIEVAL_ERROR' };
+  }
+
+  if (documents.length === 0) {
+    return { errorKey: 'NO_DOCUMENTS' };
+  }
+
+  try {
+    await onStage('drafting', { documentCount: documents.length });
+    const { answer, citations } = await generateAnswer(
+      question,
+      documents,
+      slackHistory,
+      { onPartial, styleExamples }
+    );
+    return { answer, citations };
+  } catch (error) {
+    logger.error('Error generating answer:', error);
+    return { errorKey: 'GENERATION_ERROR' };
+  }
+}
+
+module.exports = {
+  answerQuestion,
+  getRetriever,
+  isRetrieverReady,
+  warmUpRetriever,
+};
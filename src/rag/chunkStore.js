@@ -0,0 +1,85 @@
+/**
+ * Chunk text and metadata for the Vertex AI backend.
+ * Vector Search only keeps datapoint IDs, vectors and restricts, so the
+ * ingestion sink writes each chunk's text and metadata here, keyed by the
+ * datapoint ID, and the retriever looks the neighbors up in it. It also holds
+ * the whole corpus for the keyword index.
+ */
+const { Document } = require('@langchain/core/documents');
+const { createJsonStore } = require('../storage/jsonStore');
+
+const CHUNKS_VERSION = 1;
+
+/**
+ * Creates the chunk store: Cloud Storage when CHUNK_STORE_BUCKET is set,
+ * otherwise a local file (CHUNK_STORE_PATH).
+ * @param {object} config - The loaded configuration.
+ * @returns {{location: string, load: () => Promise<Map<string, Document>>, save: (changes: {upserts: Array<object>, removals: string[]}) => Promise<number>}}
+ */
+function createChunkStore(config) {
+  const store = createJsonStore({
+    bucket: config.chunkStoreBucket,
+    objectName: config.chunkStoreObject,
+    filePath: config.chunkStorePath,
+  });
+
+  return {
+    location: store.location,
+
+    /**
+     * Loads every chunk. A missing store yields no chunks.
+     * @returns {Promise<Map<string, Document>>} - Chunks keyed by datapoint ID.
+     */
+    async load() {
+      const document = await store.read();
+      if (document && document.version !== CHUNKS_VERSION) {
+        throw new Error(
+          `Unsupported chunk store version ${document.version} in ${store.location}`
+        );
+      }
+      const chunks = new Map();
+      Object.entries((document && document.chunks) || {}).forEach(
+        ([id, chunk]) => {
+          chunks.set(
+            id,
+            new Document({
+              pageContent: chunk.pageContent,
+              metadata: { ...chunk.metadata, id },
+            })
+          );
+        }
+      );
+      return chunks;
+    },
+
+    /**
+     * Applies the chunks upserted into and removed from the index in one write.
+     * @param {object} changes
+     * @param {Array<{id: string, pageContent: string, metadata: object}>} changes.upserts
+     * @param {string[]} changes.removals - IDs of removed chunks.
+     * @returns {Promise<number>} - Number of chunks in the store afterwards.
+     */
+    async save({ upserts, removals }) {
+      const saved = await store.update((current) => {
+        const chunks = { ...((current && current.chunks) || {}) };
+        removals.forEach((id) => {
+          delete chunks[id];
+        });
+        upserts.forEach((chunk) => {
+          chunks[chunk.id] = {
+            pageContent: chunk.pageContent,
+            metadata: chunk.metadata,
+          };
+        });
+        return {
+          version: CHUNKS_VERSION,
+          updatedAt: new Date().toISOString(),
+          chunks,
+        };
+      });
+      return Object.keys(saved.chunks).length;
+    },
+  };
+}
+
+module.exports = { createChunkStore };
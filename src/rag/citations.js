@@ -0,0 +1,108 @@
+/**
+ * Citation helpers: number the retrieved chunks for the prompt and turn them
+ * into structured sources (runbook name, link, section) for the Slack answer.
+ * Chunks from past Slack threads (sourceType 'slack_thread') are cited as a
+ * previous thread, linked to its permalink.
+ */
+
+/**
+ * Builds a link to the source document from chunk metadata.
+ * Drive chunks store the file ID in `source`; Slack threads store their
+ * permalink in `url`; local files have no link.
+ * @param {object} metadata - Chunk metadata.
+ * @returns {string|null} - The URL, or null if the source has no link.
+ */
+function buildSourceUrl(metadata) {
+  if (metadata.url) {
+    return metadata.url;
+  }
+  if (metadata.sourceType === 'local' || !metadata.source) {
+    return null;
+  }
+  return `https://drive.google.com/open?id=${encodeURIComponent(metadata.source)}`;
+}
+
+/**
+ * Groups documents into numbered sources. Chunks from the same runbook section
+ * share a number so the model cites the section rather than the chunk.
+ * PDF chunks carry a page number; a source lists the pages of its chunks.
+ * @param {Array<import("@langchain/core/documents").Document>} documents - Retrieved documents.
+ * @returns {Array<{number: number, name: string, url: string|null, folderPath: string|null, section: string|null, pages: number[], sourceId: string, sourceType: string|null, chunkIds: string[], documents: Array<import("@langchain/core/documents").Document>}>}
+ */
+function buildCitations(documents) {
+  const citations = [];
+  const byKey = new Map();
+
+  documents.forEach((doc) => {
+    const metadata = doc.metadata || {};
+    const section = metadata.section || null;
+    const key = `${metadata.source}::${section}`;
+    let citation = byKey.get(key);
+    if (!citation) {
+      citation = {
+        number: citations.length + 1,
+        name: metadata.name || metadata.source || 'Unknown source',
+        url: buildSourceUrl(metadata),
+        folderPath: metadata.folderPath || null,
+        section,
+        pages: [],
+        sourceId: metadata.source,
+        sourceType: metadata.sourceType || null,
+        chunkIds: [],
+        documents: [],
+      };
+      byKey.set(key, citation);
+      citations.push(citation);
+    }
+    citation.documents.push(doc);
+    if (metadata.page && !citation.pages.includes(metadata.page)) {
+      citation.pages.push(metadata.page);
+      citation.pages.sort((a, b) => a - b);
+    }
+    if (metadata.id) {
+      citation.chunkIds.push(metadata.id);
+    }
+  });
+
+  return citations;
+}
+
+/**
+ * Formats numbered sources as the runbook context for the prompt.
+ * @param {Array<object>} citations - Output of buildCitations.
+ * @returns {string}
+ */
+function formatCitationsForPrompt(citations) {
+  return citations
+    .map((citation) => {
+      const kind =
+        citation.sourceType === 'slack_thread'
+          ? 'Previous Slack thread'
+          : 'Runbook';
+      const header = `[${citation.number}] ${kind}: ${citation.name}${
+        citation.folderPath ? ` | Folder: ${citation.folderPath}` : ''
+      }${citation.section ? ` | Section: ${citation.section}` : ''}${
+        citation.pages.length > 0 ? ` | Page: ${citation.pages.join(', ')}` : ''
+      }`;
+      const content = citation.documents
+        .map((doc) => doc.pageContent)
+        .join('\n\n');
+      return `${header}\n${content}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Strips the document payloads so citations can be logged or stored.
+ * @param {Array<object>} citations - Output of buildCitations.
+ * @returns {Array<{number: number, name: string, url: string|null, folderPath: string|null, section: string|null, pages: number[], sourceId: string, sourceType: string|null, chunkIds: string[]}>}
+ */
+function toPlainCitations(citations) {
+  return citations.map(({ documents, ...citation }) => citation);
+}
+
+module.exports = {
+  buildCitations,
+  formatCitationsForPrompt,
+  toPlainCitations,
+};
@@ -0,0 +1,165 @@
+/**
+ * Metadata filters for retrieval, e.g. "only payments runbooks" or "only
+ * runbooks changed in the last 90 days".
+ * A filter is checked against chunk metadata after the search, and pushed
+ * down to Vertex AI Vector Search as restricts so the candidates are already
+ * narrowed there. Chunks are tagged with the matching restricts at ingestion
+ * (see chunkRestricts).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} RetrievalFilter
+ * @property {string} [folder] - Folder path, e.g. "payments" (includes its subfolders).
+ * @property {string} [fileName] - Exact runbook file name (case-insensitive).
+ * @property {string} [documentType] - MIME type, e.g. "application/pdf".
+ * @property {number} [modifiedWithinDays] - Only runbooks modified this many days back.
+ * @property {string[]} [namespaces] - Knowledge namespaces (see src/config/channels.js); a chunk
+ *   matches if it belongs to any of them.
+ */
+
+/**
+ * Lists a folder path and its ancestors, so a filter on a folder matches its
+ * subfolders: "a/b/c" -> ["a", "a/b", "a/b/c"].
+ * @param {string} folderPath
+ * @returns {string[]}
+ */
+function folderAncestors(folderPath) {
+  const parts = (folderPath || '').split('/').filter(Boolean);
+  return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Drops empty filter fields.
+ * @param {RetrievalFilter} [filter]
+ * @returns {RetrievalFilter|null} - The filter, or null if it has no fields.
+ */
+function normalizeFilter(filter) {
+  if (!filter) {
+    return null;
+  }
+  const normalized = {};
+  if (filter.folder) {
+    normalized.folder = filter.folder.replace(/^\/+|\/+$/g, '');
+  }
+  if (filter.fileName) {
+    normalized.fileName = filter.fileName;
+  }
+  if (filter.documentType) {
+    normalized.documentType = filter.documentType;
+  }
+  if (filter.modifiedWithinDays) {
+    normalized.modifiedWithinDays = Number(filter.modifiedWithinDays);
+  }
+  if (filter.namespaces && filter.namespaces.length > 0) {
+    normalized.namespaces = [...filter.namespaces];
+  }
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Checks chunk metadata against a filter.
+ * @param {object} metadata - Chunk metadata (see src/ingestion/splitter.js).
+ * @param {RetrievalFilter} filter - A normalized filter.
+ * @param {Date} [now] - Current time, for modifiedWithinDays.
+ * @returns {boolean}
+ */
+function matchesFilter(metadata, filter, now = new Date()) {
+  if (
+    filter.folder &&
+    !folderAncestors(metadata.folderPath).includes(filter.folder)
+  ) {
+    return false;
+  }
+  if (
+    filter.fileName &&
+    (metadata.name || '').toLowerCase() !== filter.fileName.toLowerCase()
+  ) {
+    return false;
+  }
+  if (filter.documentType && metadata.mimeType !== filter.documentType) {
+    return false;
+  }
+  if (filter.modifiedWithinDays) {
+    const modified = new Date(metadata.modifiedTime).getTime();
+    if (
+      Number.isNaN(modified) ||
+      modified < now.getTime() - filter.modifiedWithinDays * DAY_MS
+    ) {
+      return false;
+    }
+  }
+  if (
+    filter.namespaces &&
+    !(metadata.namespaces || []).some((namespace) =>
+      filter.namespaces.includes(namespace)
+    )
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Builds the Vertex AI restricts a chunk is tagged with at ingestion.
+ * @param {object} metadata - Chunk metadata.
+ * @returns {{restricts: Array<{namespace: string, allowList: string[]}>, numericRestricts: Array<{namespace: string, valueInt: number}>}}
+ */
+function chunkRestricts(metadata) {
+  const restricts = [
+    { namespace: 'folder', allowList: folderAncestors(metadata.folderPath) },
+    { namespace: 'fileName', allowList: [(metadata.name || '').toLowerCase()] },
+    { namespace: 'documentType', allowList: [metadata.mimeType || ''] },
+    { namespace: 'namespace', allowList: metadata.namespaces || [] },
+  ].filter((restrict) => restrict.allowList.some(Boolean));
+  const modified = new Date(metadata.modifiedTime).getTime();
+  return {
+    restricts,
+    numericRestricts: Number.isNaN(modified)
+      ? []
+      : [
+          {
+            namespace: 'modifiedTime',
+            valueInt: Math.floor(modified / 1000),
+          },
+        ],
+  };
+}
+
+/**
+ * Turns a filter into Vertex AI query restricts. The modification window is
+ * only checked on the results, since it needs a numeric restrict.
+ * @param {RetrievalFilter} filter - A normalized filter.
+ * @returns {Array<{namespace: string, allowList: string[]}>}
+ */
+function toVertexRestricts(filter) {
+  const restricts = [];
+  if (filter.folder) {
+    restricts.push({ namespace: 'folder', allowList: [filter.folder] });
+  }
+  if (filter.fileName) {
+    restricts.push({
+      namespace: 'fileName',
+      allowList: [filter.fileName.toLowerCase()],
+    });
+  }
+  if (filter.documentType) {
+    restricts.push({
+      namespace: 'documentType',
+      allowList: [filter.documentType],
+    });
+  }
+  if (filter.namespaces) {
+    restricts.push({ namespace: 'namespace', allowList: filter.namespaces });
+  }
+  return restricts;
+}
+
+module.exports = {
+  chunkRestricts,
+  folderAncestors,
+  matchesFilter,
+  normalizeFilter,
+  toVertexRestricts,
+};
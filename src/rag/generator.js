@@ -1,11 +1,15 @@
-const { ChatVertexAI } = require('@langchain/google-vertexai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
 const { RunnableSequence } = require('@langchain/core/runnables');
-const { formatDocumentsAsString } = require('langchain/util/document');
 const fs = require('fs');
 const path = require('path');
 const { getConfig } = require('../config');
+const { createLlmClient } = require('./llmProviders');
+const {
+  buildCitations,
+  formatCitationsForPrompt,
+  toPlainCitations,
+} = require('./citations');
 
 // --- Load Style Examples --- //
 let STYLE_EXAMPLES = [];
@@ -41,44 +45,23 @@ let llm; // Cache LLM client instance
 let config;
 
 /**
- * Initializes and returns the ChatVertexAI LLM client.
+ * Initializes and returns the LLM client for the configured provider (LLM_PROVIDER).
  * Caches the instance after the first call.
- * @returns {Promise<ChatVertexAI>}
+ * @returns {Promise<import("@langchain/core/language_models/chat_models").BaseChatModel>}
  */
 async function getLlmClient() {
   if (llm) {
     return llm;
   }
 
-  console.log('Initializing Gemini LLM Client...');
+  console.log('Initializing LLM Client...');
   try {
     config = await getConfig(); // Ensure config is loaded
-
-    // Validate config
-    if (
-      !config.vertexAiLlmModelName ||
-      !config.gcpProjectId ||
-      !config.gcpRegion
-    ) {
-      throw new Error(
-        'Missing required config for LLM: Model Name, Project ID, Region'
-      );
-    }
-
-    llm = new ChatVertexAI({
-      modelName: config.vertexAiLlmModelName, // e.g., "gemini-1.0-pro"
-      temperature: 0.2, // Lower for factual RAG, adjust as needed
-      maxOutputTokens: 1024, // Adjust as needed
-      projectId: config.gcpProjectId,
-      location: config.gcpRegion,
-      // Credentials handled implicitly by google-auth-library (ADC)
-    });
-    console.log(
-      `Gemini LLM Client initialized with model ${config.vertexAiLlmModelName}.`
-    );
+    llm = createLlmClient(config);
+    console.log(`LLM Client initialized (provider=${config.llmProvider}).`);
     return llm;
   } catch (error) {
-    console.error('Failed to initialize Gemini LLM Client:', error);
+    console.error('Failed to initialize LLM Client:', error);
     throw error; // Re-throw for upstream handling
   }
 }
@@ -91,7 +74,7 @@ Your responses MUST emulate the writing style demonstrated in the examples below
 
 Style Examples to Emulate:
 ---------------------------
-${FORMATTED_STYLE_EXAMPLES}
+{style_examples}
 ---------------------------
 
 <<< END PERSONALITY INSTRUCTIONS >>>
@@ -107,13 +90,15 @@ Follow these instructions carefully for generating the response content:
 8. For step-by-step instructions, use numbered lists and emphasize critical steps or warnings.
 9. When using technical terminology or mentioning system names, ensure they exactly match what's in the runbooks.
 10. Always prefer direct, practical advice over theoretical explanations when the question implies an urgent problem.
+11. The runbook context is split into numbered sources like "[2] Runbook: ...". After every step or fact taken from a runbook, cite its source number in square brackets, e.g. "Fail over the replica [2]". Only cite numbers that appear in the context, and do not add a separate list of sources at the end (it is added automatically).
+12. Sources labelled "Previous Slack thread" are earlier support conversations, not runbooks. When you use one, say that the answer comes from a previous thread (e.g. "In a previous thread, restarting the consumer fixed this [3]") and prefer the runbooks when they disagree.
 
 Conversation History (Oldest to Newest):
 ------------------------------------------
 {slack_history}
 ------------------------------------------
 
-Context from Runbooks:
+Context from Runbooks (numbered sources):
 ----------------------
 {context}
 ----------------------
@@ -129,9 +114,21 @@ const ragPrompt = PromptTemplate.fromTemplate(RAG_PROMPT_TEMPLATE);
  * @param {string} question - The user's original question.
  * @param {Array<import("@langchain/core/documents").Document>} documents - Documents retrieved from Vector Search.
  * @param {string} slackHistory - Formatted string of Slack conversation history.
- * @returns {Promise<string>} - The generated answer string.
+ * @param {object} [options]
+ * @param {(partialAnswer: string) => void} [options.onPartial] - Called with the answer so far
+ *   while it is streamed. Models without streaming call it once with the whole answer.
+ * @param {string[]} [options.styleExamples] - Style examples for the channel's personality.
+ *   Defaults to src/config/style-examples.json.
+ * @returns {Promise<{answer: string, citations: Array<{number: number, name: string, url: string|null, folderPath: string|null, section: string|null, pages: number[], sourceId: string, sourceType: string|null, chunkIds: string[]}>}>}
+ *   - The generated answer and the numbered sources it was given.
+ * @throws {Error} - If the input is invalid or generation fails, so callers can report it.
  */
-async function generateAnswer(question, documents, slackHistory) {
+async function generateAnswer(
+  question,
+  documents,
+  slackHistory,
+  { onPartial, styleExamples } = {}
+) {
   // Add validation for slackHistory
   if (
     !question ||
@@ -139,22 +136,25 @@ async function generateAnswer(question, documents, slackHistory) {
     documents === undefined ||
     slackHistory === undefined
   ) {
-    console.error(
+    throw new Error(
       'generateAnswer received invalid input (question, documents, or slackHistory).'
     );
-    return 'Error: Invalid input provided for answer generation.';
   }
 
   try {
     const currentLlm = await getLlmClient();
+    const citations = buildCitations(documents);
 
     const ragChain = RunnableSequence.from([
       {
         // Prepare context, history and question for the prompt template
-        context: (input) => formatDocumentsAsString(input.documents),
+        context: (input) => formatCitationsForPrompt(input.citations),
         slack_history: (input) => input.slackHistory,
         question: (input) => input.question,
-        // No need to pass style_examples here, it's embedded in the template
+        style_examples: (input) =>
+          input.styleExamples
+            ? input.styleExamples.map((ex) => `- ${ex}`).join('\n')
+            : FORMATTED_STYLE_EXAMPLES,
       },
       ragPrompt,
       currentLlm,
@@ -165,22 +165,30 @@ async function generateAnswer(question, documents, slackHistory) {
       `Invoking RAG generation chain with history for question: "${question.substring(0, 50)}..."`
     );
 
-    // Invoke the chain, passing history
-    const answer = await ragChain.invoke({
-      question,
-      documents,
-      slackHistory,
-    });
+    // Invoke the chain, passing history. Stream it when someone is watching.
+    const input = { question, citations, slackHistory, styleExamples };
+    let answer = '';
+    if (onPartial) {
+      for await (const chunk of await ragChain.stream(input)) {
+        answer += chunk;
+        onPartial(answer);
+      }
+    } else {
+      answer = await ragChain.invoke(input);
+    }
 
     console.log(
       `LLM generation completed. Answer length: ${answer?.length || 0}`
     );
-    return answer || 'LLM returned an empty response.';
+    if (!answer || !answer.trim()) {
+      throw new Error('LLM returned an empty response.');
+    }
+    return { answer, citations: toPlainCitations(citations) };
   } catch (error) {
     console.error(`Error during RAG generation: ${error.message}`, error.stack);
-    return 'Sorry, I encountered an internal error while trying to generate an answer.';
+    throw error; // Re-throw so the caller can send GENERATION_ERROR
   }
 }
 
 // --- Exports --- //
-module.exports = { generateAnswer };
+module.exports = { generateAnswer, getLlmClient };
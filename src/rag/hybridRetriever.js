@@ -0,0 +1,146 @@
+/**
+ * Hybrid keyword + vector retriever.
+ * Runs a vector search and a BM25 keyword search, fuses the two rankings with
+ * reciprocal-rank fusion (RRF) and drops chunks whose best score is below the
+ * relevance cut-off, so weak matches never reach the LLM.
+ * `retrieve` takes k, the cut-off and metadata filters per call; `invoke`
+ * uses the defaults the retriever was created with.
+ */
+const { BaseRetriever } = require('@langchain/core/retrievers');
+const { Document } = require('@langchain/core/documents');
+const { createKeywordIndex } = require('./keywordIndex');
+const { matchesFilter, normalizeFilter } = require('./filters');
+
+// RRF damping constant from the original paper (Cormack et al., 2009)
+const RRF_K = 60;
+
+/**
+ * Identifies a chunk across the two result lists.
+ * @param {import("@langchain/core/documents").Document} document
+ * @returns {string}
+ */
+function chunkKey(document) {
+  return (document.metadata && document.metadata.id) || document.pageContent;
+}
+
+class HybridRetriever extends BaseRetriever {
+  /**
+   * @param {object} fields
+   * @param {import("@langchain/core/vectorstores").VectorStore} fields.vectorStore - Vector store to search.
+   * @param {number} [fields.k=4] - Number of documents returned.
+   * @param {number} [fields.candidateCount=20] - Candidates taken from each search before fusion.
+   * @param {number} [fields.minScore=0] - Chunks whose vector similarity and keyword score are
+   *   both below this are dropped.
+   * @param {object} [fields.keywordIndex] - BM25 index over the whole corpus (createKeywordIndex).
+   *   Without one, keyword scores only re-rank the vector candidates.
+   * @param {(filter: import('./filters').RetrievalFilter) => any} [fields.toStoreFilter] - Turns a
+   *   retrieval filter into the vector store's own filter, to narrow the search itself.
+   */
+  constructor({
+    vectorStore,
+    k = 4,
+    candidateCount = 20,
+    minScore = 0,
+    keywordIndex = null,
+    toStoreFilter = () => undefined,
+    ...fields
+  }) {
+    super(fields);
+    this.vectorStore = vectorStore;
+    this.k = k;
+    this.candidateCount = candidateCount;
+    this.minScore = minScore;
+    this.keywordIndex = keywordIndex;
+    this.toStoreFilter = toStoreFilter;
+  }
+
+  get lc_namespace() {
+    return ['slack_support_bot', 'retrievers', 'hybrid'];
+  }
+
+  /**
+   * Retrieves the chunks for a query with the retriever's defaults.
+   * @param {string} query - The search query.
+   * @returns {Promise<Array<import("@langchain/core/documents").Document>>}
+   */
+  async _getRelevantDocuments(query) {
+    return this.retrieve(query);
+  }
+
+  /**
+   * Retrieves the chunks for a query, best first.
+   * @param {string} query - The search query.
+   * @param {object} [options] - Overrides for this call.
+   * @param {number} [options.k] - Number of documents returned.
+   * @param {number} [options.minScore] - Relevance cut-off (0-1).
+   * @param {import('./filters').RetrievalFilter} [options.filter] - Only chunks matching this metadata.
+   * @returns {Promise<Array<import("@langchain/core/documents").Document>>}
+   *   - Up to k chunks; metadata.relevanceScore holds the score compared with the cut-off.
+   */
+  async retrieve(
+    query,
+    { k = this.k, minScore = this.minScore, filter: requestedFilter } = {}
+  ) {
+    const filter = normalizeFilter(requestedFilter);
+    const matches = (document) =>
+      !filter || matchesFilter(document.metadata || {}, filter);
+    const candidateCount = Math.max(this.candidateCount, k);
+
+    const vectorResults = (
+      await this.vectorStore.similaritySearchWithScore(
+        query,
+        candidateCount,
+        filter ? this.toStoreFilter(filter) : undefined
+      )
+    ).filter(([document]) => matches(document));
+    const keywordIndex =
+      this.keywordIndex ||
+      createKeywordIndex(vectorResults.map(([document]) => document));
+    const keywordResults = keywordIndex.search(query, candidateCount, matches);
+
+    const candidates = new Map();
+    const candidate = (document) => {
+      const key = chunkKey(document);
+      if (!candidates.has(key)) {
+        candidates.set(key, {
+          document,
+          vectorScore: 0,
+          keywordScore: 0,
+          fusedScore: 0,
+        });
+      }
+      return candidates.get(key);
+    };
+    vectorResults.forEach(([document, score], rank) => {
+      const entry = candidate(document);
+      entry.vectorScore = score;
+      entry.fusedScore += 1 / (RRF_K + rank + 1);
+    });
+    keywordResults.forEach(({ document, score }, rank) => {
+      const entry = candidate(document);
+      entry.keywordScore = score;
+      entry.fusedScore += 1 / (RRF_K + rank + 1);
+    });
+
+    const ranked = [...candidates.values()]
+      .map((entry) => ({
+        ...entry,
+        relevanceScore: Math.max(entry.vectorScore, entry.keywordScore),
+      }))
+      .sort((a, b) => b.fusedScore - a.fusedScore);
+    const relevant = ranked.filter((entry) => entry.relevanceScore >= minScore);
+    console.log(
+      `Hybrid retrieval: ${relevant.length} of ${ranked.length} candidates scored at least ${minScore} (${vectorResults.length} vector, ${keywordResults.length} keyword matches${filter ? `, filter ${JSON.stringify(filter)}` : ''}).`
+    );
+
+    return relevant.slice(0, k).map(
+      ({ document, relevanceScore }) =>
+        new Document({
+          pageContent: document.pageContent,
+          metadata: { ...document.metadata, relevanceScore },
+        })
+    );
+  }
+}
+
+module.exports = { HybridRetriever };
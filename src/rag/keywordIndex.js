@@ -0,0 +1,104 @@
+/**
+ * BM25 keyword index over chunk text.
+ * Exact tokens such as error codes, alert names and hostnames often match
+ * badly in embedding space; keyword scores catch them. Scores are normalized
+ * to [0, 1] so they can be compared with vector similarity: 1 means every
+ * query term appears at least about once in an average-length chunk.
+ */
+const { tokenize } = require('./localEmbeddings');
+
+// Standard BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Question words that would otherwise count as query terms nothing matches
+const STOP_WORDS = new Set(
+  (
+    'a an and are as at be can do does for from how i if in is it me my of on ' +
+    'or our should so that the there this to was we what when where which who ' +
+    'why will with you'
+  ).split(' ')
+);
+
+/**
+ * Splits text into the terms the index compares.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function terms(text) {
+  return (
+    tokenize(text)
+      // Keep dots and dashes inside hostnames and codes, not at sentence ends
+      .map((term) => term.replace(/^[.-]+|[.-]+$/g, ''))
+      .filter((term) => term && !STOP_WORDS.has(term))
+  );
+}
+
+/**
+ * Builds a BM25 index over documents.
+ * @param {Array<import("@langchain/core/documents").Document>} documents - The chunks to index.
+ * @returns {{size: number, search: (query: string, limit?: number) => Array<{document: import("@langchain/core/documents").Document, score: number}>}}
+ */
+function createKeywordIndex(documents) {
+  const entries = documents.map((document) => {
+    const termCounts = new Map();
+    terms(document.pageContent).forEach((term) =>
+      termCounts.set(term, (termCounts.get(term) || 0) + 1)
+    );
+    const length = [...termCounts.values()].reduce((sum, n) => sum + n, 0);
+    return { document, termCounts, length };
+  });
+  const averageLength =
+    entries.reduce((sum, entry) => sum + entry.length, 0) /
+    Math.max(entries.length, 1);
+
+  const documentFrequency = new Map();
+  entries.forEach(({ termCounts }) => {
+    termCounts.forEach((count, term) =>
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+    );
+  });
+  const idf = (term) => {
+    const frequency = documentFrequency.get(term) || 0;
+    return Math.log(1 + (entries.length - frequency + 0.5) / (frequency + 0.5));
+  };
+
+  return {
+    size: entries.length,
+
+    /**
+     * Scores the documents against a query.
+     * @param {string} query - The search query.
+     * @param {number} [limit=Infinity] - Maximum number of results.
+     * @param {(document: import("@langchain/core/documents").Document) => boolean} [predicate] - Only documents it accepts.
+     * @returns {Array<{document: import("@langchain/core/documents").Document, score: number}>}
+     *   - Documents containing at least one query term, best first.
+     */
+    search(query, limit = Infinity, predicate = () => true) {
+      const queryTerms = [...new Set(terms(query))];
+      const weights = queryTerms.map(idf);
+      const fullMatchScore = weights.reduce((sum, weight) => sum + weight, 0);
+      if (fullMatchScore === 0) {
+        return [];
+      }
+
+      return entries
+        .filter(({ document }) => predicate(document))
+        .map(({ document, termCounts, length }) => {
+          const score = queryTerms.reduce((sum, term, i) => {
+            const count = termCounts.get(term) || 0;
+            const saturation =
+              (count * (K1 + 1)) /
+              (count + K1 * (1 - B + (B * length) / averageLength));
+            return sum + weights[i] * saturation;
+          }, 0);
+          return { document, score: Math.min(score / fullMatchScore, 1) };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+  };
+}
+
+module.exports = { createKeywordIndex };
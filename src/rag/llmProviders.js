@@ -0,0 +1,193 @@
+/**
+ * LLM provider registry.
+ * LLM_PROVIDER picks one of the providers below; each carries its own default
+ * temperature and token limit, which LLM_TEMPERATURE / LLM_MAX_OUTPUT_TOKENS override.
+ */
+const { ChatVertexAI } = require('@langchain/google-vertexai');
+const {
+  SimpleChatModel,
+} = require('@langchain/core/language_models/chat_models');
+
+const CONTEXT_START_MARKER = 'Context from Runbooks (numbered sources):';
+const MAX_FAKE_ANSWER_LENGTH = 1500;
+const DEFAULT_REQUEST_TIMEOUT_MS = 60000;
+
+// Maps LangChain message types to OpenAI chat roles
+const OPENAI_ROLES = {
+  system: 'system',
+  human: 'user',
+  ai: 'assistant',
+};
+
+/**
+ * Chat model for any OpenAI-compatible `/chat/completions` endpoint,
+ * e.g. a self-hosted model server (vLLM, Ollama, llama.cpp server).
+ */
+class OpenAICompatibleChatModel extends SimpleChatModel {
+  /**
+   * @param {object} fields
+   * @param {string} fields.baseUrl - Base URL of the API, e.g. http://localhost:11434/v1
+   * @param {string} fields.model - Model name to request.
+   * @param {string} [fields.apiKey] - Bearer token, if the server requires one.
+   * @param {number} fields.temperature - Sampling temperature.
+   * @param {number} fields.maxTokens - Maximum tokens to generate.
+   * @param {number} [fields.timeoutMs=60000] - Request timeout.
+   */
+  constructor(fields) {
+    super(fields);
+    this.baseUrl = fields.baseUrl.replace(/\/+$/, '');
+    this.model = fields.model;
+    this.apiKey = fields.apiKey;
+    this.temperature = fields.temperature;
+    this.maxTokens = fields.maxTokens;
+    this.timeoutMs = fields.timeoutMs || DEFAULT_REQUEST_TIMEOUT_MS;
+  }
+
+  _llmType() {
+    return 'openai-compatible';
+  }
+
+  async _call(messages) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        messages: messages.map((message) => ({
+          role: OPENAI_ROLES[message._getType()] || 'user',
+          content: message.content,
+        })),
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(
+        `OpenAI-compatible endpoint returned ${response.status}: ${body.substring(0, 500)}`
+      );
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+  }
+}
+
+/**
+ * Deterministic chat model for tests and offline runs.
+ * It answers by quoting the runbook context section of the prompt it receives.
+ */
+class FakeChatModel extends SimpleChatModel {
+  _llmType() {
+    return 'fake';
+  }
+
+  async _call(messages) {
+    const prompt = messages.map((message) => message.content).join('\n');
+    const contextStart = prompt.indexOf(CONTEXT_START_MARKER);
+    const context =
+      contextStart === -1
+        ? ''
+        : prompt
+            .slice(contextStart + CONTEXT_START_MARKER.length)
+            .split(/\n-{10,}/)[1] || '';
+
+    if (!context.trim()) {
+      return 'Fake LLM: no runbook context was provided for this question.';
+    }
+    return `Fake LLM (no model called): here is what the runbooks say.\n\n${context
+      .trim()
+      .substring(0, MAX_FAKE_ANSWER_LENGTH)}`;
+  }
+}
+
+const PROVIDERS = {
+  vertex: {
+    defaults: { temperature: 0.2, maxOutputTokens: 1024 },
+    requiredConfig: ['vertexAiLlmModelName', 'gcpProjectId', 'gcpRegion'],
+    create: (config, settings) =>
+      new ChatVertexAI({
+        modelName: config.vertexAiLlmModelName, // e.g., "gemini-1.0-pro"
+        temperature: settings.temperature,
+        maxOutputTokens: settings.maxOutputTokens,
+        projectId: config.gcpProjectId,
+        location: config.gcpRegion,
+        // Credentials handled implicitly by google-auth-library (ADC)
+      }),
+  },
+  openai: {
+    // Self-hosted models tend to ramble, so keep the default limit tighter
+    defaults: { temperature: 0.1, maxOutputTokens: 800 },
+    requiredConfig: ['openaiCompatBaseUrl', 'openaiCompatModel'],
+    create: (config, settings) =>
+      new OpenAICompatibleChatModel({
+        baseUrl: config.openaiCompatBaseUrl,
+        model: config.openaiCompatModel,
+        apiKey: config.openaiCompatApiKey,
+        temperature: settings.temperature,
+        maxTokens: settings.maxOutputTokens,
+      }),
+  },
+  fake: {
+    defaults: { temperature: 0, maxOutputTokens: 1024 },
+    requiredConfig: [],
+    create: () => new FakeChatModel({}),
+  },
+};
+
+/**
+ * Resolves the generation settings for a provider: its defaults, overridden by config.
+ * @param {string} providerName - Key in PROVIDERS.
+ * @param {object} config - The loaded application configuration.
+ * @returns {{temperature: number, maxOutputTokens: number}}
+ */
+function resolveSettings(providerName, config) {
+  const { defaults } = PROVIDERS[providerName];
+  return {
+    temperature: config.llmTemperature
+      ? Number(config.llmTemperature)
+      : defaults.temperature,
+    maxOutputTokens: config.llmMaxOutputTokens
+      ? Number(config.llmMaxOutputTokens)
+      : defaults.maxOutputTokens,
+  };
+}
+
+/**
+ * Creates the chat model for the configured LLM provider.
+ * @param {object} config - The loaded application configuration.
+ * @returns {import("@langchain/core/language_models/chat_models").BaseChatModel}
+ */
+function createLlmClient(config) {
+  const providerName = config.llmProvider;
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(
+      `Unsupported LLM_PROVIDER "${providerName}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  const missingConfig = provider.requiredConfig.filter((key) => !config[key]);
+  if (missingConfig.length > 0) {
+    throw new Error(
+      `Missing required config for LLM provider ${providerName}: ${missingConfig.join(', ')}`
+    );
+  }
+
+  const settings = resolveSettings(providerName, config);
+  console.log(
+    `Creating LLM client (provider=${providerName}, temperature=${settings.temperature}, maxOutputTokens=${settings.maxOutputTokens}).`
+  );
+  return provider.create(config, settings);
+}
+
+module.exports = {
+  createLlmClient,
+  OpenAICompatibleChatModel,
+  FakeChatModel,
+};
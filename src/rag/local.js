@@ -0,0 +1,42 @@
+/**
+ * Local stand-in for the Vertex AI Vector Search backend.
+ * Selected with RAG_BACKEND=local so the bot can run on a laptop without GCP access.
+ */
+const path = require('path');
+const { HashEmbeddings } = require('./localEmbeddings');
+const { LocalVectorStore } = require('./localVectorStore');
+const { HybridRetriever } = require('./hybridRetriever');
+const { createKeywordIndex } = require('./keywordIndex');
+const { matchesFilter } = require('./filters');
+
+/**
+ * Loads the on-disk vector store written by the local ingestion sink.
+ * @param {object} config - The loaded application configuration.
+ * @returns {Promise<LocalVectorStore>}
+ */
+async function loadLocalVectorStore(config) {
+  return LocalVectorStore.load(
+    path.resolve(config.localVectorStorePath),
+    new HashEmbeddings()
+  );
+}
+
+/**
+ * Creates a hybrid retriever over the local on-disk vector store. The whole
+ * corpus is in memory, so keyword search covers every chunk.
+ * @param {object} config - The loaded application configuration.
+ * @param {object} options - HybridRetriever options (k, candidateCount, minScore).
+ * @returns {Promise<HybridRetriever>}
+ */
+async function createLocalRetriever(config, options) {
+  const store = await loadLocalVectorStore(config);
+  return new HybridRetriever({
+    ...options,
+    vectorStore: store,
+    keywordIndex: createKeywordIndex(store.getDocuments()),
+    toStoreFilter: (filter) => (document) =>
+      matchesFilter(document.metadata, filter),
+  });
+}
+
+module.exports = { createLocalRetriever, loadLocalVectorStore };
@@ -0,0 +1,79 @@
+/**
+ * Deterministic local embedding function for the offline backend.
+ * Uses feature hashing of word unigrams and bigrams, so the same text always
+ * produces the same vector and no model or network access is needed.
+ */
+const { Embeddings } = require('@langchain/core/embeddings');
+
+const DEFAULT_DIMENSIONS = 512;
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ * @param {string} str - The string to hash.
+ * @returns {number} - Unsigned 32-bit hash.
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i += 1) {
+    // eslint-disable-next-line no-bitwise
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  // eslint-disable-next-line no-bitwise
+  return hash >>> 0;
+}
+
+/**
+ * Splits text into lowercase word tokens.
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} - Array of tokens.
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9_.-]+/g) || [];
+}
+
+class HashEmbeddings extends Embeddings {
+  /**
+   * @param {object} [fields]
+   * @param {number} [fields.dimensions=512] - Length of the produced vectors.
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.dimensions = fields.dimensions || DEFAULT_DIMENSIONS;
+    this.modelName = `local-hash-${this.dimensions}`;
+  }
+
+  /**
+   * Embeds a single text into an L2-normalized vector.
+   * @param {string} text - The text to embed.
+   * @returns {number[]} - The embedding vector.
+   */
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = tokens.concat(
+      tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)
+    );
+
+    features.forEach((feature) => {
+      const hash = fnv1a(feature);
+      // Use the top bit as a sign so collisions tend to cancel out
+      // eslint-disable-next-line no-bitwise
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map((v) => v / norm);
+  }
+
+  async embedDocuments(documents) {
+    return documents.map((text) => this.embedText(text));
+  }
+
+  async embedQuery(document) {
+    return this.embedText(document);
+  }
+}
+
+module.exports = { HashEmbeddings, tokenize };
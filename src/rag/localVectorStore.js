@@ -0,0 +1,176 @@
+/**
+ * On-disk vector store for the offline backend.
+ * Keeps chunk text, metadata and vectors in a single JSON file and performs
+ * brute-force cosine top-k search, which is plenty for a runbook-sized corpus.
+ */
+const fs = require('fs');
+const path = require('path');
+const { VectorStore } = require('@langchain/core/vectorstores');
+const { Document } = require('@langchain/core/documents');
+
+const STORE_FILE_VERSION = 1;
+
+/**
+ * Cosine similarity between two vectors of equal length.
+ * @param {number[]} a - First vector.
+ * @param {number[]} b - Second vector.
+ * @returns {number} - Similarity in [-1, 1], or 0 if either vector is empty.
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+class LocalVectorStore extends VectorStore {
+  /**
+   * @param {import("@langchain/core/embeddings").EmbeddingsInterface} embeddings - Embedding function.
+   * @param {object} fields
+   * @param {string} fields.filePath - Path of the JSON file backing the store.
+   */
+  constructor(embeddings, fields) {
+    super(embeddings, fields);
+    this.filePath = fields.filePath;
+    this.entries = new Map(); // id -> { id, pageContent, metadata, embedding }
+  }
+
+  _vectorstoreType() {
+    return 'local';
+  }
+
+  /**
+   * Loads the store from disk. A missing file yields an empty store.
+   * @param {string} filePath - Path of the JSON store file.
+   * @param {import("@langchain/core/embeddings").EmbeddingsInterface} embeddings - Embedding function.
+   * @returns {Promise<LocalVectorStore>}
+   */
+  static async load(filePath, embeddings) {
+    const store = new LocalVectorStore(embeddings, { filePath });
+    if (!fs.existsSync(filePath)) {
+      console.warn(
+        `Local vector store file not found at ${filePath}. Starting empty.`
+      );
+      return store;
+    }
+
+    const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    if (data.version !== STORE_FILE_VERSION) {
+      throw new Error(
+        `Unsupported local vector store version ${data.version} in ${filePath}`
+      );
+    }
+    if (data.embeddingModel && data.embeddingModel !== embeddings.modelName) {
+      console.warn(
+        `Local vector store was built with ${data.embeddingModel}, but ${embeddings.modelName} is in use. Re-run ingestion.`
+      );
+    }
+    data.entries.forEach((entry) => store.entries.set(entry.id, entry));
+    console.log(`Loaded ${store.entries.size} chunks from ${filePath}.`);
+    return store;
+  }
+
+  /**
+   * Writes the store to disk atomically (temp file + rename).
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const data = {
+      version: STORE_FILE_VERSION,
+      embeddingModel: this.embeddings.modelName,
+      updatedAt: new Date().toISOString(),
+      entries: [...this.entries.values()],
+    };
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+    await fs.promises.rename(tmpPath, this.filePath);
+    console.log(`Saved ${this.entries.size} chunks to ${this.filePath}.`);
+  }
+
+  /**
+   * Adds or replaces vectors. IDs come from options.ids or each document's metadata.id.
+   * @param {number[][]} vectors - Embedding vectors.
+   * @param {Array<import("@langchain/core/documents").Document>} documents - Matching documents.
+   * @param {{ids?: string[]}} [options]
+   * @returns {Promise<string[]>} - The IDs written.
+   */
+  async addVectors(vectors, documents, options = {}) {
+    if (vectors.length !== documents.length) {
+      throw new Error('Mismatch between number of vectors and documents.');
+    }
+    return documents.map((doc, index) => {
+      const id =
+        options.ids?.[index] || doc.metadata?.id || `${this.entries.size}`;
+      this.entries.set(id, {
+        id,
+        pageContent: doc.pageContent,
+        metadata: { ...doc.metadata, id },
+        embedding: vectors[index],
+      });
+      return id;
+    });
+  }
+
+  async addDocuments(documents, options) {
+    const vectors = await this.embeddings.embedDocuments(
+      documents.map((doc) => doc.pageContent)
+    );
+    return this.addVectors(vectors, documents, options);
+  }
+
+  /**
+   * Removes entries by ID.
+   * @param {{ids: string[]}} params
+   * @returns {Promise<void>}
+   */
+  async delete({ ids }) {
+    ids.forEach((id) => this.entries.delete(id));
+  }
+
+  /**
+   * Lists every stored chunk, e.g. to build a keyword index over them.
+   * @returns {Array<Document>}
+   */
+  getDocuments() {
+    return [...this.entries.values()].map(
+      (entry) =>
+        new Document({
+          pageContent: entry.pageContent,
+          metadata: entry.metadata,
+        })
+    );
+  }
+
+  /**
+   * Cosine top-k search.
+   * @param {number[]} query - The query vector.
+   * @param {number} k - Number of results.
+   * @param {(doc: Document) => boolean} [filter] - Optional predicate on documents.
+   * @returns {Promise<Array<[Document, number]>>}
+   */
+  async similaritySearchVectorWithScore(query, k, filter) {
+    const results = [];
+    this.entries.forEach((entry) => {
+      const doc = new Document({
+        pageContent: entry.pageContent,
+        metadata: entry.metadata,
+      });
+      if (typeof filter === 'function' && !filter(doc)) {
+        return;
+      }
+      results.push([doc, cosineSimilarity(query, entry.embedding)]);
+    });
+    return results.sort((a, b) => b[1] - a[1]).slice(0, k);
+  }
+}
+
+module.exports = { LocalVectorStore, cosineSimilarity };
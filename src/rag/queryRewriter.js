@@ -0,0 +1,107 @@
+/**
+ * History-aware query rewriting.
+ * Follow-ups like "what about staging?" mean little on their own, so before
+ * retrieval the question and the recent conversation are condensed by the LLM
+ * into a standalone search query, optionally with a few alternative phrasings.
+ * Only retrieval uses the rewritten queries; the answer is still generated for
+ * the user's own question.
+ */
+const { PromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const { RunnableSequence } = require('@langchain/core/runnables');
+const { getConfig } = require('../config');
+const { getLlmClient } = require('./generator');
+
+// Only the end of the conversation matters for resolving a follow-up
+const MAX_REWRITE_HISTORY_LENGTH = 4000;
+const MAX_QUERY_LENGTH = 300;
+const MAX_QUERY_VARIANTS = 5;
+
+const REWRITE_PROMPT_TEMPLATE = `You turn questions from a Slack support conversation into search queries for a collection of on-call runbooks.
+
+Rewrite the latest question as one standalone search query. Resolve references like "it", "that" or "staging too?" using the conversation, and keep exact names, error codes, alert names and hostnames as they are. Do not answer the question.
+{variant_instructions}
+Reply with the queries only, one per line, without numbering or quotes.
+
+Conversation (oldest to newest):
+------------------------------------------
+{slack_history}
+------------------------------------------
+
+Latest question: {question}`;
+
+const rewritePrompt = PromptTemplate.fromTemplate(REWRITE_PROMPT_TEMPLATE);
+
+/**
+ * Parses the LLM reply into queries, dropping list markers, quotes and
+ * repeats.
+ * @param {string} reply - Raw LLM output.
+ * @returns {string[]}
+ */
+function parseQueries(reply) {
+  const seen = new Set();
+  return reply
+    .split('\n')
+    .map((line) =>
+      line
+        .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '')
+        .replace(/^["'`]+|["'`]+$/g, '')
+        .trim()
+        .substring(0, MAX_QUERY_LENGTH)
+    )
+    .filter((query) => {
+      const key = query.toLowerCase();
+      if (!query || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Builds the search queries for a question.
+ * Returns the question itself when rewriting is off (QUERY_REWRITE=false).
+ * @param {string} question - The user's question.
+ * @param {string} slackHistory - Formatted conversation history.
+ * @returns {Promise<{query: string, variants: string[], rewritten: boolean}>}
+ *   - The standalone query and up to QUERY_REWRITE_VARIANTS alternative phrasings.
+ * @throws {Error} - If the LLM fails or replies with nothing, so callers can fall back to the question.
+ */
+async function rewriteQuery(question, slackHistory) {
+  const config = await getConfig();
+  if (config.queryRewrite !== 'true') {
+    return { query: question, variants: [], rewritten: false };
+  }
+  const variantCount = Math.min(
+    Number(config.queryRewriteVariants) || 0,
+    MAX_QUERY_VARIANTS
+  );
+
+  const llm = await getLlmClient();
+  const chain = RunnableSequence.from([
+    rewritePrompt,
+    llm,
+    new StringOutputParser(),
+  ]);
+  const reply = await chain.invoke({
+    question,
+    slack_history: (slackHistory || '').slice(-MAX_REWRITE_HISTORY_LENGTH),
+    variant_instructions:
+      variantCount > 0
+        ? `After the query, add ${variantCount} alternative phrasing${variantCount === 1 ? '' : 's'} of it on separate lines, using other words a runbook might use (synonyms, component names, symptoms).\n`
+        : '',
+  });
+
+  const [query, ...variants] = parseQueries(reply);
+  if (!query) {
+    throw new Error('LLM returned no search query.');
+  }
+  return {
+    query,
+    variants: variants.slice(0, variantCount),
+    rewritten: true,
+  };
+}
+
+module.exports = { rewriteQuery };
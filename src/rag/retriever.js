@@ -1,34 +1,65 @@
-const { VertexAIEmbeddings } = require('@langchain/google-vertexai');
-const { VertexAIVectorStore } = require('@langchain/google-vertexai'); // Using LangChain Vector Store
 const { getConfig } = require('../config');
+const { createLocalRetriever } = require('./local');
+const { createVertexRetriever } = require('./vertex');
+
+const DEFAULT_CANDIDATE_COUNT = 20;
+const DEFAULT_MIN_SCORE = 0.2;
 
 // Cache for the retriever instance
 let retrieverInstance = null;
 let config = null;
 
 /**
- * Initializes the Vertex AI Vector Store and returns a retriever instance.
- * Caches the instance after first initialization.
+ * Reads the hybrid retrieval settings from the configuration.
+ * @param {object} loadedConfig - The loaded application configuration.
+ * @param {number} k - The number of documents to retrieve.
+ * @returns {{k: number, candidateCount: number, minScore: number}}
+ */
+function hybridRetrieverOptions(loadedConfig, k) {
+  return {
+    k,
+    candidateCount: loadedConfig.retrievalCandidateCount
+      ? Number(loadedConfig.retrievalCandidateCount)
+      : DEFAULT_CANDIDATE_COUNT,
+    minScore: loadedConfig.retrievalMinScore
+      ? Number(loadedConfig.retrievalMinScore)
+      : DEFAULT_MIN_SCORE,
+  };
+}
+
+/**
+ * Initializes the configured vector store backend and returns a hybrid
+ * (keyword + vector) retriever over it.
+ * RAG_BACKEND=local returns the offline stand-in instead of Vertex AI Vector Search.
+ * Caches the instance after first initialization. Per-call k, cut-off and
+ * filters go to its `retrieve` method, which reuses the cached store.
  * @param {number} [k=4] - The default number of documents to retrieve.
- * @returns {Promise<import("@langchain/core/retrievers").BaseRetriever>} - A LangChain retriever instance.
+ * @returns {Promise<import("./hybridRetriever").HybridRetriever>} - A LangChain retriever instance.
  */
 async function initializeRetriever(k = 4) {
   if (retrieverInstance) {
     console.log('Returning cached LangChain Vector Retriever instance.');
-    // Note: This doesn't update 'k' if called again with a different value.
-    // If dynamic 'k' is needed per query, the retriever might need adjustments or re-creation.
     return retrieverInstance;
   }
 
   console.log('Initializing LangChain Vector Retriever...');
   try {
     config = await getConfig();
+    const options = hybridRetrieverOptions(config, k);
+
+    if (config.ragBackend === 'local') {
+      retrieverInstance = await createLocalRetriever(config, options);
+      console.log(
+        `Local retriever initialized from ${config.localVectorStorePath} (k=${k}, minScore=${options.minScore}).`
+      );
+      return retrieverInstance;
+    }
 
     // Validate required config for retriever
     const requiredConfig = [
       'gcpProjectId',
       'gcpRegion',
-      'vertexAiIndexId', // Required by VertexAIVectorStore
+      'vertexAiIndexId', // Finds the deployment on the endpoint
       'vertexAiIndexEndpointId',
       'vertexAiEmbeddingModelName',
     ];
@@ -39,31 +70,10 @@ async function initializeRetriever(k = 4) {
       );
     }
 
-    // Initialize Embeddings Client (used by the Vector Store)
-    const embeddings = new VertexAIEmbeddings({
-      modelName: config.vertexAiEmbeddingModelName,
-      // Credentials should be handled by google-auth-library (ADC)
-      projectId: config.gcpProjectId,
-      location: config.gcpRegion,
-    });
-
-    // Initialize Vector Store
-    // Ensure @google-cloud/aiplatform is installed (should be from PLAN-01)
-    const store = new VertexAIVectorStore(embeddings, {
-      project: config.gcpProjectId,
-      location: config.gcpRegion,
-      endpoint: config.vertexAiIndexEndpointId,
-      index: config.vertexAiIndexId,
-      // Optional: Specify publisher/model if needed by the specific LangChain version or index type
-      // publisher: 'google',
-      // model: 'your-model-name', // Usually inferred
-    });
-
-    // Create the retriever instance
-    retrieverInstance = store.asRetriever(k);
+    retrieverInstance = await createVertexRetriever(config, options);
 
     console.log(
-      `LangChain Vector Retriever initialized successfully (k=${k}).`
+      `LangChain Vector Retriever initialized successfully (k=${k}, minScore=${options.minScore}).`
     );
     return retrieverInstance;
   } catch (error) {
@@ -0,0 +1,92 @@
+/**
+ * Vertex AI Vector Search backend (RAG_BACKEND=vertex).
+ * Queries the deployed index with the MatchService findNeighbors API and reads
+ * chunk text and metadata from the chunk store written at ingestion.
+ */
+const { IndexEndpointServiceClient, MatchServiceClient } =
+  require('@google-cloud/aiplatform').v1;
+const { VertexAIEmbeddings } = require('@langchain/google-vertexai');
+const { VertexVectorStore } = require('./vertexVectorStore');
+const { HybridRetriever } = require('./hybridRetriever');
+const { createKeywordIndex } = require('./keywordIndex');
+const { createChunkStore } = require('./chunkStore');
+const { toVertexRestricts } = require('./filters');
+
+/**
+ * Finds the ID under which the index is deployed on the endpoint.
+ * @param {object} endpoint - The IndexEndpoint resource.
+ * @param {string} indexId - VERTEX_AI_INDEX_ID.
+ * @returns {string}
+ */
+function findDeployedIndexId(endpoint, indexId) {
+  const deployed = (endpoint.deployedIndexes || []).find((deployedIndex) =>
+    (deployedIndex.index || '').endsWith(`/indexes/${indexId}`)
+  );
+  if (!deployed) {
+    throw new Error(
+      `Index ${indexId} is not deployed on index endpoint ${endpoint.name}. Set VERTEX_AI_DEPLOYED_INDEX_ID or deploy it.`
+    );
+  }
+  return deployed.id;
+}
+
+/**
+ * Creates a hybrid retriever over the deployed Vertex AI index. Keyword search
+ * covers every chunk in the chunk store, like with the local backend.
+ * @param {object} config - The loaded application configuration.
+ * @param {object} options - HybridRetriever options (k, candidateCount, minScore).
+ * @param {object} [clients] - Clients to use instead of the default ones (tests).
+ * @param {object} [clients.embeddings] - Embedding function for queries.
+ * @param {object} [clients.endpointClient] - Vertex AI IndexEndpointServiceClient.
+ * @param {object} [clients.matchClient] - Vertex AI MatchServiceClient.
+ * @param {object} [clients.chunkStore] - Chunk store (createChunkStore).
+ * @returns {Promise<HybridRetriever>}
+ */
+async function createVertexRetriever(config, options, clients = {}) {
+  const regionalEndpoint = `${config.gcpRegion}-aiplatform.googleapis.com`;
+  const embeddings =
+    clients.embeddings ||
+    new VertexAIEmbeddings({
+      modelName: config.vertexAiEmbeddingModelName,
+      // Credentials should be handled by google-auth-library (ADC)
+      projectId: config.gcpProjectId,
+      location: config.gcpRegion,
+    });
+  const endpointClient =
+    clients.endpointClient ||
+    new IndexEndpointServiceClient({ apiEndpoint: regionalEndpoint });
+  const indexEndpoint = `projects/${config.gcpProjectId}/locations/${config.gcpRegion}/indexEndpoints/${config.vertexAiIndexEndpointId}`;
+
+  // Public endpoints are queried on their own domain, not the regional API
+  const [endpoint] = await endpointClient.getIndexEndpoint({
+    name: indexEndpoint,
+  });
+  const deployedIndexId =
+    config.vertexAiDeployedIndexId ||
+    findDeployedIndexId(endpoint, config.vertexAiIndexId);
+  const matchClient =
+    clients.matchClient ||
+    new MatchServiceClient({
+      apiEndpoint: endpoint.publicEndpointDomainName || regionalEndpoint,
+    });
+
+  const chunkStore = clients.chunkStore || createChunkStore(config);
+  const chunks = await chunkStore.load();
+  console.log(`Loaded ${chunks.size} chunks from ${chunkStore.location}.`);
+
+  const store = new VertexVectorStore(embeddings, {
+    matchClient,
+    indexEndpoint,
+    deployedIndexId,
+    chunks,
+  });
+  // Filters go to the index as restricts (set at ingestion)
+  return new HybridRetriever({
+    ...options,
+    vectorStore: store,
+    keywordIndex: createKeywordIndex(store.getDocuments()),
+    toStoreFilter: toVertexRestricts,
+  });
+}
+
+module.exports = { createVertexRetriever };
@@ -0,0 +1,90 @@
+/**
+ * Vector store over a deployed Vertex AI Vector Search index.
+ * The index returns datapoint IDs and distances only, so neighbors are looked
+ * up in the chunk store written at ingestion (see src/rag/chunkStore.js).
+ * Written by the ingestion sink, never through this class.
+ */
+const { VectorStore } = require('@langchain/core/vectorstores');
+
+class VertexVectorStore extends VectorStore {
+  /**
+   * @param {import("@langchain/core/embeddings").EmbeddingsInterface} embeddings - Embedding function.
+   * @param {object} fields
+   * @param {object} fields.matchClient - Vertex AI MatchServiceClient for the endpoint's domain.
+   * @param {string} fields.indexEndpoint - Index endpoint resource name.
+   * @param {string} fields.deployedIndexId - ID of the index deployment on the endpoint.
+   * @param {Map<string, import("@langchain/core/documents").Document>} fields.chunks - Chunks by datapoint ID.
+   */
+  constructor(embeddings, fields) {
+    super(embeddings, fields);
+    this.matchClient = fields.matchClient;
+    this.indexEndpoint = fields.indexEndpoint;
+    this.deployedIndexId = fields.deployedIndexId;
+    this.chunks = fields.chunks;
+  }
+
+  _vectorstoreType() {
+    return 'vertex';
+  }
+
+  async addVectors() {
+    throw new Error('VertexVectorStore is read-only; run ingestion instead.');
+  }
+
+  async addDocuments() {
+    throw new Error('VertexVectorStore is read-only; run ingestion instead.');
+  }
+
+  /**
+   * Lists every chunk, e.g. to build a keyword index over them.
+   * @returns {Array<import("@langchain/core/documents").Document>}
+   */
+  getDocuments() {
+    return [...this.chunks.values()];
+  }
+
+  /**
+   * Nearest-neighbor search on the deployed index. The index is expected to use
+   * DOT_PRODUCT_DISTANCE on normalized embeddings (or COSINE_DISTANCE), where
+   * the returned distance is the similarity.
+   * @param {number[]} query - The query vector.
+   * @param {number} k - Number of results.
+   * @param {Array<{namespace: string, allowList: string[]}>} [restricts] - Restricts (toVertexRestricts).
+   * @returns {Promise<Array<[import("@langchain/core/documents").Document, number]>>}
+   */
+  async similaritySearchVectorWithScore(query, k, restricts) {
+    const [response] = await this.matchClient.findNeighbors({
+      indexEndpoint: this.indexEndpoint,
+      deployedIndexId: this.deployedIndexId,
+      queries: [
+        {
+          datapoint: { featureVector: query, restricts: restricts || [] },
+          neighborCount: k,
+        },
+      ],
+    });
+    const [nearest] = response.nearestNeighbors || [];
+    const neighbors = (nearest && nearest.neighbors) || [];
+
+    const missing = [];
+    const results = [];
+    neighbors.forEach((neighbor) => {
+      const id = neighbor.datapoint.datapointId;
+      const chunk = this.chunks.get(id);
+      if (chunk) {
+        results.push([chunk, neighbor.distance]);
+      } else {
+        missing.push(id);
+      }
+    });
+    if (missing.length > 0) {
+      // Indexed before the chunk store existed, or removed since it was loaded
+      console.warn(
+        `${missing.length} Vertex AI neighbors are not in the chunk store and were skipped (e.g. ${missing[0]}). Re-run ingestion with --full.`
+      );
+    }
+    return results;
+  }
+}
+
+module.exports = { VertexVectorStore };
@@ -0,0 +1,86 @@
+/**
+ * Store for private answers waiting to be shared.
+ * Slack does not send the content of an ephemeral message with a button click,
+ * so /oncall ask keeps the answer here and puts its ID on the "Share to
+ * channel" button. Kept outside the process, so the click works on whichever
+ * instance receives it. Entries expire with the response_url (30 minutes).
+ */
+const crypto = require('crypto');
+const { createJsonStore } = require('../storage/jsonStore');
+
+const SHARES_VERSION = 1;
+// Slack accepts response_url calls for 30 minutes, so shared answers expire with it
+const SHARE_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Creates the share store: Cloud Storage when SHARE_STORE_BUCKET is set,
+ * otherwise a local file (SHARE_STORE_PATH).
+ * @param {object} config - The loaded configuration.
+ * @returns {{location: string, save: (entry: object) => Promise<string>, get: (id: string) => Promise<object|null>, remove: (id: string) => Promise<void>}}
+ */
+function createShareStore(config) {
+  const store = createJsonStore({
+    bucket: config.shareStoreBucket,
+    objectName: config.shareStoreObject,
+    filePath: config.shareStorePath,
+  });
+
+  /**
+   * Changes the unexpired entries. May run more than once (see jsonStore update).
+   * @param {(answers: object) => void} change - Mutates the entries, keyed by ID.
+   * @returns {Promise<void>}
+   */
+  const modify = async (change) => {
+    await store.update((current) => {
+      const now = Date.now();
+      const answers = Object.fromEntries(
+        Object.entries((current && current.answers) || {}).filter(
+          ([, entry]) => entry.expiresAt > now
+        )
+      );
+      change(answers);
+      return { version: SHARES_VERSION, answers };
+    });
+  };
+
+  return {
+    location: store.location,
+
+    /**
+     * Keeps an answer until it is shared or expires.
+     * @param {{question: string, answer: string, citations: Array<object>, userId: string}} entry
+     * @returns {Promise<string>} - The ID to send with the share button.
+     */
+    async save(entry) {
+      const id = crypto.randomUUID();
+      await modify((answers) => {
+        answers[id] = { ...entry, expiresAt: Date.now() + SHARE_TTL_MS };
+      });
+      return id;
+    },
+
+    /**
+     * Gets an answer that has not expired.
+     * @param {string} id - ID from the share button.
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+      const document = await store.read();
+      const entry = document && document.answers && document.answers[id];
+      return entry && entry.expiresAt > Date.now() ? entry : null;
+    },
+
+    /**
+     * Forgets an answer once it has been shared.
+     * @param {string} id - ID from the share button.
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+      await modify((answers) => {
+        delete answers[id];
+      });
+    },
+  };
+}
+
+module.exports = { createShareStore };
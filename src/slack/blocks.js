@@ -0,0 +1,913 @@
+/**
+ * Block Kit builders for bot messages.
+ */
+
+// Slack rejects section text longer than 3000 characters
+const MAX_SECTION_TEXT_LENGTH = 3000;
+// Slack rejects button values longer than 2000 characters
+const MAX_BUTTON_VALUE_LENGTH = 2000;
+const MAX_FEEDBACK_QUESTION_LENGTH = 500;
+
+const FEEDBACK_REASONS = [
+  { value: 'wrong_runbook', text: 'Wrong or outdated runbook' },
+  { value: 'missing_steps', text: 'Missing or incorrect steps' },
+  { value: 'off_topic', text: "Didn't answer the question" },
+  { value: 'other', text: 'Something else' },
+];
+
+const INCIDENT_SEVERITIES = [
+  { value: 'sev1', text: 'SEV1 - Critical: outage or data loss' },
+  { value: 'sev2', text: 'SEV2 - Major: key feature degraded' },
+  { value: 'sev3', text: 'SEV3 - Minor: limited impact, workaround exists' },
+  { value: 'sev4', text: 'SEV4 - Low: cosmetic or internal only' },
+];
+// Slack rejects plain_text_input values longer than 3000 characters
+const MAX_INPUT_LENGTH = 3000;
+const MAX_INCIDENT_TITLE_LENGTH = 150;
+// The drafted summary travels in private_metadata, which Slack caps at 3000 characters
+const MAX_PRIVATE_METADATA_LENGTH = 3000;
+const MAX_SUGGESTED_SUMMARY_LENGTH = 2000;
+// Fields the "Use suggestion" button fills in, by block ID
+const SUGGESTED_FIELDS = {
+  incident_title_block: 'title',
+  incident_summary_block: 'summary',
+};
+const MAX_INCIDENT_ACTIVITY_SHOWN = 15;
+
+const INCIDENT_STATUS_LABELS = {
+  open: '🔴 Open',
+  acknowledged: '🟡 Acknowledged',
+  resolved: '✅ Resolved',
+};
+
+/**
+ * Splits long mrkdwn text into section blocks that fit Slack's limit,
+ * preferring to break on line boundaries.
+ * @param {string} text - The mrkdwn text.
+ * @returns {Array<object>} - Section blocks.
+ */
+function buildSectionBlocks(text) {
+  const blocks = [];
+  let remaining = text;
+  while (remaining.length > MAX_SECTION_TEXT_LENGTH) {
+    let splitAt = remaining.lastIndexOf('\n', MAX_SECTION_TEXT_LENGTH);
+    if (splitAt <= 0) {
+      splitAt = MAX_SECTION_TEXT_LENGTH;
+    }
+    blocks.push(remaining.slice(0, splitAt));
+    remaining = remaining.slice(splitAt).replace(/^\n/, '');
+  }
+  blocks.push(remaining);
+  return blocks.map((chunk) => ({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: chunk,
+    },
+  }));
+}
+
+/**
+ * Formats a single citation as a mrkdwn line, e.g. "[1] <url|DB Failover> _(payments/db)_ › Promote replica".
+ * Past Slack threads read "[2] From a previous thread: <permalink|#support thread (2026-03-02)>".
+ * @param {object} citation - A citation from generateAnswer.
+ * @returns {string}
+ */
+function formatCitation(citation) {
+  const name = citation.url
+    ? `<${citation.url}|${citation.name}>`
+    : citation.name;
+  if (citation.sourceType === 'slack_thread') {
+    return `[${citation.number}] From a previous thread: ${name}`;
+  }
+  const folder = citation.folderPath ? ` _(${citation.folderPath})_` : '';
+  const section = citation.section ? ` › ${citation.section}` : '';
+  const pages =
+    citation.pages && citation.pages.length > 0
+      ? `, p. ${citation.pages.join(', ')}`
+      : '';
+  return `[${citation.number}] ${name}${folder}${section}${pages}`;
+}
+
+/**
+ * Builds the context block listing the sources of an answer.
+ * @param {Array<object>} citations - Citations from generateAnswer.
+ * @returns {object|null} - A context block, or null if there are no citations.
+ */
+function buildCitationsBlock(citations) {
+  if (!citations || citations.length === 0) {
+    return null;
+  }
+  const text = `*Sources* (check the runbook before running anything):\n${citations
+    .map(formatCitation)
+    .join('\n')}`;
+  return {
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: text.substring(0, MAX_SECTION_TEXT_LENGTH),
+      },
+    ],
+  };
+}
+
+/**
+ * Encodes what a feedback record needs to know about an answer into a button
+ * value: the question (shortened) and the retrieved chunk IDs. Chunk IDs are
+ * dropped from the end if the value would exceed Slack's limit.
+ * @param {string} question - The question that was answered.
+ * @param {string[]} chunkIds - IDs of the chunks behind the answer.
+ * @returns {string}
+ */
+function encodeFeedbackContext(question, chunkIds) {
+  const context = {
+    q: (question || '').substring(0, MAX_FEEDBACK_QUESTION_LENGTH),
+    c: [...chunkIds],
+  };
+  let value = JSON.stringify(context);
+  while (value.length > MAX_BUTTON_VALUE_LENGTH && context.c.length > 0) {
+    context.c.pop();
+    value = JSON.stringify(context);
+  }
+  return value;
+}
+
+/**
+ * Decodes a feedback button value.
+ * @param {string} value - Output of encodeFeedbackContext.
+ * @returns {{question: string, chunkIds: string[]}}
+ */
+function decodeFeedbackContext(value) {
+  try {
+    const context = JSON.parse(value);
+    return {
+      question: context.q || '',
+      chunkIds: Array.isArray(context.c) ? context.c : [],
+    };
+  } catch (error) {
+    return { question: '', chunkIds: [] };
+  }
+}
+
+/**
+ * Builds the 👍/👎 feedback buttons for an answer.
+ * @param {string} question - The question that was answered.
+ * @param {Array<object>} citations - Citations from generateAnswer.
+ * @returns {object} - An actions block.
+ */
+function buildFeedbackBlock(question, citations) {
+  const value = encodeFeedbackContext(
+    question,
+    citations.flatMap((citation) => citation.chunkIds || [])
+  );
+  return {
+    type: 'actions',
+    block_id: 'actions_block_feedback',
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '👍 Helpful', emoji: true },
+        action_id: 'feedback_up_button',
+        value,
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '👎 Not helpful', emoji: true },
+        action_id: 'feedback_down_button',
+        value,
+      },
+    ],
+  };
+}
+
+/**
+ * Builds the optional "what was wrong" modal opened after a 👎.
+ * @param {string} recordId - ID of the stored feedback record.
+ * @param {object} metadata - Where to confirm the submission ({channel, threadTs}).
+ * @returns {object} - A modal view.
+ */
+function buildFeedbackModal(recordId, metadata) {
+  return {
+    type: 'modal',
+    callback_id: 'feedback_modal',
+    private_metadata: JSON.stringify({ recordId, ...metadata }),
+    title: { type: 'plain_text', text: 'What was wrong?' },
+    submit: { type: 'plain_text', text: 'Send' },
+    close: { type: 'plain_text', text: 'Skip' },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: 'Thanks, your 👎 is recorded. Telling us what was wrong helps us fix the runbook.',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'feedback_reasons_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Problems' },
+        element: {
+          type: 'checkboxes',
+          action_id: 'feedback_reasons',
+          options: FEEDBACK_REASONS.map((reason) => ({
+            text: { type: 'plain_text', text: reason.text },
+            value: reason.value,
+          })),
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'feedback_comment_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Details' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'feedback_comment',
+          multiline: true,
+          max_length: 2000,
+          placeholder: {
+            type: 'plain_text',
+            text: 'e.g. The failover steps are for the old cluster',
+          },
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Builds a modal text input.
+ * @param {object} options
+ * @param {string} options.blockId
+ * @param {string} options.actionId
+ * @param {string} options.label
+ * @param {string} [options.initialValue]
+ * @param {boolean} [options.multiline=false]
+ * @param {boolean} [options.optional=false]
+ * @param {number} [options.maxLength]
+ * @param {string} [options.placeholder]
+ * @param {boolean} [options.dispatchOnTyping=false] - Send a block action when the user types.
+ * @returns {object} - An input block.
+ */
+function buildTextInput({
+  blockId,
+  actionId,
+  label,
+  initialValue,
+  multiline = false,
+  optional = false,
+  maxLength = MAX_INPUT_LENGTH,
+  placeholder,
+  dispatchOnTyping = false,
+}) {
+  return {
+    type: 'input',
+    block_id: blockId,
+    optional,
+    ...(dispatchOnTyping ? { dispatch_action: true } : {}),
+    label: { type: 'plain_text', text: label },
+    element: {
+      type: 'plain_text_input',
+      action_id: actionId,
+      multiline,
+      max_length: maxLength,
+      ...(initialValue
+        ? { initial_value: initialValue.substring(0, maxLength) }
+        : {}),
+      ...(placeholder
+        ? { placeholder: { type: 'plain_text', text: placeholder } }
+        : {}),
+      ...(dispatchOnTyping
+        ? {
+            dispatch_action_config: {
+              trigger_actions_on: ['on_character_entered'],
+            },
+          }
+        : {}),
+    },
+  };
+}
+
+/**
+ * Builds the "already logged?" section of the incident form: one line per
+ * matching incident with a button that links the thread to it instead.
+ * @param {Array<{incident: object, score: number}>} relatedIncidents - From findRelatedIncidents.
+ * @returns {Array<object>} - Slack blocks; none when nothing matched.
+ */
+function buildRelatedIncidentBlocks(relatedIncidents) {
+  if (relatedIncidents.length === 0) {
+    return [];
+  }
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*This may already be logged.* Link the thread to an existing incident instead of logging a new one:',
+      },
+    },
+    ...relatedIncidents.map(({ incident }) => {
+      const status = INCIDENT_STATUS_LABELS[incident.status] || incident.status;
+      const seconds = Math.floor(new Date(incident.createdAt).getTime() / 1000);
+      const loggedAt = `<!date^${seconds}^{date_short_pretty}|${incident.createdAt}>`;
+      return {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${incident.id}*: ${incident.title}\n${status} · ${incident.service} · logged ${loggedAt}`,
+        },
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: `🔗 Link to ${incident.id}` },
+          action_id: 'incident_link_button',
+          value: incident.id,
+        },
+      };
+    }),
+    { type: 'divider' },
+  ];
+}
+
+/**
+ * Builds the drafted title and summary section of the incident form, with a
+ * button that copies them into the form.
+ * @param {{title: string, summary: string}|null} suggestion - The drafted title and summary.
+ * @returns {Array<object>} - Slack blocks; none without a suggestion.
+ */
+function buildIncidentSuggestionBlocks(suggestion) {
+  if (!suggestion) {
+    return [];
+  }
+  return [
+    ...buildSectionBlocks(
+      `*✍️ Suggested from the thread*\n*${suggestion.title}*\n${quote(suggestion.summary)}`
+    ).map((block, index) => ({
+      ...block,
+      block_id: `incident_suggestion_text_${index}`,
+    })),
+    {
+      type: 'actions',
+      block_id: 'incident_suggestion_block',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Use suggestion' },
+          action_id: 'incident_use_suggestion',
+          value: 'use',
+        },
+      ],
+    },
+    { type: 'divider', block_id: 'incident_suggestion_divider' },
+  ];
+}
+
+/**
+ * Shortens a drafted title and summary until the form's private_metadata fits
+ * Slack's limit. JSON escapes (quotes, newlines) make the serialized summary
+ * longer than the summary itself.
+ * @param {object} metadata - Where the answer was posted.
+ * @param {{title: string, summary: string}} suggestion
+ * @returns {{suggestion: {title: string, summary: string}, privateMetadata: string}}
+ */
+function fitSuggestion(metadata, suggestion) {
+  const title = suggestion.title.substring(0, MAX_INCIDENT_TITLE_LENGTH);
+  let summary = suggestion.summary.substring(0, MAX_SUGGESTED_SUMMARY_LENGTH);
+  let privateMetadata = JSON.stringify({
+    ...metadata,
+    suggestion: { title, summary },
+  });
+  // Every character removed shortens the JSON by at least one
+  while (privateMetadata.length > MAX_PRIVATE_METADATA_LENGTH && summary) {
+    summary = summary.substring(
+      0,
+      summary.length - (privateMetadata.length - MAX_PRIVATE_METADATA_LENGTH)
+    );
+    privateMetadata = JSON.stringify({
+      ...metadata,
+      suggestion: { title, summary },
+    });
+  }
+  return { suggestion: { title, summary }, privateMetadata };
+}
+
+/**
+ * Builds the incident form opened by the Log Incident button, pre-filled with
+ * the question and the bot's answer so they can be corrected before posting.
+ * The drafted thread summary is offered next to the form rather than written
+ * into it, so it never replaces what was already typed. While it is being
+ * drafted, typing in the title or summary sends a block action, so the
+ * handler can tell whether it may still fill them in.
+ * @param {object} draft
+ * @param {string} [draft.question] - The detected question; its first line is the default title.
+ * @param {string} [draft.answer] - The bot's answer.
+ * @param {object} metadata - Where the answer was posted ({channel, threadTs, messageTs}).
+ * @param {object} [options]
+ * @param {boolean} [options.summaryPending=false] - Say that the summary is still being drafted.
+ * @param {{title: string, summary: string}} [options.suggestion] - Drafted title and summary, offered with a "Use suggestion" button.
+ * @param {Array<{incident: object, score: number}>} [options.relatedIncidents] - Earlier incidents that look the same, offered for linking.
+ * @returns {object} - A modal view.
+ */
+function buildIncidentModal(
+  { question = '', answer = '' },
+  metadata,
+  { summaryPending = false, suggestion = null, relatedIncidents = [] } = {}
+) {
+  // Kept with the view, so "Use suggestion" can fill it in later
+  const stored = suggestion
+    ? fitSuggestion(metadata, suggestion)
+    : { suggestion: null, privateMetadata: JSON.stringify(metadata) };
+  const storedSuggestion = stored.suggestion;
+  return {
+    type: 'modal',
+    callback_id: 'incident_modal',
+    private_metadata: stored.privateMetadata,
+    title: { type: 'plain_text', text: 'Log Incident' },
+    submit: { type: 'plain_text', text: 'Log incident' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      ...buildRelatedIncidentBlocks(relatedIncidents),
+      ...buildIncidentSuggestionBlocks(storedSuggestion),
+      buildTextInput({
+        blockId: 'incident_title_block',
+        actionId: 'incident_title',
+        label: 'Title',
+        initialValue: question.split('\n')[0],
+        maxLength: MAX_INCIDENT_TITLE_LENGTH,
+        placeholder: 'e.g. Checkout API returning 502s',
+        dispatchOnTyping: summaryPending,
+      }),
+      {
+        type: 'input',
+        block_id: 'incident_severity_block',
+        label: { type: 'plain_text', text: 'Severity' },
+        element: {
+          type: 'static_select',
+          action_id: 'incident_severity',
+          placeholder: { type: 'plain_text', text: 'Pick a severity' },
+          options: INCIDENT_SEVERITIES.map((severity) => ({
+            text: { type: 'plain_text', text: severity.text },
+            value: severity.value,
+          })),
+        },
+      },
+      buildTextInput({
+        blockId: 'incident_service_block',
+        actionId: 'incident_service',
+        label: 'Affected service',
+        maxLength: 200,
+        placeholder: 'e.g. payments-api',
+      }),
+      buildTextInput({
+        blockId: 'incident_impact_block',
+        actionId: 'incident_impact',
+        label: 'Impact',
+        multiline: true,
+        placeholder: 'Who or what is affected, and since when?',
+      }),
+      buildTextInput({
+        blockId: 'incident_summary_block',
+        actionId: 'incident_summary',
+        label: 'Summary',
+        multiline: true,
+        optional: true,
+        placeholder: summaryPending
+          ? 'Drafting a summary of the thread…'
+          : 'Symptoms, suspected cause, steps taken, current status, open questions',
+        dispatchOnTyping: summaryPending,
+      }),
+      {
+        type: 'input',
+        block_id: 'incident_assignee_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Assignee' },
+        element: {
+          type: 'users_select',
+          action_id: 'incident_assignee',
+          placeholder: { type: 'plain_text', text: 'Who is handling it?' },
+        },
+      },
+      buildTextInput({
+        blockId: 'incident_question_block',
+        actionId: 'incident_question',
+        label: 'Question',
+        initialValue: question,
+        multiline: true,
+        optional: true,
+      }),
+      buildTextInput({
+        blockId: 'incident_answer_block',
+        actionId: 'incident_answer',
+        label: 'Answer from Bot',
+        initialValue: answer,
+        multiline: true,
+        optional: true,
+      }),
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: summaryPending
+              ? '✍️ Drafting a title and summary from the thread. They fill in the form in a few seconds, or appear above it once you have typed in those fields; nothing you type is replaced.'
+              : '📎 Screenshots and files shared in the thread are linked from the incident.',
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Fills the incident form in with its suggested title and summary, keeping
+ * everything else as it is. Slack keeps a typed value across views.update
+ * unless the block ID changes, so the filled-in fields get new block IDs.
+ * @param {object} view - The incident form, as sent with the button click.
+ * @returns {object} - The modal view to update it with.
+ */
+function buildIncidentModalWithSuggestion(view) {
+  const { suggestion, ...metadata } = JSON.parse(view.private_metadata);
+  const blocks = view.blocks
+    .filter(
+      (block) => !(block.block_id || '').startsWith('incident_suggestion_')
+    )
+    .map((block) => {
+      const field = SUGGESTED_FIELDS[block.block_id];
+      if (!field || !suggestion) {
+        return block;
+      }
+      const element = { ...block.element };
+      delete element.initial_value;
+      return {
+        ...block,
+        block_id: `${block.block_id}_suggested`,
+        element: {
+          ...element,
+          ...(suggestion[field] ? { initial_value: suggestion[field] } : {}),
+        },
+      };
+    });
+  return {
+    type: 'modal',
+    callback_id: view.callback_id,
+    private_metadata: JSON.stringify(metadata),
+    title: view.title,
+    submit: view.submit,
+    close: view.close,
+    blocks,
+  };
+}
+
+/**
+ * Marks the incident form as typed in while its summary is drafted: an update
+ * changes the view's hash, so the drafted title and summary are then offered
+ * next to the form instead of filled in. Typing no longer sends block actions;
+ * block IDs are kept, so Slack keeps what was typed.
+ * @param {object} view - The incident form, as sent with the block action.
+ * @returns {object} - The modal view to update it with.
+ */
+function buildIncidentModalAfterTyping(view) {
+  return {
+    type: 'modal',
+    callback_id: view.callback_id,
+    private_metadata: view.private_metadata,
+    title: view.title,
+    submit: view.submit,
+    close: view.close,
+    blocks: view.blocks.map((block) => {
+      if (!block.dispatch_action) {
+        return block;
+      }
+      const element = { ...block.element };
+      delete element.dispatch_action_config;
+      const input = { ...block, element };
+      delete input.dispatch_action;
+      return input;
+    }),
+  };
+}
+
+/**
+ * Quotes text as a mrkdwn block quote.
+ * @param {string} text
+ * @returns {string}
+ */
+function quote(text) {
+  return `>${text.replace(/\n/g, '\n>')}`;
+}
+
+/**
+ * Formats an incident activity entry, e.g. "<date> <@U1> acknowledged".
+ * @param {{at: string, user?: string, action: string, text?: string}} entry
+ * @returns {string}
+ */
+function formatIncidentActivity(entry) {
+  const seconds = Math.floor(new Date(entry.at).getTime() / 1000);
+  const when = `<!date^${seconds}^{date_short_pretty} {time}|${entry.at}>`;
+  const description = {
+    logged: 'logged the incident',
+    acknowledged: 'acknowledged',
+    assigned:
+      entry.text === entry.user
+        ? 'took ownership'
+        : `assigned it to <@${entry.text}>`,
+    note: `added a note: ${entry.text}`,
+    resolved: 'resolved the incident',
+    linked: entry.text
+      ? `linked <${entry.text}|another thread> to it`
+      : 'linked another thread to it',
+    ticket_created: `Ticket ${entry.text} created`,
+    ticket_failed: `⚠️ Could not create the ${entry.text} ticket`,
+  }[entry.action];
+  // Entries without a user were recorded by the bot itself
+  const who = entry.user ? `<@${entry.user}> ` : '';
+  return `${when} ${who}${description || entry.action}`;
+}
+
+/**
+ * Formats a file collected from the incident thread as a list item.
+ * @param {object} file - Evidence entry from collectThreadFiles.
+ * @returns {string}
+ */
+function formatEvidenceFile(file) {
+  const sharedBy = file.user ? ` – shared by <@${file.user}>` : '';
+  if (file.note) {
+    return `• 🔒 ${file.name} – _${file.note}_`;
+  }
+  const icon = file.isImage ? '🖼️' : '📄';
+  const name = file.permalink ? `<${file.permalink}|${file.name}>` : file.name;
+  return `• ${icon} ${name}${sharedBy}`;
+}
+
+/**
+ * Builds the lifecycle buttons for an incident post. Each button carries the
+ * incident ID; resolved incidents only keep Add note.
+ * @param {object} incident - A stored incident.
+ * @returns {object} - An actions block.
+ */
+function buildIncidentActionsBlock(incident) {
+  const button = (text, actionId, style) => ({
+    type: 'button',
+    text: { type: 'plain_text', text, emoji: true },
+    action_id: actionId,
+    value: incident.id,
+    ...(style ? { style } : {}),
+  });
+  const elements = [];
+  if (incident.status === 'open') {
+    elements.push(button('👀 Acknowledge', 'incident_ack_button', 'primary'));
+  }
+  if (incident.status !== 'resolved') {
+    elements.push(button('🙋 Assign to me', 'incident_assign_button'));
+  }
+  elements.push(button('📝 Add note', 'incident_note_button'));
+  if (incident.status !== 'resolved') {
+    elements.push(button('✅ Resolve', 'incident_resolve_button', 'danger'));
+  }
+  return { type: 'actions', block_id: 'incident_actions_block', elements };
+}
+
+/**
+ * Builds the incident message posted to the ticketing channel: the incident
+ * details, its status and owner, the activity trail and the lifecycle buttons.
+ * Rebuilt from the stored incident after every change.
+ * @param {object} incident - A stored incident (see src/incidents/store.js).
+ * @returns {Array<object>} - Slack blocks.
+ */
+function buildIncidentBlocks(incident) {
+  const severity = INCIDENT_SEVERITIES.find(
+    (option) => option.value === incident.severity
+  );
+  const fields = [
+    `*Status:*\n${INCIDENT_STATUS_LABELS[incident.status] || incident.status}`,
+    `*Severity:*\n${severity ? severity.text : incident.severity}`,
+    `*Affected service:*\n${incident.service}`,
+    `*Owner:*\n${incident.assignee ? `<@${incident.assignee}>` : 'Unassigned'}`,
+    `*Logged by:*\n<@${incident.loggedBy}>`,
+  ];
+  if (incident.trackerIssue) {
+    fields.push(
+      `*Ticket:*\n<${incident.trackerIssue.url}|${incident.trackerIssue.key}>`
+    );
+  }
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `🚨 ${incident.id}: ${incident.title}`.substring(
+          0,
+          MAX_INCIDENT_TITLE_LENGTH
+        ),
+        emoji: true,
+      },
+    },
+    {
+      type: 'section',
+      fields: fields.map((text) => ({ type: 'mrkdwn', text })),
+    },
+    ...buildSectionBlocks(`*Impact:*\n${quote(incident.impact)}`),
+  ];
+  if (incident.summary) {
+    blocks.push(...buildSectionBlocks(`*Summary:*\n${incident.summary}`));
+  }
+  if (incident.question) {
+    blocks.push(
+      ...buildSectionBlocks(`*Original Question:*\n${quote(incident.question)}`)
+    );
+  }
+  if (incident.answer) {
+    blocks.push(
+      ...buildSectionBlocks(`*Answer from Bot:*\n${quote(incident.answer)}`)
+    );
+  }
+  if (incident.files && incident.files.length > 0) {
+    blocks.push(
+      ...buildSectionBlocks(
+        `*Files from the thread (${incident.files.length}):*\n${incident.files
+          .map(formatEvidenceFile)
+          .join('\n')}`
+      )
+    );
+  }
+  if (incident.relatedIncidents && incident.relatedIncidents.length > 0) {
+    blocks.push(
+      ...buildSectionBlocks(
+        `*Related incidents:*\n${incident.relatedIncidents
+          .map((related) => `• *${related.id}*: ${related.title}`)
+          .join('\n')}`
+      )
+    );
+  }
+  const threadLinks = [
+    ...(incident.permalink ? [`*<${incident.permalink}|View Thread>*`] : []),
+    ...(incident.linkedThreads || [])
+      .filter((thread) => thread.permalink)
+      .map((thread, i) => `<${thread.permalink}|Linked thread ${i + 1}>`),
+  ];
+  if (threadLinks.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: threadLinks.join(' · ') },
+    });
+  }
+
+  // Latest activity last; older entries are summarized to fit the block
+  const activity = incident.activity || [];
+  const shown = activity.slice(-MAX_INCIDENT_ACTIVITY_SHOWN);
+  const hidden = activity.length - shown.length;
+  const trail = [
+    '*Activity*',
+    ...(hidden > 0 ? [`_${hidden} earlier updates not shown_`] : []),
+    ...shown.map(formatIncidentActivity),
+  ].join('\n');
+  blocks.push(
+    { type: 'divider' },
+    {
+      type: 'context',
+      elements: [
+        { type: 'mrkdwn', text: trail.substring(0, MAX_SECTION_TEXT_LENGTH) },
+      ],
+    },
+    buildIncidentActionsBlock(incident)
+  );
+  return blocks;
+}
+
+/**
+ * Builds the modal for adding a note to an incident.
+ * @param {string} incidentId - The incident ID.
+ * @returns {object} - A modal view.
+ */
+function buildIncidentNoteModal(incidentId) {
+  return {
+    type: 'modal',
+    callback_id: 'incident_note_modal',
+    private_metadata: JSON.stringify({ incidentId }),
+    title: { type: 'plain_text', text: `Note on ${incidentId}` },
+    submit: { type: 'plain_text', text: 'Add note' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      buildTextInput({
+        blockId: 'incident_note_block',
+        actionId: 'incident_note',
+        label: 'Note',
+        multiline: true,
+        maxLength: 1000,
+        placeholder: 'e.g. Rolled back the deploy, error rate is dropping',
+      }),
+    ],
+  };
+}
+
+/**
+ * Builds the view the incident form turns into after its thread was linked
+ * to an existing incident.
+ * @param {object} incident - The stored incident the thread was linked to.
+ * @returns {object} - A modal view.
+ */
+function buildIncidentLinkedModal(incident) {
+  return {
+    type: 'modal',
+    callback_id: 'incident_linked_modal',
+    title: { type: 'plain_text', text: 'Incident linked' },
+    close: { type: 'plain_text', text: 'Done' },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🔗 This thread is now linked to *${incident.id}*: ${incident.title}. Updates to the incident will be posted here too.`,
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Builds the Block Kit blocks for a bot answer: the answer text, its sources,
+ * the Log Incident button and the feedback buttons.
+ * @param {string} text - The answer text (mrkdwn).
+ * @param {Array<object>} [citations] - Citations from generateAnswer.
+ * @param {object} [options]
+ * @param {string} [options.question] - The question, recorded with feedback.
+ * @returns {Array<object>} - Slack blocks.
+ */
+function buildAnswerBlocks(text, citations = [], { question = '' } = {}) {
+  const citationsBlock = buildCitationsBlock(citations);
+  return [
+    ...buildSectionBlocks(text),
+    ...(citationsBlock ? [citationsBlock] : []),
+    {
+      type: 'actions',
+      block_id: 'actions_block_incident', // Unique block ID
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: '📄 Log Incident',
+            emoji: true,
+          },
+          style: 'primary',
+          action_id: 'log_incident_button', // Unique action ID
+        },
+      ],
+    },
+    buildFeedbackBlock(question, citations),
+  ];
+}
+
+/**
+ * Builds the blocks for a private (ephemeral) answer: the answer text, its
+ * sources and a button to post it to the channel. Feedback and incident
+ * buttons are left out because Slack does not send ephemeral message content
+ * with button clicks; they appear once the answer is shared.
+ * @param {string} text - The answer text (mrkdwn).
+ * @param {Array<object>} citations - Citations from generateAnswer.
+ * @param {string} shareId - ID of the stored answer (src/shares/store.js), sent with the share button.
+ * @returns {Array<object>} - Slack blocks.
+ */
+function buildPrivateAnswerBlocks(text, citations, shareId) {
+  const citationsBlock = buildCitationsBlock(citations);
+  return [
+    ...buildSectionBlocks(text),
+    ...(citationsBlock ? [citationsBlock] : []),
+    {
+      type: 'actions',
+      block_id: 'actions_block_share',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: '📣 Share to channel',
+            emoji: true,
+          },
+          action_id: 'share_answer_button',
+          value: shareId,
+        },
+      ],
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: 'Only you can see this answer.' }],
+    },
+  ];
+}
+
+module.exports = {
+  buildAnswerBlocks,
+  buildPrivateAnswerBlocks,
+  buildCitationsBlock,
+  buildFeedbackModal,
+  buildIncidentBlocks,
+  buildIncidentLinkedModal,
+  buildIncidentModal,
+  buildIncidentModalAfterTyping,
+  buildIncidentModalWithSuggestion,
+  buildIncidentNoteModal,
+  decodeFeedbackContext,
+  formatIncidentActivity,
+};
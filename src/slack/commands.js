@@ -0,0 +1,343 @@
+/**
+ * Slash command handlers: /oncall ask|help|status.
+ * Answers to /oncall ask are ephemeral so people can check a runbook quietly;
+ * a "Share to channel" button posts the answer publicly.
+ * These get registered in src/app.js
+ */
+const { answerQuestion, isRetrieverReady } = require('../rag/answer');
+const {
+  answerOptionsForChannel,
+  loadChannelRegistry,
+} = require('../config/channels');
+const { createManifestStore } = require('../ingestion/manifest');
+const { createIncidentStore } = require('../incidents/store');
+const { createShareStore } = require('../shares/store');
+const { buildAnswerBlocks, buildPrivateAnswerBlocks } = require('./blocks');
+const { getFormattedHistory } = require('./history');
+const { ERROR_MESSAGES } = require('./messages');
+
+const ONCALL_COMMAND = '/oncall';
+// The knowledge base is ingested daily; warn when it is older than this
+const STALE_AFTER_HOURS = 48;
+const MAX_LISTED_INCIDENTS = 20;
+
+const HELP_TEXT = `*What I can do*
+• \`${ONCALL_COMMAND} ask <question>\` – answer from the runbooks, visible only to you. Share it to the channel if it helps.
+• \`${ONCALL_COMMAND} status\` – show how fresh the knowledge base is.
+• \`${ONCALL_COMMAND} incidents\` – list incidents that are not resolved yet.
+• \`${ONCALL_COMMAND} help\` – show this message.
+• Mention me in a channel or thread to get an answer everyone can see. I read the thread for context and answer follow-ups there without another mention.
+• Send me a direct message to ask privately.
+• Rate answers with 👍/👎 and use *Log Incident* to post an answer to the ticketing channel.`;
+
+/**
+ * Formats how long ago a timestamp was, e.g. "3 hours ago".
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatAge(date) {
+  const minutes = Math.round((Date.now() - date.getTime()) / 60000);
+  if (minutes < 60) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  }
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) {
+    return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  }
+  return `${Math.round(hours / 24)} days ago`;
+}
+
+/**
+ * Builds the /oncall status message from the ingestion manifest.
+ * @param {object} config - The loaded configuration.
+ * @returns {Promise<string>} - mrkdwn text.
+ */
+async function buildStatusText(config) {
+  const lines = [
+    '*Knowledge base status*',
+    `• Backend: \`${config.ragBackend}\`, LLM provider: \`${config.llmProvider}\``,
+    `• Retriever: ${isRetrieverReady() ? 'ready ✅' : 'not initialized yet ⚠️'}`,
+  ];
+
+  const manifestStore = createManifestStore(config);
+  let manifest;
+  try {
+    manifest = await manifestStore.load(config.ragBackend);
+  } catch (error) {
+    console.error('Failed to load the ingestion manifest for status:', error);
+    lines.push(
+      `• Last ingestion: unknown (could not read ${manifestStore.location})`
+    );
+    return lines.join('\n');
+  }
+
+  if (!manifest.updatedAt) {
+    lines.push(
+      `• Last ingestion: unknown (no ingestion manifest at ${manifestStore.location})`
+    );
+    return lines.join('\n');
+  }
+
+  const updatedAt = new Date(manifest.updatedAt);
+  const stale = Date.now() - updatedAt.getTime() > STALE_AFTER_HOURS * 3600000;
+  const files = Object.values(manifest.files);
+  const chunkCount = files.reduce(
+    (total, file) => total + file.chunkIds.length,
+    0
+  );
+  lines.push(
+    `• Last ingestion: ${formatAge(updatedAt)} (${updatedAt.toISOString()})${
+      stale ? ` ⚠️ older than ${STALE_AFTER_HOURS} hours` : ''
+    }`,
+    `• Runbooks indexed: ${files.length} (${chunkCount} chunks)`
+  );
+
+  const latest = files
+    .filter((file) => file.modifiedTime)
+    .sort((a, b) => b.modifiedTime.localeCompare(a.modifiedTime))[0];
+  if (latest) {
+    lines.push(
+      `• Most recently edited runbook: ${latest.name} (${formatAge(new Date(latest.modifiedTime))})`
+    );
+  }
+  if (manifest.orphanedChunkIds && manifest.orphanedChunkIds.length > 0) {
+    lines.push(
+      `• ${manifest.orphanedChunkIds.length} removed chunks are still waiting to be deleted from the index`
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Builds the /oncall incidents message: incidents that are not resolved yet.
+ * @param {object} config - The loaded configuration.
+ * @returns {Promise<string>} - mrkdwn text.
+ */
+async function buildIncidentsText(config) {
+  const incidents = await createIncidentStore(config).list({
+    status: ['open', 'acknowledged'],
+  });
+  if (incidents.length === 0) {
+    return 'No open incidents 🎉';
+  }
+  const lines = incidents
+    .slice(0, MAX_LISTED_INCIDENTS)
+    .map(
+      (incident) =>
+        `• *${incident.id}* ${incident.severity.toUpperCase()} \`${incident.service}\` – ${incident.title} (${incident.status}, ${
+          incident.assignee ? `<@${incident.assignee}>` : 'unassigned'
+        }, logged ${formatAge(new Date(incident.createdAt))})`
+    );
+  if (incidents.length > MAX_LISTED_INCIDENTS) {
+    lines.push(`…and ${incidents.length - MAX_LISTED_INCIDENTS} more`);
+  }
+  return [`*Open incidents (${incidents.length})*`, ...lines].join('\n');
+}
+
+/**
+ * Register slash command handlers with the app instance.
+ * @param {import('@slack/bolt').App} app - The initialized Bolt app instance.
+ * @param {Object} config - The loaded application configuration.
+ */
+function registerCommandHandlers(app, config) {
+  // Private answers waiting to be shared, keyed by the share button value
+  const shareStore = createShareStore(config);
+
+  /**
+   * Handles /oncall ask <question>: answers privately with a share button.
+   */
+  const handleAsk = async ({
+    command,
+    question,
+    client,
+    context,
+    respond,
+    logger,
+  }) => {
+    const slackHistory = await getFormattedHistory(
+      client,
+      { channel: command.channel_id },
+      context.botUserId,
+      logger
+    );
+    const channelSettings = (await loadChannelRegistry(config)).forChannel(
+      command.channel_id
+    );
+    const { answer, citations, errorKey } = await answerQuestion(
+      question,
+      slackHistory,
+      logger,
+      answerOptionsForChannel(channelSettings)
+    );
+    if (errorKey) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: true,
+        text: ERROR_MESSAGES[errorKey](command.user_id),
+      });
+      return;
+    }
+
+    const shareId = await shareStore.save({
+      question,
+      answer,
+      citations,
+      userId: command.user_id,
+    });
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: true,
+      text: answer,
+      blocks: buildPrivateAnswerBlocks(answer, citations, shareId),
+    });
+    logger.info('Private answer sent.', {
+      channelId: command.channel_id,
+      userId: command.user_id,
+      sources: citations.map((citation) => citation.sourceId),
+    });
+  };
+
+  app.command(
+    ONCALL_COMMAND,
+    async ({ command, ack, respond, client, context, logger }) => {
+      const [subcommand = '', ...rest] = (command.text || '')
+        .trim()
+        .split(/\s+/);
+      const question = rest.join(' ').trim();
+      logger.info(
+        `Received ${ONCALL_COMMAND} ${subcommand} from user ${command.user_id}`,
+        {
+          userId: command.user_id,
+          channelId: command.channel_id,
+        }
+      );
+
+      try {
+        switch (subcommand.toLowerCase()) {
+          case 'ask':
+            if (!question) {
+              await ack({
+                response_type: 'ephemeral',
+                text: `Usage: \`${ONCALL_COMMAND} ask <question>\``,
+              });
+              break;
+            }
+            // Acknowledge within Slack's 3 seconds; the answer replaces this message
+            await ack({
+              response_type: 'ephemeral',
+              text: `🔎 Looking up: _${question}_`,
+            });
+            await handleAsk({
+              command,
+              question,
+              client,
+              context,
+              respond,
+              logger,
+            });
+            break;
+          case 'status':
+            await ack();
+            await respond({
+              response_type: 'ephemeral',
+              text: await buildStatusText(config),
+            });
+            break;
+          case 'incidents':
+            await ack();
+            await respond({
+              response_type: 'ephemeral',
+              text: await buildIncidentsText(config),
+            });
+            break;
+          case '':
+          case 'help':
+            await ack({ response_type: 'ephemeral', text: HELP_TEXT });
+            break;
+          default:
+            await ack({
+              response_type: 'ephemeral',
+              text: `I don't know \`${subcommand}\`.\n\n${HELP_TEXT}`,
+            });
+        }
+      } catch (error) {
+        logger.error(`Unexpected error handling ${ONCALL_COMMAND}:`, error);
+        try {
+          await respond({
+            response_type: 'ephemeral',
+            text: ERROR_MESSAGES.UNEXPECTED_ERROR(command.user_id),
+          });
+        } catch (notifyError) {
+          logger.error(
+            'Failed to send error notification to user',
+            notifyError
+          );
+        }
+      }
+    }
+  );
+
+  // Handler for the "Share to channel" button on a private answer
+  app.action(
+    'share_answer_button',
+    async ({ ack, body, client, respond, logger }) => {
+      await ack();
+      const shareId = body.actions[0].value;
+      try {
+        const entry = await shareStore.get(shareId);
+        if (!entry) {
+          await respond({
+            response_type: 'ephemeral',
+            replace_original: false,
+            text: `This answer has expired. Run \`${ONCALL_COMMAND} ask\` again to share it.`,
+          });
+          return;
+        }
+
+        await client.chat.postMessage({
+          channel: body.channel.id,
+          text: entry.answer,
+          blocks: [
+            {
+              type: 'context',
+              elements: [
+                {
+                  type: 'mrkdwn',
+                  text: `<@${body.user.id}> shared an answer to: _${entry.question}_`,
+                },
+              ],
+            },
+            ...buildAnswerBlocks(entry.answer, entry.citations, {
+              question: entry.question,
+            }),
+          ],
+        });
+        // The answer is out; a leftover entry just expires later
+        await shareStore.remove(shareId).catch((error) => {
+          logger.warn('Could not remove the shared answer', error);
+        });
+        await respond({
+          response_type: 'ephemeral',
+          replace_original: true,
+          text: 'Shared to the channel ✅',
+        });
+      } catch (error) {
+        logger.error('Error sharing answer to channel', error);
+        const notInChannel =
+          error.data &&
+          ['not_in_channel', 'channel_not_found'].includes(error.data.error);
+        await respond({
+          response_type: 'ephemeral',
+          replace_original: false,
+          text: notInChannel
+            ? "I can't post here yet. Invite me to the channel with `/invite` and try again."
+            : ERROR_MESSAGES.UNEXPECTED_ERROR(body.user.id),
+        });
+      }
+    }
+  );
+
+  console.log('Slack command handlers registered successfully');
+}
+
+module.exports = { registerCommandHandlers };
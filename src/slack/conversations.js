@@ -0,0 +1,365 @@
+/**
+ * Conversations: answering mentions, direct messages and follow-ups in
+ * threads the bot has already joined.
+ * These get registered in src/app.js
+ */
+const { answerQuestion } = require('../rag/answer');
+const {
+  answerOptionsForChannel,
+  loadChannelRegistry,
+} = require('../config/channels');
+const { buildAnswerBlocks } = require('./blocks');
+const { getFormattedHistory, fetchSlackHistory } = require('./history');
+const { ERROR_MESSAGES } = require('./messages');
+const { createProgressMessage } = require('./progress');
+
+// "thanks", "done" and friends end a follow-up conversation, but only when
+// that is the whole message ("ok, thanks!"). "Thanks, but the pod still
+// crashes?" is a real question, so anything more, or a "?", keeps it going.
+const STOP_PATTERN =
+  /^(?:(?:ok|okay|great|cool|perfect|awesome|nice|got it)[\s,!.]*)?(?:thanks|thank you|thx|ty|done|that[’']?s all|all good|resolved)(?:\s+(?:a lot|so much|again|all))?[\s!.]*$/i;
+// Every answer ends with the feedback buttons (see buildAnswerBlocks)
+const ANSWER_BLOCK_ID = 'actions_block_feedback';
+
+/**
+ * Removes bot mentions from the message text to get the user's question.
+ * @param {string} text - The raw message text.
+ * @returns {string} - The cleaned question.
+ */
+function extractQuestion(text) {
+  return (text || '').replace(/<@[A-Z0-9]+>/g, '').trim();
+}
+
+/**
+ * Whether a message ends the conversation ("thanks", "done", ...).
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isStopMessage(text) {
+  // Emoji such as :pray: don't change what the message says
+  const question = extractQuestion(text)
+    .replace(/:[\w+-]+:/g, '')
+    .trim();
+  return STOP_PATTERN.test(question);
+}
+
+/**
+ * Whether a message is one of the bot's answers, as opposed to its other
+ * thread messages (incident notes, progress errors, the limit notice).
+ * @param {object} message - Slack message.
+ * @param {string} botUserId - The User ID of the bot.
+ * @returns {boolean}
+ */
+function isAnswerMessage(message, botUserId) {
+  return (
+    message.user === botUserId &&
+    (message.blocks || []).some((block) => block.block_id === ANSWER_BLOCK_ID)
+  );
+}
+
+/**
+ * The message posted when a thread reaches the follow-up limit.
+ * @param {number} maxTurns - Follow-ups answered after the first answer.
+ * @returns {string}
+ */
+function limitNotice(maxTurns) {
+  return `I've answered ${maxTurns} follow-ups in this thread, so I'll stop here. Mention me if you need anything else.`;
+}
+
+/**
+ * Whether a message event was written by a person. Edits, deletions, joins and
+ * anything posted by a bot (including this one) carry a subtype or a bot_id.
+ * @param {object} message - Slack message event.
+ * @param {string} botUserId - The User ID of the bot.
+ * @returns {boolean}
+ */
+function isHumanMessage(message, botUserId) {
+  return (
+    !message.subtype &&
+    !message.bot_id &&
+    !!message.user &&
+    message.user !== botUserId
+  );
+}
+
+/**
+ * Decides whether the bot should answer a follow-up in a channel thread,
+ * using only the thread itself so every instance reaches the same decision.
+ * @param {Array<object>} replies - The thread messages, oldest first.
+ * @param {object} message - The follow-up message event.
+ * @param {string} botUserId - The User ID of the bot.
+ * @param {number} maxTurns - Follow-ups answered after the first answer.
+ * @returns {'answer'|'limit'|'stop'|'ignore'}
+ */
+function decideFollowUp(replies, message, botUserId, maxTurns) {
+  const earlier = replies.filter(
+    (msg) => parseFloat(msg.ts) < parseFloat(message.ts)
+  );
+  if (!earlier.some((msg) => isAnswerMessage(msg, botUserId))) {
+    return 'ignore'; // Never answered in this thread
+  }
+
+  // A new mention restarts the conversation, even after a "thanks"
+  const lastMention = earlier
+    .map(
+      (msg) =>
+        isHumanMessage(msg, botUserId) &&
+        (msg.text || '').includes(`<@${botUserId}>`)
+    )
+    .lastIndexOf(true);
+  const conversation = earlier.slice(Math.max(lastMention, 0));
+  const ended = conversation.some(
+    (msg) => isHumanMessage(msg, botUserId) && isStopMessage(msg.text)
+  );
+  if (ended) {
+    return 'ignore';
+  }
+  if (isStopMessage(message.text)) {
+    return 'stop';
+  }
+
+  // Only answers count as turns; incident notes and the like don't
+  const answers = conversation.filter((msg) =>
+    isAnswerMessage(msg, botUserId)
+  ).length;
+  if (answers <= maxTurns) {
+    return 'answer';
+  }
+  const notified = conversation.some(
+    (msg) => msg.user === botUserId && msg.text === limitNotice(maxTurns)
+  );
+  return notified ? 'ignore' : 'limit';
+}
+
+/**
+ * Answers a question in a progress message that shows each stage, streams the
+ * draft and ends as the answer or the matching error message. Retrieval and
+ * personality follow the channel's configuration.
+ * @param {object} params
+ * @param {string} params.question - The user's question.
+ * @param {string} params.userId - Who asked, for the error messages.
+ * @param {object} params.location - Where it was asked; see fetchSlackHistory.
+ * @param {string} [params.replyThreadTs] - Thread to reply in; omit to reply at the top level.
+ * @param {import('@slack/web-api').WebClient} params.client - Slack Web API client.
+ * @param {object} params.context - Bolt context.
+ * @param {object} params.logger - Bolt logger.
+ * @param {object} params.config - The loaded configuration.
+ */
+async function replyWithAnswer({
+  question,
+  userId,
+  location,
+  replyThreadTs,
+  client,
+  context,
+  logger,
+  config,
+}) {
+  const progress = await createProgressMessage(
+    client,
+    { channel: location.channel, threadTs: replyThreadTs },
+    logger
+  );
+
+  try {
+    const slackHistory = await getFormattedHistory(
+      client,
+      location,
+      context.botUserId,
+      logger
+    );
+    const channelSettings = (await loadChannelRegistry(config)).forChannel(
+      location.channel
+    );
+
+    const { answer, citations, errorKey } = await answerQuestion(
+      question,
+      slackHistory,
+      logger,
+      {
+        onStage: (stage) => progress.stage(stage),
+        onPartial: (partialAnswer) => progress.partial(partialAnswer),
+        ...answerOptionsForChannel(channelSettings),
+      }
+    );
+    if (errorKey) {
+      await progress.finish(ERROR_MESSAGES[errorKey](userId));
+      return;
+    }
+
+    await progress.finish(
+      answer,
+      buildAnswerBlocks(answer, citations, { question })
+    );
+    logger.info('Answer sent.', {
+      channelId: location.channel,
+      threadTs: replyThreadTs,
+      sources: citations.map((citation) => citation.sourceId),
+    });
+  } catch (error) {
+    logger.error('Unexpected error answering question:', error);
+    try {
+      await progress.finish(ERROR_MESSAGES.UNEXPECTED_ERROR(userId));
+    } catch (notifyError) {
+      logger.error('Failed to send error notification to user', notifyError);
+    }
+  }
+}
+
+/**
+ * Register mention, direct message and follow-up handlers with the app instance.
+ * @param {import('@slack/bolt').App} app - The initialized Bolt app instance.
+ * @param {Object} config - The loaded application configuration.
+ */
+function registerConversationHandlers(app, config) {
+  const maxTurns = Number(config.followUpMaxTurns);
+
+  // Listens for mentions (@YourBotName hello)
+  app.event('app_mention', async ({ event, client, context, say, logger }) => {
+    logger.info(
+      `Received app_mention event from user ${event.user} in channel ${event.channel} (thread: ${event.thread_ts})`,
+      {
+        userId: event.user,
+        channelId: event.channel,
+        threadTs: event.thread_ts,
+        messageTs: event.ts,
+        text: event.text, // Log the mention text
+      }
+    );
+
+    const replyThreadTs = event.thread_ts || event.ts;
+    const question = extractQuestion(event.text);
+    if (!question) {
+      await say({
+        text: ERROR_MESSAGES.EMPTY_QUERY(event.user),
+        thread_ts: replyThreadTs,
+      });
+      return;
+    }
+
+    await replyWithAnswer({
+      question,
+      userId: event.user,
+      location: {
+        channel: event.channel,
+        threadTs: event.thread_ts,
+        ts: event.ts,
+      },
+      replyThreadTs,
+      client,
+      context,
+      logger,
+      config,
+    });
+  });
+
+  // Direct messages, and follow-ups in channel threads the bot has joined
+  app.event('message', async ({ event, client, context, say, logger }) => {
+    const botUserId = context.botUserId;
+    // Never react to edits, bots or our own replies, so the bot can't loop
+    if (!isHumanMessage(event, botUserId)) {
+      return;
+    }
+    const question = extractQuestion(event.text);
+    if (!question) {
+      return;
+    }
+    const location = {
+      channel: event.channel,
+      threadTs: event.thread_ts,
+      ts: event.ts,
+    };
+
+    if (event.channel_type === 'im') {
+      logger.info(`Received direct message from user ${event.user}`, {
+        userId: event.user,
+        channelId: event.channel,
+        threadTs: event.thread_ts,
+        messageTs: event.ts,
+      });
+      await replyWithAnswer({
+        question,
+        userId: event.user,
+        location,
+        replyThreadTs: event.thread_ts,
+        client,
+        context,
+        logger,
+        config,
+      });
+      return;
+    }
+
+    // Mentions are answered by the app_mention handler
+    if (!event.thread_ts || event.text.includes(`<@${botUserId}>`)) {
+      return;
+    }
+
+    let replies;
+    try {
+      replies = await fetchSlackHistory(
+        client,
+        { channel: event.channel, threadTs: event.thread_ts },
+        botUserId
+      );
+    } catch (error) {
+      logger.error('Failed to read thread for follow-up:', error);
+      return;
+    }
+
+    const decision = decideFollowUp(replies, event, botUserId, maxTurns);
+    if (decision === 'ignore') {
+      return;
+    }
+    logger.info(
+      `Follow-up (${decision}) from user ${event.user} in channel ${event.channel} (thread: ${event.thread_ts})`,
+      {
+        userId: event.user,
+        channelId: event.channel,
+        threadTs: event.thread_ts,
+        messageTs: event.ts,
+      }
+    );
+
+    try {
+      if (decision === 'stop') {
+        await client.reactions.add({
+          channel: event.channel,
+          timestamp: event.ts,
+          name: 'white_check_mark',
+        });
+        return;
+      }
+      if (decision === 'limit') {
+        await say({
+          text: limitNotice(maxTurns),
+          thread_ts: event.thread_ts,
+        });
+        return;
+      }
+    } catch (error) {
+      logger.error('Failed to end follow-up conversation:', error);
+      return;
+    }
+
+    await replyWithAnswer({
+      question,
+      userId: event.user,
+      location,
+      replyThreadTs: event.thread_ts,
+      client,
+      context,
+      logger,
+      config,
+    });
+  });
+
+  console.log('Slack conversation handlers registered successfully');
+}
+
+module.exports = {
+  registerConversationHandlers,
+  extractQuestion,
+  isStopMessage,
+  decideFollowUp,
+};
@@ -0,0 +1,113 @@
+/**
+ * Files shared in a support thread (screenshots, logs, exports), collected as
+ * evidence for incident logs.
+ */
+const { paginate } = require('./history');
+
+const MAX_THREAD_MESSAGES = 1000;
+
+// Reasons Slack gives for not including a file's details in a message
+const FILE_ACCESS_NOTES = {
+  access_denied: "the bot can't access this file",
+  file_not_found: 'the file was deleted',
+  hidden_by_limit: "hidden by the workspace's plan limits",
+  tombstone: 'the file was deleted',
+};
+
+/**
+ * Turns a Slack file object into an evidence entry.
+ * @param {object} file - Slack file object.
+ * @param {object} msg - The message it was shared in.
+ * @returns {object}
+ */
+function toEvidence(file, msg) {
+  return {
+    id: file.id,
+    name: file.name || file.title || file.id,
+    title: file.title || null,
+    filetype: file.filetype || null,
+    mimetype: file.mimetype || null,
+    isImage: (file.mimetype || '').startsWith('image/'),
+    permalink: file.permalink || null,
+    user: file.user || msg.user || null,
+    sharedTs: msg.ts,
+  };
+}
+
+/**
+ * Lists a file the bot could not read, so it still shows up in the log.
+ * @param {object} file - Slack file stub.
+ * @param {object} msg - The message it was shared in.
+ * @param {string} reason - Key of FILE_ACCESS_NOTES or a Slack error code.
+ * @returns {object}
+ */
+function toInaccessibleEvidence(file, msg, reason) {
+  return {
+    id: file.id,
+    name: file.name || file.title || 'Unnamed file',
+    isImage: false,
+    permalink: null,
+    user: msg.user || null,
+    sharedTs: msg.ts,
+    note: FILE_ACCESS_NOTES[reason] || `not readable (${reason})`,
+  };
+}
+
+/**
+ * Resolves one file shared in a message. Slack sometimes sends only a stub
+ * (`file_access: 'check_file_info'`), so the details are fetched with files.info.
+ * @param {import('@slack/web-api').WebClient} client - Slack Web API client.
+ * @param {object} file - Slack file object or stub.
+ * @param {object} msg - The message it was shared in.
+ * @returns {Promise<object>}
+ */
+async function resolveFile(client, file, msg) {
+  if (file.mode === 'tombstone' || file.mode === 'hidden_by_limit') {
+    return toInaccessibleEvidence(file, msg, file.mode);
+  }
+  if (file.file_access === 'access_denied') {
+    return toInaccessibleEvidence(file, msg, 'access_denied');
+  }
+  if (file.file_access !== 'check_file_info') {
+    return toEvidence(file, msg);
+  }
+  try {
+    const result = await client.files.info({ file: file.id });
+    return toEvidence(result.file, msg);
+  } catch (error) {
+    return toInaccessibleEvidence(
+      file,
+      msg,
+      (error.data && error.data.error) || 'access_denied'
+    );
+  }
+}
+
+/**
+ * Collects the files shared in a thread, in the order they were shared.
+ * Files the bot cannot read are listed with a note instead of failing the
+ * collection.
+ * @param {import('@slack/web-api').WebClient} client - Slack Web API client.
+ * @param {object} location
+ * @param {string} location.channel - Channel ID.
+ * @param {string} location.threadTs - Thread timestamp.
+ * @returns {Promise<Array<object>>} - Evidence entries (see toEvidence).
+ */
+async function collectThreadFiles(client, { channel, threadTs }) {
+  const messages = await paginate(
+    client.conversations.replies,
+    { channel, ts: threadTs },
+    MAX_THREAD_MESSAGES
+  );
+
+  // The same file can be shared more than once; keep its first share
+  const seen = new Set();
+  const shared = messages
+    .flatMap((msg) => (msg.files || []).map((file) => ({ file, msg })))
+    .filter(({ file }) => !seen.has(file.id) && seen.add(file.id));
+  return Promise.all(
+    shared.map(({ file, msg }) => resolveFile(client, file, msg))
+  );
+}
+
+module.exports = { collectThreadFiles };
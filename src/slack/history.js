@@ -0,0 +1,294 @@
+/**
+ * Slack conversation history used as context for answers.
+ * Collects the thread replies or recent channel messages around a question,
+ * drops noise, and resolves user and channel IDs to names the LLM can read.
+ */
+
+// Configuration for history fetching
+const MAX_HISTORY_LENGTH = 15000; // Approx character limit for history string
+const THREAD_HISTORY_LIMIT = 100;
+const CHANNEL_HISTORY_LIMIT = 75;
+// Long threads are paged through to reach their latest replies, up to this many
+const MAX_THREAD_MESSAGES = 1000;
+const PAGE_SIZE = 200; // Slack's recommended maximum per page
+// Resolved names are cached per process and refreshed after this long
+const NAME_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Message subtypes that carry no conversation content
+const NOISE_SUBTYPES = new Set([
+  'bot_message',
+  'channel_join',
+  'channel_leave',
+  'group_join',
+  'group_leave',
+  'channel_topic',
+  'channel_purpose',
+  'channel_name',
+  'channel_archive',
+  'channel_unarchive',
+  'pinned_item',
+  'unpinned_item',
+  'reminder_add',
+]);
+
+const userNames = new Map();
+const channelNames = new Map();
+
+/**
+ * Whether a message is part of the conversation. Join/leave notices, channel
+ * changes and other bots are dropped; this bot's own answers are kept.
+ * @param {object} msg - Slack message object.
+ * @param {string} [botUserId] - The User ID of the bot; omit to drop its answers too.
+ * @returns {boolean}
+ */
+function isConversationMessage(msg, botUserId) {
+  if (botUserId && msg.user === botUserId) {
+    return true;
+  }
+  return !NOISE_SUBTYPES.has(msg.subtype) && !msg.bot_id && !!msg.user;
+}
+
+/**
+ * Looks up a name through a cache, falling back to the ID when the lookup fails.
+ * The pending lookup is cached so concurrent requests for one ID share it.
+ * @param {Map<string, {name: Promise<string>, expiresAt: number}>} cache
+ * @param {string} id
+ * @param {() => Promise<string|undefined>} lookup
+ * @param {object} logger - Bolt logger.
+ * @returns {Promise<string>}
+ */
+function cachedName(cache, id, lookup, logger) {
+  const cached = cache.get(id);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.name;
+  }
+  const name = lookup()
+    .then((found) => found || id)
+    .catch((error) => {
+      logger.warn(`Failed to resolve Slack name for ${id}:`, error.message);
+      return id;
+    });
+  cache.set(id, { name, expiresAt: Date.now() + NAME_CACHE_TTL_MS });
+  return name;
+}
+
+/**
+ * Creates a resolver for user and channel display names.
+ * @param {import('@slack/web-api').WebClient} client - Slack Web API client.
+ * @param {object} logger - Bolt logger.
+ * @returns {{userName: (id: string) => Promise<string>, channelName: (id: string) => Promise<string>}}
+ */
+function createNameResolver(client, logger) {
+  return {
+    userName: (id) =>
+      cachedName(
+        userNames,
+        id,
+        async () => {
+          const { user } = await client.users.info({ user: id });
+          return (
+            user.profile?.display_name || user.profile?.real_name || user.name
+          );
+        },
+        logger
+      ),
+    channelName: (id) =>
+      cachedName(
+        channelNames,
+        id,
+        async () => {
+          const { channel } = await client.conversations.info({ channel: id });
+          return channel.name;
+        },
+        logger
+      ),
+  };
+}
+
+/**
+ * Rewrites Slack markup into plain text: `<@U123>` becomes `@Jane`,
+ * `<#C123>` becomes `#incidents`, `<!here>` becomes `@here` and
+ * `<https://x|label>` becomes `label (https://x)`.
+ * @param {string} text - Raw message text.
+ * @param {object} resolver - From createNameResolver.
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreLabels=false] - Always name users and channels with the
+ *   resolver, e.g. to anonymize: `<@U123|jane.doe>` keeps the real name in its label.
+ * @returns {Promise<string>}
+ */
+async function resolveMentions(text, resolver, { ignoreLabels = false } = {}) {
+  const tokens = [...(text || '').matchAll(/<([^<>]+)>/g)];
+  const replacements = await Promise.all(
+    tokens.map(async ([, inner]) => {
+      const [target, label] = inner.split('|');
+      const mentionLabel = ignoreLabels ? null : label;
+      if (target.startsWith('@')) {
+        return `@${mentionLabel || (await resolver.userName(target.slice(1)))}`;
+      }
+      if (target.startsWith('#')) {
+        return `#${mentionLabel || (await resolver.channelName(target.slice(1)))}`;
+      }
+      if (target.startsWith('!')) {
+        return `@${label || target.slice(1).split('^')[0]}`;
+      }
+      return label ? `${label} (${target})` : target;
+    })
+  );
+  let index = 0;
+  return (text || '').replace(/<([^<>]+)>/g, () => {
+    const replacement = replacements[index];
+    index += 1;
+    return replacement;
+  });
+}
+
+/**
+ * Formats messages into a chronological string, applying truncation if needed.
+ * Truncation keeps the opening message (the thread's question) and as many of
+ * the most recent messages as fit.
+ * @param {Array<{author: string, text: string, ts: string}>} messages - Messages with resolved names.
+ * @param {number} maxLength - The maximum character length allowed for the history string.
+ * @param {object} [options]
+ * @param {boolean} [options.keepOpening=false] - Always keep the first message.
+ * @returns {string} - The formatted (and potentially truncated) history string.
+ */
+function formatSlackHistory(messages, maxLength, { keepOpening = false } = {}) {
+  if (!messages || messages.length === 0) {
+    return 'No relevant conversation history found.';
+  }
+
+  // Sort messages chronologically (oldest first)
+  const lines = [...messages]
+    .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts))
+    .map((msg) => {
+      const timestamp = new Date(parseFloat(msg.ts) * 1000).toLocaleString(); // Human-readable time
+      return `${msg.author} [${timestamp}]: ${msg.text}`;
+    });
+
+  const formattedHistory = lines.join('\n');
+  if (formattedHistory.length <= maxLength) {
+    return formattedHistory;
+  }
+
+  const opening = keepOpening ? lines.slice(0, 1) : [];
+  let remaining =
+    maxLength - opening.reduce((total, line) => total + line.length + 1, 0);
+  const recent = [];
+  for (let i = lines.length - 1; i >= opening.length; i -= 1) {
+    if (lines[i].length + 1 > remaining) {
+      break;
+    }
+    remaining -= lines[i].length + 1;
+    recent.unshift(lines[i]);
+  }
+  const omitted = lines.length - opening.length - recent.length;
+  console.warn(
+    `History length (${formattedHistory.length}) exceeds max length (${maxLength}). Omitted ${omitted} messages.`
+  );
+  return [
+    ...opening,
+    `[... ${omitted} earlier messages omitted ...]`,
+    ...recent,
+  ].join('\n');
+}
+
+/**
+ * Pages through a conversations.* method until `limit` messages are collected.
+ * @param {Function} method - e.g. client.conversations.replies
+ * @param {object} params - Arguments for the method, without paging.
+ * @param {number} limit - Maximum number of messages to collect.
+ * @returns {Promise<Array<object>>}
+ */
+async function paginate(method, params, limit) {
+  const messages = [];
+  let cursor;
+  do {
+    const result = await method({
+      ...params,
+      limit: Math.min(PAGE_SIZE, limit - messages.length),
+      ...(cursor ? { cursor } : {}),
+    });
+    messages.push(...(result.messages || []));
+    cursor = result.response_metadata?.next_cursor;
+  } while (cursor && messages.length < limit);
+  return messages.slice(0, limit);
+}
+
+/**
+ * Fetches the conversation history around a message: the thread replies when
+ * it is in a thread, otherwise the recent channel messages. Noise is dropped
+ * and the triggering message itself is excluded.
+ * Threads are returned as their opening message plus the latest replies.
+ * @param {import('@slack/web-api').WebClient} client - Slack Web API client.
+ * @param {object} location
+ * @param {string} location.channel - Channel ID.
+ * @param {string} [location.threadTs] - Thread timestamp, if in a thread.
+ * @param {string} [location.ts] - Timestamp of the triggering message (omit for slash commands).
+ * @param {string} [botUserId] - The User ID of the bot, whose messages are kept.
+ * @returns {Promise<Array<object>>} - Slack message objects, oldest first.
+ */
+async function fetchSlackHistory(client, { channel, threadTs, ts }, botUserId) {
+  let messages;
+  if (threadTs) {
+    const replies = await paginate(
+      client.conversations.replies,
+      { channel, ts: threadTs },
+      MAX_THREAD_MESSAGES
+    );
+    messages =
+      replies.length > THREAD_HISTORY_LIMIT
+        ? [replies[0], ...replies.slice(-(THREAD_HISTORY_LIMIT - 1))]
+        : replies;
+  } else {
+    messages = await paginate(
+      client.conversations.history,
+      { channel, ...(ts ? { latest: ts } : {}) },
+      CHANNEL_HISTORY_LIMIT
+    );
+  }
+  return messages
+    .filter((msg) => msg.ts !== ts && isConversationMessage(msg, botUserId))
+    .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+}
+
+/**
+ * Fetches and formats the history for the prompt. History is helpful but not
+ * essential, so a failure only logs a warning.
+ * @param {import('@slack/web-api').WebClient} client - Slack Web API client.
+ * @param {object} location - See fetchSlackHistory.
+ * @param {string} botUserId - The User ID of the bot.
+ * @param {object} logger - Bolt logger.
+ * @returns {Promise<string>}
+ */
+async function getFormattedHistory(client, location, botUserId, logger) {
+  try {
+    const messages = await fetchSlackHistory(client, location, botUserId);
+    const resolver = createNameResolver(client, logger);
+    const resolved = await Promise.all(
+      messages.map(async (msg) => ({
+        ts: msg.ts,
+        author:
+          msg.user === botUserId
+            ? 'Bot'
+            : `@${await resolver.userName(msg.user)}`,
+        text: await resolveMentions(msg.text, resolver),
+      }))
+    );
+    return formatSlackHistory(resolved, MAX_HISTORY_LENGTH, {
+      keepOpening: !!location.threadTs,
+    });
+  } catch (error) {
+    logger.warn('Failed to fetch Slack history, continuing without it:', error);
+    return formatSlackHistory([], 0);
+  }
+}
+
+module.exports = {
+  createNameResolver,
+  fetchSlackHistory,
+  formatSlackHistory,
+  getFormattedHistory,
+  isConversationMessage,
+  paginate,
+  resolveMentions,
+};
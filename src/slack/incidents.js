@@ -0,0 +1,740 @@
+/**
+ * Incident handlers: the Log Incident form (with links to incidents that look
+ * the same) and the lifecycle buttons (Acknowledge, Assign to me, Add note,
+ * Resolve) on ticketing-channel posts.
+ * Incidents are kept in the incident store, and the ticketing post is rebuilt
+ * from the stored incident after every change.
+ * These get registered in src/app.js
+ */
+const { createIncidentStore } = require('../incidents/store');
+const { loadChannelRegistry } = require('../config/channels');
+const { createTicketTracker } = require('../incidents/trackers');
+const {
+  findRelatedIncidents,
+  relatedIncidentOptions,
+} = require('../incidents/related');
+const {
+  buildIncidentBlocks,
+  buildIncidentLinkedModal,
+  buildIncidentModal,
+  buildIncidentModalAfterTyping,
+  buildIncidentModalWithSuggestion,
+  buildIncidentNoteModal,
+  decodeFeedbackContext,
+} = require('./blocks');
+const { extractAnswerText } = require('./interactions');
+const { collectThreadFiles } = require('./files');
+const { getFormattedHistory } = require('./history');
+const {
+  summarizeIncidentThread,
+  formatIncidentSummary,
+} = require('../incidents/summary');
+
+// Incident form fields (by action ID) that must contain more than whitespace
+const REQUIRED_INCIDENT_FIELDS = {
+  title: 'incident_title',
+  service: 'incident_service',
+  impact: 'incident_impact',
+};
+
+/**
+ * Finds the question an answer was given to. Answers carry it in the value of
+ * their feedback buttons.
+ * @param {object} message - The message the button belongs to.
+ * @returns {string} - The question, or '' if the message does not carry it.
+ */
+function findAnswerQuestion(message) {
+  const feedbackBlock = (message.blocks || []).find(
+    (block) => block.block_id === 'actions_block_feedback'
+  );
+  if (!feedbackBlock || !feedbackBlock.elements[0]) {
+    return '';
+  }
+  return decodeFeedbackContext(feedbackBlock.elements[0].value).question;
+}
+
+/**
+ * Reads and validates a submitted incident form.
+ * @param {object} values - view.state.values of the incident modal.
+ * @returns {{incident: object, errors: Object<string, string>}} - Errors by block ID.
+ */
+function readIncidentForm(values) {
+  // Fields get new block IDs when a suggestion is used, so inputs are found
+  // by action ID
+  const blockIdOf = (actionId) =>
+    Object.keys(values).find((blockId) => values[blockId][actionId]);
+  const element = (actionId) => {
+    const blockId = blockIdOf(actionId);
+    return blockId ? values[blockId][actionId] : {};
+  };
+  const text = (actionId) => (element(actionId).value || '').trim();
+  const incident = {
+    title: text('incident_title'),
+    severity: element('incident_severity').selected_option?.value,
+    service: text('incident_service'),
+    impact: text('incident_impact'),
+    assignee: element('incident_assignee').selected_user || null,
+    summary: text('incident_summary'),
+    question: text('incident_question'),
+    answer: text('incident_answer'),
+  };
+
+  const errors = {};
+  Object.entries(REQUIRED_INCIDENT_FIELDS).forEach(([field, actionId]) => {
+    if (!incident[field]) {
+      errors[blockIdOf(actionId)] = 'This field is required.';
+    }
+  });
+  if (!incident.severity) {
+    errors[blockIdOf('incident_severity')] = 'Pick a severity.';
+  }
+  return { incident, errors };
+}
+
+/**
+ * Register incident handlers with the app instance.
+ * @param {import('@slack/bolt').App} app - The initialized Bolt app instance.
+ * @param {Object} config - The loaded application configuration.
+ */
+function registerIncidentHandlers(app, config) {
+  const incidentStore = createIncidentStore(config);
+  const ticketTracker = createTicketTracker(config);
+  const relatedOptions = relatedIncidentOptions(config);
+
+  // Rebuilds the ticketing-channel post from the stored incident
+  const refreshIncidentMessage = (client, incident) =>
+    client.chat.update({
+      channel: incident.ticket.channel,
+      ts: incident.ticket.ts,
+      text: `🚨 ${incident.id}: ${incident.title}`,
+      blocks: buildIncidentBlocks(incident),
+    });
+
+  // Posts a short status note in the support thread the incident came from
+  // and in the threads linked to it since
+  const notifyThread = (client, incident, text) =>
+    Promise.all(
+      [incident.source, ...(incident.linkedThreads || [])].map((thread) =>
+        client.chat.postMessage({
+          channel: thread.channel,
+          thread_ts: thread.threadTs,
+          text,
+        })
+      )
+    );
+
+  /**
+   * Finds logged incidents that look like the same problem. Never throws: the
+   * search only adds suggestions.
+   * @param {object} incident - Draft or submitted incident form.
+   * @param {object} logger - Bolt logger.
+   * @returns {Promise<Array<{incident: object, score: number}>>}
+   */
+  const searchRelatedIncidents = async (incident, logger) => {
+    try {
+      const related = findRelatedIncidents(
+        incident,
+        await incidentStore.list(),
+        relatedOptions
+      );
+      if (related.length > 0) {
+        logger.info('Found related incidents', {
+          incidents: related.map(
+            ({ incident: match, score }) => `${match.id} (${score.toFixed(2)})`
+          ),
+        });
+      }
+      return related;
+    } catch (error) {
+      logger.warn('Could not search for related incidents', error);
+      return [];
+    }
+  };
+
+  /**
+   * Files the incident in the ticket tracker and writes the ticket key and
+   * link back onto the Slack post. A tracker outage is recorded in the
+   * activity trail; the Slack post stays as it is otherwise.
+   * @param {import('@slack/web-api').WebClient} client - Slack Web API client.
+   * @param {object} incident - The stored incident, already posted.
+   * @param {object} logger - Bolt logger.
+   */
+  const fileTrackerTicket = async (client, incident, logger) => {
+    let activity;
+    let trackerIssue = null;
+    try {
+      trackerIssue = {
+        tracker: ticketTracker.name,
+        ...(await ticketTracker.createTicket(incident)),
+      };
+      activity = { action: 'ticket_created', text: trackerIssue.key };
+      logger.info(`Filed ${incident.id} as ${trackerIssue.key}`, {
+        url: trackerIssue.url,
+      });
+    } catch (error) {
+      logger.error(
+        `Could not file ${incident.id} in ${ticketTracker.label}`,
+        error
+      );
+      activity = { action: 'ticket_failed', text: ticketTracker.label };
+    }
+
+    try {
+      const updated = await incidentStore.update(incident.id, (item) => {
+        if (trackerIssue) {
+          item.trackerIssue = trackerIssue;
+        }
+        item.activity.push({ at: new Date().toISOString(), ...activity });
+      });
+      await refreshIncidentMessage(client, updated);
+    } catch (error) {
+      logger.error(
+        'Could not record the tracker ticket on the incident',
+        error
+      );
+    }
+  };
+
+  /**
+   * Applies a lifecycle change, records it in the activity trail, then
+   * refreshes the ticketing post and tells the support thread.
+   * @param {object} params
+   * @param {string} params.incidentId - The incident ID.
+   * @param {string} params.user - Slack user ID of who made the change.
+   * @param {string} params.action - Activity action, e.g. 'acknowledged'.
+   * @param {string} [params.text] - Activity details (note text, assignee).
+   * @param {(incident: object) => boolean} params.change - Mutates the incident; returns false if there was nothing to change.
+   * @param {(incident: object) => string} params.threadNote - Status note for the support thread.
+   * @param {import('@slack/web-api').WebClient} params.client - Slack Web API client.
+   * @param {object} params.logger - Bolt logger.
+   */
+  const applyLifecycleChange = async ({
+    incidentId,
+    user,
+    action,
+    text,
+    change,
+    threadNote,
+    client,
+    logger,
+  }) => {
+    let changed = false;
+    const incident = await incidentStore.update(incidentId, (item) => {
+      changed = change(item);
+      if (changed) {
+        item.activity.push({
+          at: new Date().toISOString(),
+          user,
+          action,
+          ...(text ? { text } : {}),
+        });
+      }
+    });
+    if (!incident) {
+      logger.warn('Incident not found for lifecycle action', {
+        incidentId,
+        action,
+      });
+      return;
+    }
+
+    // Refresh even when nothing changed, in case the post was stale
+    if (incident.ticket) {
+      await refreshIncidentMessage(client, incident);
+    }
+    if (!changed) {
+      return;
+    }
+    logger.info(`Incident ${incidentId} ${action}`, { user });
+    try {
+      await notifyThread(client, incident, threadNote(incident));
+    } catch (error) {
+      logger.warn('Could not post the incident update to the thread', error);
+    }
+  };
+
+  /**
+   * Registers a lifecycle button whose value is the incident ID.
+   * @param {string} actionId - Button action ID.
+   * @param {object} lifecycle - See applyLifecycleChange.
+   */
+  const registerLifecycleButton = (actionId, lifecycle) => {
+    app.action(actionId, async ({ ack, body, client, logger }) => {
+      await ack();
+      const user = body.user.id;
+      try {
+        await applyLifecycleChange({
+          incidentId: body.actions[0].value,
+          user,
+          action: lifecycle.action,
+          text: lifecycle.text && lifecycle.text(user),
+          change: (incident) => lifecycle.change(incident, user),
+          threadNote: (incident) => lifecycle.threadNote(incident, user),
+          client,
+          logger,
+        });
+      } catch (error) {
+        logger.error(`Error handling ${actionId}`, error);
+        try {
+          await client.chat.postEphemeral({
+            channel: body.channel.id,
+            user,
+            text: `Sorry <@${user}>, I couldn't update this incident. Please try again.`,
+          });
+        } catch (notifyError) {
+          logger.error(
+            'Failed to send error notification to user',
+            notifyError
+          );
+        }
+      }
+    });
+  };
+
+  // Handler for the "Log Incident" button: opens the incident form
+  app.action(
+    'log_incident_button',
+    async ({ ack, body, client, context, logger }) => {
+      // Always acknowledge the interaction immediately
+      await ack();
+      logger.info('Log Incident button clicked', {
+        user: body.user.id,
+        channel: body.channel.id,
+        messageTs: body.message.ts,
+      });
+
+      const metadata = {
+        channel: body.channel.id,
+        threadTs: body.message.thread_ts || body.message.ts,
+        messageTs: body.message.ts,
+      };
+      const draft = {
+        question: findAnswerQuestion(body.message),
+        answer: extractAnswerText(body.message),
+      };
+
+      let view;
+      try {
+        // Open the modal first: the trigger_id expires after 3 seconds
+        ({ view } = await client.views.open({
+          trigger_id: body.trigger_id,
+          view: buildIncidentModal(draft, metadata, { summaryPending: true }),
+        }));
+      } catch (error) {
+        logger.error('Error opening the incident form', error);
+        try {
+          await client.chat.postEphemeral({
+            channel: body.channel.id,
+            user: body.user.id,
+            thread_ts: metadata.threadTs,
+            text: `Sorry <@${body.user.id}>, I couldn't open the incident form. Please try again.`,
+          });
+        } catch (notifyError) {
+          logger.error(
+            'Failed to send error notification to user',
+            notifyError
+          );
+        }
+        return;
+      }
+
+      // Answers posted before the question was stored on the message: fall
+      // back to the thread's first message, which is usually the question
+      if (!draft.question) {
+        try {
+          const threadHistory = await client.conversations.replies({
+            channel: metadata.channel,
+            ts: metadata.threadTs,
+            limit: 1,
+          });
+          const opening = (threadHistory.messages || [])[0];
+          if (opening && opening.text && opening.ts !== metadata.messageTs) {
+            draft.question = opening.text;
+          }
+        } catch (error) {
+          logger.warn('Could not read the question from the thread', error);
+        }
+      }
+
+      // Draft a summary of the whole thread; it fills in the title and summary
+      // unless they were typed in meanwhile, and is offered next to the form then
+      let suggestion = null;
+      try {
+        const slackHistory = await getFormattedHistory(
+          client,
+          { channel: metadata.channel, threadTs: metadata.threadTs },
+          context.botUserId,
+          logger
+        );
+        const summary = await summarizeIncidentThread(slackHistory, draft);
+        suggestion = {
+          title: summary.title,
+          summary: formatIncidentSummary(summary),
+        };
+      } catch (error) {
+        logger.warn('Could not draft an incident summary', error);
+      }
+
+      // Offer to link the thread to an incident that is already logged
+      const relatedIncidents = await searchRelatedIncidents(
+        { ...draft, ...suggestion },
+        logger
+      );
+
+      const offeredView = buildIncidentModal(draft, metadata, {
+        suggestion,
+        relatedIncidents,
+      });
+      try {
+        try {
+          // Typing in the title or summary changes the view, so the hash makes
+          // this fail instead of replacing what was typed
+          await client.views.update({
+            view_id: view.id,
+            hash: view.hash,
+            view: suggestion
+              ? buildIncidentModalWithSuggestion(offeredView)
+              : offeredView,
+          });
+        } catch (error) {
+          if (!(error.data && error.data.error === 'hash_conflict')) {
+            throw error;
+          }
+          // Same block IDs as the open form, so the typed values are kept
+          await client.views.update({ view_id: view.id, view: offeredView });
+        }
+      } catch (error) {
+        logger.warn('Could not add the suggestion to the incident form', error);
+      }
+    }
+  );
+
+  // Handler for typing in the title or summary while the summary is drafted:
+  // changes the view, so the draft is offered instead of filled in
+  app.action(
+    /^incident_(title|summary)$/,
+    async ({ ack, body, client, logger }) => {
+      await ack();
+      try {
+        await client.views.update({
+          view_id: body.view.id,
+          hash: body.view.hash,
+          view: buildIncidentModalAfterTyping(body.view),
+        });
+      } catch (error) {
+        // A conflict means the draft was filled in or offered meanwhile
+        if (!(error.data && error.data.error === 'hash_conflict')) {
+          logger.warn('Could not mark the incident form as typed in', error);
+        }
+      }
+    }
+  );
+
+  // Handler for "Use suggestion" in the incident form: copies the drafted
+  // title and summary into the form
+  app.action(
+    'incident_use_suggestion',
+    async ({ ack, body, client, logger }) => {
+      await ack();
+      try {
+        await client.views.update({
+          view_id: body.view.id,
+          hash: body.view.hash,
+          view: buildIncidentModalWithSuggestion(body.view),
+        });
+      } catch (error) {
+        logger.warn('Could not fill in the incident form', error);
+      }
+    }
+  );
+
+  // Handler for the incident form: validates it, stores and posts the incident
+  app.view('incident_modal', async ({ ack, body, view, client, logger }) => {
+    const { incident: form, errors } = readIncidentForm(view.state.values);
+    if (Object.keys(errors).length > 0) {
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+    await ack();
+
+    const userWhoLogged = body.user.id;
+    const { channel, threadTs } = JSON.parse(view.private_metadata);
+
+    try {
+      // Channels can log their incidents to their own ticketing channel
+      const { ticketingChannelId } = (
+        await loadChannelRegistry(config)
+      ).forChannel(channel);
+
+      // Create a permalink to the original thread
+      let permalink = null;
+      try {
+        ({ permalink } = await client.chat.getPermalink({
+          channel,
+          message_ts: threadTs,
+        }));
+      } catch (error) {
+        logger.warn('Could not get a permalink for the incident thread', error);
+      }
+
+      // Screenshots and files shared in the thread are kept as evidence
+      let files = [];
+      try {
+        files = await collectThreadFiles(client, { channel, threadTs });
+      } catch (error) {
+        logger.warn('Could not collect files from the incident thread', error);
+      }
+
+      // Logged anyway: list the incidents it may be related to on the post
+      const relatedIncidents = (await searchRelatedIncidents(form, logger)).map(
+        ({ incident: related }) => ({
+          id: related.id,
+          title: related.title,
+        })
+      );
+
+      const incident = await incidentStore.create(
+        {
+          ...form,
+          permalink,
+          files,
+          relatedIncidents,
+          source: { channel, threadTs },
+        },
+        userWhoLogged
+      );
+
+      // Post the message to the ticketing channel. An incident nobody can
+      // see is not kept, so the user can simply log it again
+      let result;
+      try {
+        result = await client.chat.postMessage({
+          channel: ticketingChannelId,
+          text: `🚨 New incident ${incident.id}: ${incident.title}`,
+          blocks: buildIncidentBlocks(incident),
+        });
+      } catch (error) {
+        try {
+          await incidentStore.remove(incident.id);
+        } catch (removeError) {
+          logger.error(`Could not remove unposted ${incident.id}`, removeError);
+        }
+        throw error;
+      }
+      await incidentStore.update(incident.id, (item) => {
+        item.ticket = { channel: result.channel, ts: result.ts };
+      });
+
+      logger.info('Incident logged successfully', {
+        incidentId: incident.id,
+        channel: ticketingChannelId,
+        messageTs: result.ts,
+        severity: incident.severity,
+      });
+
+      // Let the thread know where the incident went
+      await client.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: `Thanks <@${userWhoLogged}>! I've logged this as *${incident.id}*. <#${ticketingChannelId}|incident-log>`,
+      });
+
+      if (ticketTracker) {
+        await fileTrackerTicket(client, incident, logger);
+      }
+    } catch (error) {
+      logger.error('Error logging incident', error);
+
+      // Try to notify the user that something went wrong
+      try {
+        await client.chat.postEphemeral({
+          channel,
+          user: userWhoLogged,
+          thread_ts: threadTs,
+          text: `Sorry <@${userWhoLogged}>, there was an error logging this incident. Please try again or contact an administrator.`,
+        });
+      } catch (notifyError) {
+        logger.error('Failed to send error notification to user', notifyError);
+      }
+    }
+  });
+
+  // Handler for "Link to INC-…" in the incident form: adds the thread to the
+  // existing incident instead of logging a new one
+  app.action('incident_link_button', async ({ ack, body, client, logger }) => {
+    await ack();
+    const incidentId = body.actions[0].value;
+    const user = body.user.id;
+    const { channel, threadTs } = JSON.parse(body.view.private_metadata);
+
+    try {
+      let permalink = null;
+      try {
+        ({ permalink } = await client.chat.getPermalink({
+          channel,
+          message_ts: threadTs,
+        }));
+      } catch (error) {
+        logger.warn('Could not get a permalink for the linked thread', error);
+      }
+
+      let alreadyLinked = false;
+      const incident = await incidentStore.update(incidentId, (item) => {
+        alreadyLinked = [item.source, ...(item.linkedThreads || [])].some(
+          (thread) => thread.channel === channel && thread.threadTs === threadTs
+        );
+        if (alreadyLinked) {
+          return;
+        }
+        item.linkedThreads = [
+          ...(item.linkedThreads || []),
+          { channel, threadTs, permalink },
+        ];
+        item.activity.push({
+          at: new Date().toISOString(),
+          user,
+          action: 'linked',
+          ...(permalink ? { text: permalink } : {}),
+        });
+      });
+      if (!incident) {
+        throw new Error(`Incident ${incidentId} not found`);
+      }
+      await client.views.update({
+        view_id: body.view.id,
+        view: buildIncidentLinkedModal(incident),
+      });
+      if (alreadyLinked) {
+        return;
+      }
+      logger.info(`Linked a thread to incident ${incidentId}`, {
+        user,
+        channel,
+        threadTs,
+      });
+
+      if (incident.ticket) {
+        await refreshIncidentMessage(client, incident);
+      }
+      // Point to where the incident was posted, or where its channel logs incidents
+      const ticketingChannelId = incident.ticket
+        ? incident.ticket.channel
+        : (await loadChannelRegistry(config)).forChannel(
+            incident.source.channel
+          ).ticketingChannelId;
+      await client.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: `🔗 <@${user}> linked this thread to *${incident.id}*, which is already logged. <#${ticketingChannelId}|incident-log>`,
+      });
+    } catch (error) {
+      logger.error('Error linking the thread to an incident', error);
+      try {
+        await client.chat.postEphemeral({
+          channel,
+          user,
+          thread_ts: threadTs,
+          text: `Sorry <@${user}>, I couldn't link this thread to ${incidentId}. Please try again.`,
+        });
+      } catch (notifyError) {
+        logger.error('Failed to send error notification to user', notifyError);
+      }
+    }
+  });
+
+  // --- Lifecycle Buttons --- //
+
+  registerLifecycleButton('incident_ack_button', {
+    action: 'acknowledged',
+    change: (incident) => {
+      if (incident.status !== 'open') {
+        return false;
+      }
+      incident.status = 'acknowledged';
+      return true;
+    },
+    threadNote: (incident, user) =>
+      `👀 <@${user}> acknowledged *${incident.id}*.`,
+  });
+
+  registerLifecycleButton('incident_assign_button', {
+    action: 'assigned',
+    text: (user) => user,
+    change: (incident, user) => {
+      if (incident.status === 'resolved' || incident.assignee === user) {
+        return false;
+      }
+      incident.assignee = user;
+      return true;
+    },
+    threadNote: (incident, user) =>
+      `🙋 <@${user}> is now handling *${incident.id}*.`,
+  });
+
+  registerLifecycleButton('incident_resolve_button', {
+    action: 'resolved',
+    change: (incident) => {
+      if (incident.status === 'resolved') {
+        return false;
+      }
+      incident.status = 'resolved';
+      incident.resolvedAt = new Date().toISOString();
+      return true;
+    },
+    threadNote: (incident, user) =>
+      `✅ *${incident.id}* was resolved by <@${user}>.`,
+  });
+
+  // Handler for the "Add note" button: asks for the note in a modal
+  app.action('incident_note_button', async ({ ack, body, client, logger }) => {
+    await ack();
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildIncidentNoteModal(body.actions[0].value),
+      });
+    } catch (error) {
+      logger.error('Error opening the incident note form', error);
+    }
+  });
+
+  // Handler for the note modal
+  app.view(
+    'incident_note_modal',
+    async ({ ack, body, view, client, logger }) => {
+      const note = (
+        view.state.values.incident_note_block.incident_note.value || ''
+      ).trim();
+      if (!note) {
+        await ack({
+          response_action: 'errors',
+          errors: { incident_note_block: 'Write a note first.' },
+        });
+        return;
+      }
+      await ack();
+
+      const { incidentId } = JSON.parse(view.private_metadata);
+      const user = body.user.id;
+      try {
+        await applyLifecycleChange({
+          incidentId,
+          user,
+          action: 'note',
+          text: note,
+          change: () => true,
+          threadNote: (incident) =>
+            `📝 <@${user}> added a note to *${incident.id}*: ${note}`,
+          client,
+          logger,
+        });
+      } catch (error) {
+        logger.error('Error adding incident note', error);
+      }
+    }
+  );
+
+  console.log('Slack incident handlers registered successfully');
+}
+
+module.exports = { registerIncidentHandlers, readIncidentForm };
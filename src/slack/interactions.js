@@ -2,6 +2,41 @@
  * Slack Interaction Handlers (button clicks, etc.)
  * These get registered in src/app.js
  */
+const crypto = require('crypto');
+const { createFeedbackStore } = require('../feedback/store');
+const { buildFeedbackModal, decodeFeedbackContext } = require('./blocks');
+
+/**
+ * Extracts the answer text from a bot answer message (its section blocks).
+ * @param {object} message - The message the button belongs to.
+ * @returns {string}
+ */
+function extractAnswerText(message) {
+  const sections = (message.blocks || [])
+    .filter((block) => block.type === 'section' && block.text)
+    .map((block) => block.text.text);
+  return sections.length > 0 ? sections.join('\n') : message.text || '';
+}
+
+/**
+ * Builds a feedback record for a 👍/👎 click.
+ * @param {object} body - The block_actions payload.
+ * @param {'up'|'down'} rating - The rating.
+ * @returns {object}
+ */
+function buildFeedbackRecord(body, rating) {
+  const { question, chunkIds } = decodeFeedbackContext(body.actions[0].value);
+  return {
+    rating,
+    user: body.user.id,
+    channel: body.channel.id,
+    messageTs: body.message.ts,
+    threadTs: body.message.thread_ts || body.message.ts,
+    question,
+    answer: extractAnswerText(body.message),
+    chunkIds,
+  };
+}
 
 /**
  * Register interaction handlers with the app instance.
@@ -9,155 +44,95 @@
  * @param {Object} config - The loaded application configuration.
  */
 function registerInteractionHandlers(app, config) {
-  // Handler for the "Log Incident" button click
-  app.action('log_incident_button', async ({ ack, body, client, logger }) => {
-    // Always acknowledge the interaction immediately
-    await ack();
-    logger.info('Log Incident button clicked', {
-      user: body.user.id,
-      channel: body.channel.id,
-      messageTs: body.message.ts,
-    });
-
-    try {
-      // Extract context from the event
-      const userWhoClicked = body.user.id;
-      const clickedMessageTs = body.message.ts;
-      const originalChannel = body.channel.id;
-      const threadTs = body.message.thread_ts || body.message.ts;
-      const ticketingChannelId = config.ticketingChannelId;
-
-      // Extract the original message text (question & answer)
-      // The message structure will vary, so we need to handle both simple text
-      // and block-structured messages
-      let originalText = '';
-      let botResponse = '';
-
-      if (body.message.blocks && body.message.blocks.length > 0) {
-        // Extract text from the first section block (if available)
-        const firstBlock = body.message.blocks.find(
-          (block) => block.type === 'section'
-        );
-        if (firstBlock && firstBlock.text && firstBlock.text.text) {
-          botResponse = firstBlock.text.text;
-        }
-      }
-
-      // Fallback to plain text if blocks aren't available or formatted as expected
-      if (!botResponse && body.message.text) {
-        botResponse = body.message.text;
-      }
+  const feedbackStore = createFeedbackStore(config);
 
-      // Get the thread history to find the original question
-      const threadHistory = await client.conversations.replies({
-        channel: originalChannel,
-        ts: threadTs,
-        limit: 10, // Usually the question is the first message in the thread
-      });
+  // Tells the rater their feedback was recorded, without posting to the channel
+  const confirmFeedback = (client, user, channel, threadTs, text) =>
+    client.chat.postEphemeral({ channel, user, thread_ts: threadTs, text });
 
-      if (
-        threadHistory.messages &&
-        threadHistory.messages.length > 0 &&
-        threadHistory.messages[0].text
-      ) {
-        // First message in thread is typically the original question
-        originalText = threadHistory.messages[0].text;
-      }
-
-      // Create a permalink to the original message
-      const permalink = await client.chat.getPermalink({
-        channel: originalChannel,
-        message_ts: threadTs,
-      });
-
-      // Format the incident log message
-      const incidentMessage = {
-        blocks: [
-          {
-            type: 'header',
-            text: {
-              type: 'plain_text',
-              text: '🚨 New Support Incident Logged',
-              emoji: true,
-            },
-          },
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `*Logged by:* <@${userWhoClicked}>`,
-            },
-          },
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `*Original Question:*\n>${originalText.replace(
-                /\n/g,
-                '\n>'
-              )}`,
-            },
-          },
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `*Answer from Bot:*\n>${botResponse.replace(/\n/g, '\n>')}`,
-            },
-          },
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `*<${permalink.permalink}|View Thread>*`,
-            },
-          },
-          {
-            type: 'context',
-            elements: [
-              {
-                type: 'mrkdwn',
-                text: `Logged on: ${new Date().toLocaleString()}`,
-              },
-            ],
-          },
-        ],
-      };
-
-      // Post the message to the ticketing channel
-      const result = await client.chat.postMessage({
-        channel: ticketingChannelId,
-        ...incidentMessage,
+  // Handler for the 👍 button on an answer
+  app.action('feedback_up_button', async ({ ack, body, client, logger }) => {
+    await ack();
+    const record = buildFeedbackRecord(body, 'up');
+    try {
+      await feedbackStore.add(record);
+      logger.info('Positive feedback recorded', {
+        user: record.user,
+        messageTs: record.messageTs,
       });
+      await confirmFeedback(
+        client,
+        record.user,
+        record.channel,
+        record.threadTs,
+        'Thanks for the feedback! 👍'
+      );
+    } catch (error) {
+      logger.error('Error recording positive feedback', error);
+    }
+  });
 
-      logger.info('Incident logged successfully', {
-        channel: ticketingChannelId,
-        messageTs: result.ts,
+  // Handler for the 👎 button: records the rating, then asks what was wrong
+  app.action('feedback_down_button', async ({ ack, body, client, logger }) => {
+    await ack();
+    const record = {
+      id: crypto.randomUUID(),
+      ...buildFeedbackRecord(body, 'down'),
+    };
+    try {
+      // Open the modal first: the trigger_id expires after 3 seconds
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildFeedbackModal(record.id, {
+          channel: record.channel,
+          threadTs: record.threadTs,
+        }),
       });
-
-      // Optionally notify the user who clicked the button
-      await client.chat.postMessage({
-        channel: originalChannel,
-        thread_ts: threadTs,
-        text: `Thanks <@${userWhoClicked}>! I've logged this incident. <#${ticketingChannelId}|incident-log>`,
+    } catch (error) {
+      logger.error('Error opening the feedback modal', error);
+    }
+    try {
+      await feedbackStore.add(record);
+      logger.info('Negative feedback recorded', {
+        user: record.user,
+        messageTs: record.messageTs,
       });
     } catch (error) {
-      logger.error('Error handling Log Incident button click', error);
+      logger.error('Error recording negative feedback', error);
+    }
+  });
 
-      // Try to notify the user that something went wrong
-      try {
-        await client.chat.postMessage({
-          channel: body.channel.id,
-          thread_ts: body.message.thread_ts || body.message.ts,
-          text: `Sorry <@${body.user.id}>, there was an error logging this incident. Please try again or contact an administrator.`,
+  // Handler for the "What was wrong?" modal. Skipping it keeps the plain 👎.
+  app.view('feedback_modal', async ({ ack, body, view, client, logger }) => {
+    await ack();
+    try {
+      const { recordId, channel, threadTs } = JSON.parse(view.private_metadata);
+      const values = view.state.values;
+      const reasons = (
+        values.feedback_reasons_block.feedback_reasons.selected_options || []
+      ).map((option) => option.value);
+      const comment =
+        values.feedback_comment_block.feedback_comment.value || null;
+
+      const found = await feedbackStore.update(recordId, { reasons, comment });
+      if (!found) {
+        logger.warn('Feedback record not found for modal submission', {
+          recordId,
         });
-      } catch (notifyError) {
-        logger.error('Failed to send error notification to user', notifyError);
       }
+      await confirmFeedback(
+        client,
+        body.user.id,
+        channel,
+        threadTs,
+        "Thanks for telling us what was wrong. We'll use it to fix the runbook."
+      );
+    } catch (error) {
+      logger.error('Error saving feedback details', error);
     }
   });
 
   console.log('Slack interaction handlers registered successfully');
 }
 
-module.exports = { registerInteractionHandlers };
+module.exports = { registerInteractionHandlers, extractAnswerText };
@@ -0,0 +1,21 @@
+/**
+ * User-facing messages shared by the Slack handlers.
+ */
+
+// Improved error messages for users
+const ERROR_MESSAGES = {
+  RETRIEVER_UNAVAILABLE: (userId) =>
+    `Sorry <@${userId}>, I can't access the knowledge base right now. The team has been notified. Try again in a few minutes?`,
+  EMPTY_QUERY: (userId) =>
+    `Hey <@${userId}>! What do you need help with? Just @ me with your question.`,
+  RETRIEVAL_ERROR: (userId) =>
+    `Sorry <@${userId}>, I ran into a problem finding relevant information. Check back in a bit?`,
+  GENERATION_ERROR: (userId) =>
+    `Sorry <@${userId}>, I found some info but couldn't process it correctly. The team's been notified.`,
+  NO_DOCUMENTS: (userId) =>
+    `Hi <@${userId}>. I looked through our docs but couldn't find anything about that. Could you try rephrasing or be more specific?`,
+  UNEXPECTED_ERROR: (userId) =>
+    `Sorry <@${userId}>, something unexpected happened. The team has been notified.`,
+};
+
+module.exports = { ERROR_MESSAGES };
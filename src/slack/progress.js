@@ -0,0 +1,155 @@
+/**
+ * Progress messages: a placeholder posted as soon as a question arrives and
+ * updated in place with chat.update as the answer is retrieved, drafted and
+ * finally posted with its sources.
+ */
+
+// chat.update is rate limited (Tier 3, ~50/minute), so streamed text is throttled
+const STREAM_UPDATE_INTERVAL_MS = 1500;
+// Section blocks take at most 3000 characters; keep the tail of long drafts
+const MAX_PARTIAL_LENGTH = 2900;
+
+const STAGE_TEXT = {
+  retrieving: '🔎 Searching runbooks…',
+  drafting: '✍️ Drafting an answer…',
+};
+
+/**
+ * Builds the blocks for a draft that is still being written.
+ * @param {string} partialAnswer
+ * @returns {Array<object>}
+ */
+function buildDraftBlocks(partialAnswer) {
+  const text =
+    partialAnswer.length > MAX_PARTIAL_LENGTH
+      ? `…${partialAnswer.slice(-MAX_PARTIAL_LENGTH)}`
+      : partialAnswer;
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text } },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: STAGE_TEXT.drafting }],
+    },
+  ];
+}
+
+/**
+ * Posts a placeholder message and returns helpers to update it.
+ * Stage and draft updates are best effort: a failed update is logged and the
+ * answer still gets posted. If the placeholder could not be posted or updated,
+ * the final message is posted as a new message instead.
+ * @param {import('@slack/web-api').WebClient} client - Slack Web API client.
+ * @param {object} location
+ * @param {string} location.channel - Channel ID.
+ * @param {string} [location.threadTs] - Thread to post in; omit for the top level.
+ * @param {object} logger - Bolt logger.
+ * @returns {Promise<{stage: Function, partial: Function, finish: Function}>}
+ */
+async function createProgressMessage(client, { channel, threadTs }, logger) {
+  const thread = threadTs ? { thread_ts: threadTs } : {};
+  let ts = null;
+  let currentStage = 'retrieving';
+  try {
+    const result = await client.chat.postMessage({
+      channel,
+      text: STAGE_TEXT.retrieving,
+      ...thread,
+    });
+    ts = result.ts;
+  } catch (error) {
+    logger.warn('Failed to post progress placeholder:', error);
+  }
+
+  // Updates run one at a time so they land in order
+  let queue = Promise.resolve();
+  let finished = false;
+  let lastPartialAt = 0;
+  let pendingPartial = null;
+  let partialTimer = null;
+
+  const update = (message) => {
+    queue = queue.then(async () => {
+      if (!ts) {
+        return;
+      }
+      try {
+        await client.chat.update({ channel, ts, ...message });
+      } catch (error) {
+        logger.warn('Failed to update progress message:', error);
+      }
+    });
+    return queue;
+  };
+
+  const flushPartial = () => {
+    partialTimer = null;
+    if (finished || pendingPartial === null) {
+      return;
+    }
+    lastPartialAt = Date.now();
+    const text = pendingPartial;
+    pendingPartial = null;
+    update({ text, blocks: buildDraftBlocks(text) });
+  };
+
+  return {
+    /**
+     * Shows the stage that has started.
+     * @param {'retrieving'|'drafting'} stage
+     * @returns {Promise<void>}
+     */
+    stage(stage) {
+      if (finished || !STAGE_TEXT[stage] || stage === currentStage) {
+        return Promise.resolve();
+      }
+      currentStage = stage;
+      return update({ text: STAGE_TEXT[stage], blocks: [] });
+    },
+
+    /**
+     * Shows the answer so far, at most once per STREAM_UPDATE_INTERVAL_MS.
+     * @param {string} partialAnswer
+     */
+    partial(partialAnswer) {
+      if (finished || !ts || !partialAnswer.trim()) {
+        return;
+      }
+      pendingPartial = partialAnswer;
+      if (partialTimer) {
+        return;
+      }
+      const wait = Math.max(
+        0,
+        lastPartialAt + STREAM_UPDATE_INTERVAL_MS - Date.now()
+      );
+      partialTimer = setTimeout(flushPartial, wait);
+    },
+
+    /**
+     * Replaces the placeholder with the final answer or an error message.
+     * @param {string} text - Message text (also the notification fallback).
+     * @param {Array<object>} [blocks] - Message blocks.
+     * @returns {Promise<void>}
+     */
+    async finish(text, blocks) {
+      finished = true;
+      clearTimeout(partialTimer);
+      await queue;
+      const message = { text, blocks: blocks || [] };
+      if (ts) {
+        try {
+          await client.chat.update({ channel, ts, ...message });
+          return;
+        } catch (error) {
+          logger.warn(
+            'Failed to update progress message, posting a new one:',
+            error
+          );
+        }
+      }
+      await client.chat.postMessage({ channel, ...message, ...thread });
+    },
+  };
+}
+
+module.exports = { createProgressMessage };
@@ -0,0 +1,175 @@
+/**
+ * Small JSON document store backed by Cloud Storage or a local file.
+ * Used for state that must outlive a process (e.g. the ingestion manifest)
+ * without needing a database: Cloud Run and Cloud Functions use a bucket,
+ * local development uses a file under the project.
+ * Documents shared by several instances are changed with `update`: on Cloud
+ * Storage it only writes if nobody wrote the object since it was read, and
+ * retries otherwise, so concurrent changes are never lost.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Conflicting updates are retried this many times, after a short random delay
+const MAX_UPDATE_ATTEMPTS = 8;
+const UPDATE_RETRY_DELAY_MS = 100;
+
+// Pending local updates per file, so they run one at a time
+const localUpdateQueues = new Map();
+
+/**
+ * Waits before retrying a conflicting update. The random part keeps competing
+ * instances from retrying in lockstep.
+ * @param {number} attempt - The attempt that failed, starting at 1.
+ * @returns {Promise<void>}
+ */
+function retryDelay(attempt) {
+  const ms = UPDATE_RETRY_DELAY_MS * attempt * (1 + Math.random());
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Creates a JSON store.
+ * @param {object} options
+ * @param {string} [options.bucket] - Cloud Storage bucket. When set, the store lives in GCS.
+ * @param {string} [options.objectName] - Object name inside the bucket.
+ * @param {string} [options.filePath] - Local file path, used when no bucket is set.
+ * @returns {{location: string, read: () => Promise<object|null>, write: (data: object) => Promise<void>, update: (change: (document: object|null) => object) => Promise<object>}}
+ */
+function createJsonStore({ bucket, objectName, filePath }) {
+  if (bucket) {
+    if (!objectName) {
+      throw new Error(
+        'createJsonStore requires objectName when bucket is set.'
+      );
+    }
+    // Lazy-load so local runs do not need Cloud Storage credentials
+    // eslint-disable-next-line global-require
+    const { Storage } = require('@google-cloud/storage');
+    const storageBucket = new Storage().bucket(bucket);
+    const file = storageBucket.file(objectName);
+
+    /**
+     * Reads the document together with its generation (0 when there is none).
+     * @returns {Promise<{document: object|null, generation: number}>}
+     */
+    const readWithGeneration = async () => {
+      let metadata;
+      try {
+        [metadata] = await file.getMetadata();
+      } catch (error) {
+        if (error.code === 404) {
+          return { document: null, generation: 0 };
+        }
+        throw error;
+      }
+      // Download exactly the generation the precondition will refer to
+      const [contents] = await storageBucket
+        .file(objectName, { generation: metadata.generation })
+        .download();
+      return {
+        document: JSON.parse(contents.toString('utf8')),
+        generation: Number(metadata.generation),
+      };
+    };
+
+    return {
+      location: `gs://${bucket}/${objectName}`,
+      async read() {
+        const [exists] = await file.exists();
+        if (!exists) {
+          return null;
+        }
+        const [contents] = await file.download();
+        return JSON.parse(contents.toString('utf8'));
+      },
+      async write(data) {
+        await file.save(JSON.stringify(data, null, 2), {
+          contentType: 'application/json',
+        });
+      },
+
+      /**
+       * Reads, changes and writes the document, unless another writer got in
+       * between; then the change runs again on the newer document.
+       * @param {(document: object|null) => object} change - Gets the current document
+       *   (null if there is none) and returns the one to write. May run more than once.
+       * @returns {Promise<object>} - The document that was written.
+       */
+      async update(change) {
+        const attempt = async (number) => {
+          try {
+            const { document, generation } = await readWithGeneration();
+            const next = change(document);
+            await file.save(JSON.stringify(next, null, 2), {
+              contentType: 'application/json',
+              preconditionOpts: { ifGenerationMatch: generation },
+            });
+            return next;
+          } catch (error) {
+            // 412: written since we read it; 404: the generation we read was replaced
+            const conflict = error.code === 412 || error.code === 404;
+            if (!conflict || number >= MAX_UPDATE_ATTEMPTS) {
+              throw error;
+            }
+            await retryDelay(number);
+            return attempt(number + 1);
+          }
+        };
+        return attempt(1);
+      },
+    };
+  }
+
+  if (!filePath) {
+    throw new Error('createJsonStore requires either bucket or filePath.');
+  }
+  const resolvedPath = path.resolve(filePath);
+
+  const read = async () => {
+    if (!fs.existsSync(resolvedPath)) {
+      return null;
+    }
+    return JSON.parse(await fs.promises.readFile(resolvedPath, 'utf8'));
+  };
+
+  const write = async (data) => {
+    // Write to a temp file first so a crash never leaves half a document
+    await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+    const tmpPath = `${resolvedPath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmpPath, resolvedPath);
+  };
+
+  return {
+    location: resolvedPath,
+    read,
+    write,
+
+    /**
+     * Reads, changes and writes the document. Updates of the same file run
+     * one at a time, so none of them is lost.
+     * @param {(document: object|null) => object} change - Gets the current document
+     *   (null if there is none) and returns the one to write.
+     * @returns {Promise<object>} - The document that was written.
+     */
+    update(change) {
+      const previous = localUpdateQueues.get(resolvedPath) || Promise.resolve();
+      const run = previous.then(async () => {
+        const next = change(await read());
+        await write(next);
+        return next;
+      });
+      // A failed update must not block the ones queued after it
+      localUpdateQueues.set(
+        resolvedPath,
+        run.catch(() => {})
+      );
+      return run;
+    },
+  };
+}
+
+module.exports = { createJsonStore };
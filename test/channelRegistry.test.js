@@ -0,0 +1,204 @@
+/**
+ * Per-channel knowledge scoping: the channel registry, the namespaces
+ * ingestion tags runbooks with, and re-tagging when the config changes.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  answerOptionsForChannel,
+  createChannelRegistry,
+} = require('../src/config/channels');
+const { hasFileChanged } = require('../src/ingestion/manifest');
+const {
+  createIngestionStages,
+  runIngestion,
+} = require('../src/ingestion/pipeline');
+const { createLocalRetriever } = require('../src/rag/local');
+
+const CONFIG = { ticketingChannelId: 'CTICKETS' };
+const DOCUMENT = {
+  namespaces: {
+    payments: { folders: ['payments', '/shared/databases/'] },
+    search: { folders: ['search-infra'] },
+  },
+  personalities: {
+    formal: { styleExamples: ['Please restart the consumer first.'] },
+  },
+  channels: {
+    C0PAYMENTS: {
+      namespaces: ['payments'],
+      ticketingChannelId: 'C0PAYINCIDENTS',
+      personality: 'formal',
+    },
+    C0SEARCH: { namespaces: ['search'] },
+  },
+};
+
+test('channels get their own settings and the defaults for the rest', () => {
+  const registry = createChannelRegistry(DOCUMENT, CONFIG);
+
+  assert.deepStrictEqual(registry.namespaces, ['payments', 'search']);
+  assert.deepStrictEqual(registry.forChannel('C0PAYMENTS'), {
+    namespaces: ['payments'],
+    ticketingChannelId: 'C0PAYINCIDENTS',
+    personality: {
+      name: 'formal',
+      styleExamples: ['Please restart the consumer first.'],
+    },
+  });
+  assert.deepStrictEqual(registry.forChannel('C0SEARCH'), {
+    namespaces: ['search'],
+    ticketingChannelId: 'CTICKETS',
+    personality: null,
+  });
+  assert.deepStrictEqual(
+    createChannelRegistry(null, CONFIG).forChannel('C0OTHER'),
+    { namespaces: [], ticketingChannelId: 'CTICKETS', personality: null }
+  );
+});
+
+test('runbooks belong to the namespaces of their folder and its parents', () => {
+  const registry = createChannelRegistry(DOCUMENT, CONFIG);
+
+  assert.deepStrictEqual(registry.namespacesForFolder('payments/db'), [
+    'payments',
+  ]);
+  assert.deepStrictEqual(
+    registry.namespacesForFolder('shared/databases/postgres'),
+    ['payments']
+  );
+  assert.deepStrictEqual(registry.namespacesForFolder('shared'), []);
+  assert.deepStrictEqual(registry.namespacesForFolder('payments-old'), []);
+});
+
+test('mistakes in the config fail at startup', () => {
+  const withChannel = (settings) => ({
+    ...DOCUMENT,
+    channels: { C1: settings },
+  });
+
+  assert.throws(
+    () =>
+      createChannelRegistry(withChannel({ namespaces: ['billing'] }), CONFIG),
+    /C1 refers to unknown namespace "billing"/
+  );
+  assert.throws(
+    () => createChannelRegistry(withChannel({ personality: 'pirate' }), CONFIG),
+    /C1 refers to unknown personality "pirate"/
+  );
+  assert.throws(
+    () =>
+      createChannelRegistry(withChannel({ namespace: ['payments'] }), CONFIG),
+    /unknown setting "namespace" for C1/
+  );
+  assert.throws(
+    () =>
+      createChannelRegistry(
+        { namespaces: { payments: { folders: [] } } },
+        CONFIG
+      ),
+    /namespace "payments" needs a non-empty "folders" list/
+  );
+});
+
+test('channel settings become answer options', () => {
+  const registry = createChannelRegistry(DOCUMENT, CONFIG);
+
+  assert.deepStrictEqual(
+    answerOptionsForChannel(registry.forChannel('C0PAYMENTS')),
+    {
+      retrieval: { filter: { namespaces: ['payments'] } },
+      styleExamples: ['Please restart the consumer first.'],
+    }
+  );
+  assert.deepStrictEqual(
+    answerOptionsForChannel(registry.forChannel('C0OTHER')),
+    { retrieval: {} }
+  );
+});
+
+test('a moved or re-scoped runbook counts as changed', () => {
+  const entry = {
+    md5Checksum: 'abc',
+    modifiedTime: '2026-01-01T00:00:00.000Z',
+    folderPath: 'payments',
+    namespaces: ['payments'],
+  };
+
+  assert.strictEqual(hasFileChanged({ ...entry }, entry), false);
+  assert.strictEqual(
+    hasFileChanged(
+      { ...entry, modifiedTime: '2026-02-01T00:00:00.000Z' },
+      entry
+    ),
+    false
+  );
+  assert.strictEqual(
+    hasFileChanged({ ...entry, md5Checksum: 'def' }, entry),
+    true
+  );
+  assert.strictEqual(
+    hasFileChanged({ ...entry, folderPath: 'payments/db' }, entry),
+    true
+  );
+  assert.strictEqual(hasFileChanged({ ...entry, namespaces: [] }, entry), true);
+  // Google-native files have no checksum
+  assert.strictEqual(
+    hasFileChanged(
+      { ...entry, md5Checksum: undefined, modifiedTime: 'later' },
+      { ...entry, md5Checksum: undefined }
+    ),
+    true
+  );
+});
+
+test('a namespace change re-tags the runbooks it covers', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'channel-registry-'));
+  const runbooksDir = path.join(dir, 'runbooks');
+  fs.mkdirSync(path.join(runbooksDir, 'payments'), { recursive: true });
+  fs.writeFileSync(
+    path.join(runbooksDir, 'payments', 'kafka.md'),
+    '# Kafka consumer lag\n\nRestart the orders-consumer pods.'
+  );
+  fs.writeFileSync(
+    path.join(runbooksDir, 'redis.md'),
+    '# Redis consumer lag\n\nRestart the redis consumer.'
+  );
+  const config = {
+    ingestionSource: 'local',
+    ragBackend: 'local',
+    localRunbooksDir: runbooksDir,
+    localVectorStorePath: path.join(dir, 'vector-store.json'),
+    ingestionManifestPath: path.join(dir, 'ingestion-manifest.json'),
+  };
+
+  try {
+    await runIngestion({
+      ...(await createIngestionStages(config)),
+      channelRegistry: createChannelRegistry(null, config),
+    });
+    const rerun = await runIngestion({
+      ...(await createIngestionStages(config)),
+      channelRegistry: createChannelRegistry(DOCUMENT, config),
+    });
+    assert.strictEqual(rerun.filesUpdated, 1);
+    assert.strictEqual(rerun.filesUnchanged, 1);
+
+    const retriever = await createLocalRetriever(config, { k: 4 });
+    const results = await retriever.retrieve('consumer lag', {
+      filter: { namespaces: ['payments'] },
+    });
+    assert.deepStrictEqual(
+      results.map((document) => [
+        document.metadata.name,
+        document.metadata.namespaces,
+      ]),
+      [['kafka.md', ['payments']]]
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
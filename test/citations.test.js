@@ -0,0 +1,127 @@
+/**
+ * Numbered sources: chunks of the same runbook section share a number, and
+ * each source links back to its runbook or Slack thread.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Document } = require('@langchain/core/documents');
+const {
+  buildCitations,
+  formatCitationsForPrompt,
+  toPlainCitations,
+} = require('../src/rag/citations');
+const { buildCitationsBlock } = require('../src/slack/blocks');
+
+const chunk = (id, metadata) =>
+  new Document({ pageContent: `Text of ${id}`, metadata: { id, ...metadata } });
+
+const DOCUMENTS = [
+  chunk('db#3', {
+    source: 'file-db',
+    name: 'DB Failover',
+    folderPath: 'payments/db',
+    section: 'Promote replica',
+    page: 4,
+  }),
+  chunk('db#1', {
+    source: 'file-db',
+    name: 'DB Failover',
+    folderPath: 'payments/db',
+    section: 'Promote replica',
+    page: 2,
+  }),
+  chunk('db#7', {
+    source: 'file-db',
+    name: 'DB Failover',
+    section: 'Rollback',
+  }),
+  chunk('local#0', {
+    source: 'notes.md',
+    name: 'notes.md',
+    sourceType: 'local',
+  }),
+];
+
+test('chunks of the same section share a number and list their pages', () => {
+  const citations = toPlainCitations(buildCitations(DOCUMENTS));
+
+  assert.deepStrictEqual(citations, [
+    {
+      number: 1,
+      name: 'DB Failover',
+      url: 'https://drive.google.com/open?id=file-db',
+      folderPath: 'payments/db',
+      section: 'Promote replica',
+      pages: [2, 4],
+      sourceId: 'file-db',
+      sourceType: null,
+      chunkIds: ['db#3', 'db#1'],
+    },
+    {
+      number: 2,
+      name: 'DB Failover',
+      url: 'https://drive.google.com/open?id=file-db',
+      folderPath: null,
+      section: 'Rollback',
+      pages: [],
+      sourceId: 'file-db',
+      sourceType: null,
+      chunkIds: ['db#7'],
+    },
+    {
+      number: 3,
+      name: 'notes.md',
+      url: null,
+      folderPath: null,
+      section: null,
+      pages: [],
+      sourceId: 'notes.md',
+      sourceType: 'local',
+      chunkIds: ['local#0'],
+    },
+  ]);
+});
+
+test('the prompt context numbers each source with its text', () => {
+  const context = formatCitationsForPrompt(buildCitations(DOCUMENTS));
+
+  assert.strictEqual(
+    context.split('\n\n[')[0],
+    '[1] Runbook: DB Failover | Folder: payments/db | Section: Promote replica | Page: 2, 4\nText of db#3\n\nText of db#1'
+  );
+  assert.match(context, /^\[3\] Runbook: notes\.md\nText of local#0$/m);
+});
+
+test('Slack threads are cited by their permalink', () => {
+  const [citation] = buildCitations([
+    chunk('thread#0', {
+      source: 'slack:C1:1.0',
+      name: '#support thread',
+      sourceType: 'slack_thread',
+      url: 'https://example.slack.com/archives/C1/p1',
+    }),
+  ]);
+
+  assert.match(
+    formatCitationsForPrompt([citation]),
+    /^\[1\] Previous Slack thread: #support thread\n/
+  );
+  assert.strictEqual(
+    buildCitationsBlock([citation]).elements[0].text.split('\n')[1],
+    '[1] From a previous thread: <https://example.slack.com/archives/C1/p1|#support thread>'
+  );
+});
+
+test('the sources block links each runbook with its folder, section and pages', () => {
+  const block = buildCitationsBlock(
+    toPlainCitations(buildCitations(DOCUMENTS))
+  );
+
+  assert.deepStrictEqual(block.elements[0].text.split('\n'), [
+    '*Sources* (check the runbook before running anything):',
+    '[1] <https://drive.google.com/open?id=file-db|DB Failover> _(payments/db)_ › Promote replica, p. 2, 4',
+    '[2] <https://drive.google.com/open?id=file-db|DB Failover> › Rollback',
+    '[3] notes.md',
+  ]);
+  assert.strictEqual(buildCitationsBlock([]), null);
+});
@@ -0,0 +1,50 @@
+/**
+ * Follow-ups in channel threads: when the bot answers, stops or stays quiet.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { decideFollowUp, isStopMessage } = require('../src/slack/conversations');
+
+const BOT = 'UBOT';
+const answer = (ts) => ({
+  ts,
+  user: BOT,
+  text: 'Restart the consumer.',
+  blocks: [{ type: 'actions', block_id: 'actions_block_feedback' }],
+});
+const human = (ts, text) => ({ ts, user: 'U1', text });
+
+test('only a whole-message thanks ends the conversation', () => {
+  ['thanks', 'Thanks!', 'ok, thank you so much', 'done.', 'ty :pray:'].forEach(
+    (text) => assert.strictEqual(isStopMessage(text), true, text)
+  );
+  [
+    'thanks, but the pod still crashes',
+    'done?',
+    'thanks - is it done?',
+    'is the incident resolved',
+  ].forEach((text) => assert.strictEqual(isStopMessage(text), false, text));
+});
+
+test('only answers count towards the follow-up limit', () => {
+  const thread = [
+    human('1', `<@${BOT}> consumer lag?`),
+    answer('2'),
+    { ts: '3', user: BOT, text: ':rotating_light: Logged as INC-0001' },
+    { ts: '4', user: BOT, text: 'Incident linked.' },
+    human('5', 'which pods?'),
+  ];
+  assert.strictEqual(decideFollowUp(thread, thread[4], BOT, 1), 'answer');
+
+  const answered = [...thread, answer('6'), human('7', 'and then?')];
+  assert.strictEqual(decideFollowUp(answered, answered[6], BOT, 1), 'limit');
+});
+
+test('threads the bot never answered in are ignored', () => {
+  const thread = [
+    human('1', 'consumer lag?'),
+    { ts: '2', user: BOT, text: 'Incident linked.' },
+    human('3', 'any ideas?'),
+  ];
+  assert.strictEqual(decideFollowUp(thread, thread[2], BOT, 5), 'ignore');
+});
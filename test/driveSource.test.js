@@ -0,0 +1,111 @@
+/**
+ * Drive folder traversal against a stub Drive client: subfolders are walked
+ * once each up to the maximum depth and files get their folder path.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { listDriveFiles } = require('../src/ingestion/sources');
+
+const FOLDER = 'application/vnd.google-apps.folder';
+const DOC = 'application/vnd.google-apps.document';
+
+/**
+ * A Drive client over a fixed folder tree, one item per page.
+ * @param {Object<string, Array<object>>} children - Items per parent folder ID.
+ * @returns {{drive: object, queries: string[]}}
+ */
+function createStubDrive(children) {
+  const queries = [];
+  const drive = {
+    files: {
+      list: async ({ q, pageToken }) => {
+        queries.push(q);
+        const [, parentId] = q.match(/^'([^']+)' in parents/);
+        const items = children[parentId] || [];
+        const index = Number(pageToken || 0);
+        return {
+          data: {
+            files: items.slice(index, index + 1),
+            nextPageToken:
+              index + 1 < items.length ? String(index + 1) : undefined,
+          },
+        };
+      },
+    },
+  };
+  return { drive, queries };
+}
+
+const folder = (id, name) => ({ id, name, mimeType: FOLDER });
+const doc = (id, name) => ({
+  id,
+  name,
+  mimeType: DOC,
+  modifiedTime: '2026-01-01T00:00:00.000Z',
+});
+
+// payments/db links back to root, and its "shared" subfolder holds the Failover doc too
+const TREE = {
+  root: [doc('readme', 'Readme'), folder('payments', 'payments')],
+  payments: [folder('db', 'db'), doc('checkout', 'Checkout')],
+  db: [
+    doc('failover', 'Failover'),
+    folder('root', 'loop'),
+    folder('shared', 'shared'),
+  ],
+  shared: [doc('failover', 'Failover'), doc('pg', 'Postgres')],
+};
+
+test('subfolders are walked once each and files get their folder path', async () => {
+  const { drive, queries } = createStubDrive(TREE);
+
+  const files = await listDriveFiles(drive, 'root', [DOC]);
+
+  assert.deepStrictEqual(
+    files.map((file) => [file.id, file.folderPath]),
+    [
+      ['readme', ''],
+      ['checkout', 'payments'],
+      ['failover', 'payments/db'],
+      ['pg', 'payments/db/shared'],
+    ]
+  );
+  assert.strictEqual(files[0].modifiedTime, '2026-01-01T00:00:00.000Z');
+  // One query per page of each folder; the loop back to root is not listed again
+  assert.strictEqual(queries.length, 9);
+  assert.match(
+    queries[0],
+    /^'root' in parents and \(mimeType='application\/vnd\.google-apps\.document' or mimeType='application\/vnd\.google-apps\.folder'\) and trashed = false$/
+  );
+});
+
+test('subfolders below the maximum depth are skipped', async () => {
+  const { drive } = createStubDrive(TREE);
+
+  const rootOnly = await listDriveFiles(drive, 'root', [DOC], 0);
+  const oneLevel = await listDriveFiles(drive, 'root', [DOC], 1);
+
+  assert.deepStrictEqual(
+    rootOnly.map((file) => file.id),
+    ['readme']
+  );
+  assert.deepStrictEqual(
+    oneLevel.map((file) => file.id),
+    ['readme', 'checkout']
+  );
+});
+
+test('Drive errors are reported', async () => {
+  const drive = {
+    files: {
+      list: async () => {
+        throw new Error('insufficientPermissions');
+      },
+    },
+  };
+
+  await assert.rejects(
+    listDriveFiles(drive, 'root', [DOC]),
+    /Failed to list files: insufficientPermissions/
+  );
+});
@@ -0,0 +1,174 @@
+/**
+ * Answer feedback: what the buttons carry, how records are stored and how the
+ * report attributes them to runbooks.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFeedbackStore } = require('../src/feedback/store');
+const {
+  buildFeedbackReport,
+  formatReportCsv,
+  formatReportText,
+} = require('../src/feedback/report');
+const {
+  buildAnswerBlocks,
+  decodeFeedbackContext,
+} = require('../src/slack/blocks');
+
+const MANIFEST = {
+  files: {
+    'file-db': { name: 'DB Failover', folderPath: 'payments/db' },
+    'file-kafka': { name: 'Kafka lag', folderPath: '' },
+  },
+};
+const RECORDS = [
+  {
+    createdAt: '2026-01-01T10:00:00.000Z',
+    rating: 'up',
+    user: 'U1',
+    question: 'How do I fail over the DB?',
+    chunkIds: ['file-db_chunk_0', 'file-db_chunk_3'],
+  },
+  {
+    createdAt: '2026-01-02T10:00:00.000Z',
+    rating: 'down',
+    user: 'U2',
+    question: 'Why is the DB read-only?',
+    reasons: ['outdated'],
+    comment: 'Uses the old cluster, "db-1"',
+    chunkIds: ['file-db_chunk_1', 'file-kafka_chunk_0'],
+  },
+  {
+    createdAt: '2026-01-03T10:00:00.000Z',
+    rating: 'down',
+    user: 'U3',
+    question: 'Consumer lag?',
+    reasons: ['outdated', 'wrong'],
+    comment: null,
+    chunkIds: ['file-kafka_chunk_2'],
+  },
+];
+
+test('the feedback buttons carry the question and chunk IDs within the limit', () => {
+  const citations = [
+    {
+      number: 1,
+      name: 'DB Failover',
+      chunkIds: Array.from(
+        { length: 200 },
+        (_, index) => `file-db_chunk_${index}`
+      ),
+    },
+  ];
+  const blocks = buildAnswerBlocks('Promote the replica.', citations, {
+    question: 'How do I fail over the DB?',
+  });
+  const feedback = blocks.find(
+    (block) => block.block_id === 'actions_block_feedback'
+  );
+  const { value } = feedback.elements[0];
+
+  assert.ok(value.length <= 2000);
+  const context = decodeFeedbackContext(value);
+  assert.strictEqual(context.question, 'How do I fail over the DB?');
+  assert.ok(context.chunkIds.length > 0 && context.chunkIds.length < 200);
+  assert.deepStrictEqual(
+    context.chunkIds,
+    citations[0].chunkIds.slice(0, context.chunkIds.length)
+  );
+  assert.deepStrictEqual(decodeFeedbackContext('not json'), {
+    question: '',
+    chunkIds: [],
+  });
+});
+
+test('records are stored and the 👎 details added later', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-store-'));
+  try {
+    const store = createFeedbackStore({
+      feedbackStorePath: path.join(dir, 'feedback.json'),
+    });
+    const stored = await store.add({
+      rating: 'down',
+      user: 'U2',
+      question: 'Why is the DB read-only?',
+      chunkIds: ['file-db_chunk_1'],
+    });
+    assert.deepStrictEqual(stored.reasons, []);
+
+    assert.strictEqual(
+      await store.update(stored.id, { reasons: ['wrong'], comment: 'Old' }),
+      true
+    );
+    assert.strictEqual(await store.update('missing', { comment: 'x' }), false);
+    const [record] = await store.list();
+    assert.strictEqual(record.id, stored.id);
+    assert.deepStrictEqual(record.reasons, ['wrong']);
+    assert.strictEqual(record.comment, 'Old');
+    assert.ok(record.updatedAt);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the report lists the runbooks behind bad answers first', () => {
+  const report = buildFeedbackReport(RECORDS, { manifest: MANIFEST });
+
+  assert.deepStrictEqual(report.totals, {
+    total: 3,
+    up: 1,
+    down: 2,
+    withDetails: 2,
+  });
+  assert.deepStrictEqual(
+    report.runbooks.map(({ name, up, down, reasons }) => ({
+      name,
+      up,
+      down,
+      reasons,
+    })),
+    [
+      { name: 'Kafka lag', up: 0, down: 2, reasons: { outdated: 2, wrong: 1 } },
+      { name: 'DB Failover', up: 1, down: 1, reasons: { outdated: 1 } },
+    ]
+  );
+  assert.deepStrictEqual(
+    report.negative.map((entry) => [entry.user, entry.runbooks]),
+    [
+      ['U3', ['Kafka lag']],
+      ['U2', ['DB Failover', 'Kafka lag']],
+    ]
+  );
+
+  const since = buildFeedbackReport(RECORDS, {
+    since: new Date('2026-01-03T00:00:00.000Z'),
+  });
+  assert.strictEqual(since.totals.total, 1);
+  assert.strictEqual(since.runbooks[0].name, 'file-kafka');
+});
+
+test('the report is formatted as CSV and text', () => {
+  const report = buildFeedbackReport(RECORDS, { manifest: MANIFEST });
+
+  assert.strictEqual(
+    formatReportCsv(report),
+    [
+      'runbook,folder,source,helpful,not_helpful,negative_rate,reasons',
+      'Kafka lag,,file-kafka,0,2,1.00,outdated:2 wrong:1',
+      'DB Failover,payments/db,file-db,1,1,0.50,outdated:1',
+      '',
+    ].join('\n')
+  );
+  const text = formatReportText(report);
+  assert.match(
+    text,
+    /\n {2}DB Failover \(payments\/db\): 👎 1 \/ 👍 1 \(50% negative\) - outdated ×1\n/
+  );
+  assert.match(
+    text,
+    /<@U2>: Why is the DB read-only\?\n {4}What was wrong: outdated - Uses the old cluster, "db-1"\n {4}Runbooks: DB Failover, Kafka lag\n/
+  );
+});
@@ -0,0 +1,132 @@
+/**
+ * Retrieval filters: how they match chunk metadata, the Vertex AI restricts
+ * chunks are tagged with and queried by, and their use per retrieval call.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Document } = require('@langchain/core/documents');
+const {
+  chunkRestricts,
+  matchesFilter,
+  normalizeFilter,
+  toVertexRestricts,
+} = require('../src/rag/filters');
+const { HybridRetriever } = require('../src/rag/hybridRetriever');
+const { createKeywordIndex } = require('../src/rag/keywordIndex');
+
+const NOW = new Date('2026-03-31T00:00:00.000Z');
+const METADATA = {
+  name: 'DB Failover.pdf',
+  folderPath: 'payments/db',
+  mimeType: 'application/pdf',
+  modifiedTime: '2026-03-01T00:00:00.000Z',
+  namespaces: ['payments'],
+};
+
+test('empty filter fields are dropped', () => {
+  assert.strictEqual(normalizeFilter(undefined), null);
+  assert.strictEqual(normalizeFilter({ folder: '', namespaces: [] }), null);
+  assert.deepStrictEqual(
+    normalizeFilter({ folder: '/payments/', modifiedWithinDays: '90' }),
+    { folder: 'payments', modifiedWithinDays: 90 }
+  );
+});
+
+test('a folder filter matches its subfolders and every field must match', () => {
+  const matches = (filter) =>
+    matchesFilter(METADATA, normalizeFilter(filter), NOW);
+
+  assert.strictEqual(matches({ folder: 'payments' }), true);
+  assert.strictEqual(matches({ folder: 'payments/db' }), true);
+  assert.strictEqual(matches({ folder: 'pay' }), false);
+  assert.strictEqual(matches({ fileName: 'db failover.PDF' }), true);
+  assert.strictEqual(matches({ documentType: 'text/markdown' }), false);
+  assert.strictEqual(matches({ modifiedWithinDays: 30 }), true);
+  assert.strictEqual(matches({ modifiedWithinDays: 29 }), false);
+  assert.strictEqual(matches({ namespaces: ['search', 'payments'] }), true);
+  assert.strictEqual(matches({ namespaces: ['search'] }), false);
+  assert.strictEqual(
+    matches({ folder: 'payments', documentType: 'text/markdown' }),
+    false
+  );
+  assert.strictEqual(
+    matchesFilter({ name: 'x' }, { modifiedWithinDays: 30 }, NOW),
+    false
+  );
+});
+
+test('chunks are tagged with the restricts the filters query', () => {
+  assert.deepStrictEqual(chunkRestricts(METADATA), {
+    restricts: [
+      { namespace: 'folder', allowList: ['payments', 'payments/db'] },
+      { namespace: 'fileName', allowList: ['db failover.pdf'] },
+      { namespace: 'documentType', allowList: ['application/pdf'] },
+      { namespace: 'namespace', allowList: ['payments'] },
+    ],
+    numericRestricts: [{ namespace: 'modifiedTime', valueInt: 1772323200 }],
+  });
+  assert.deepStrictEqual(chunkRestricts({ name: 'notes.md' }), {
+    restricts: [{ namespace: 'fileName', allowList: ['notes.md'] }],
+    numericRestricts: [],
+  });
+
+  assert.deepStrictEqual(
+    toVertexRestricts(
+      normalizeFilter({
+        folder: 'payments',
+        fileName: 'DB Failover.pdf',
+        documentType: 'application/pdf',
+        modifiedWithinDays: 30,
+        namespaces: ['payments'],
+      })
+    ),
+    [
+      { namespace: 'folder', allowList: ['payments'] },
+      { namespace: 'fileName', allowList: ['db failover.pdf'] },
+      { namespace: 'documentType', allowList: ['application/pdf'] },
+      { namespace: 'namespace', allowList: ['payments'] },
+    ]
+  );
+});
+
+test('a filter narrows both searches of one retrieval call', async () => {
+  const documents = [
+    new Document({
+      pageContent: 'Fail over the payments database',
+      metadata: { id: 'db', folderPath: 'payments/db' },
+    }),
+    new Document({
+      pageContent: 'Fail over the search cluster',
+      metadata: { id: 'search', folderPath: 'search' },
+    }),
+  ];
+  const storeFilters = [];
+  const retriever = new HybridRetriever({
+    vectorStore: {
+      similaritySearchWithScore: async (query, k, storeFilter) => {
+        storeFilters.push(storeFilter);
+        return documents.map((document) => [document, 0.8]);
+      },
+    },
+    keywordIndex: createKeywordIndex(documents),
+    toStoreFilter: toVertexRestricts,
+  });
+
+  const filtered = await retriever.retrieve('fail over', {
+    filter: { folder: 'payments' },
+  });
+  const unfiltered = await retriever.retrieve('fail over');
+
+  assert.deepStrictEqual(
+    filtered.map((document) => document.metadata.id),
+    ['db']
+  );
+  assert.deepStrictEqual(
+    unfiltered.map((document) => document.metadata.id),
+    ['db', 'search']
+  );
+  assert.deepStrictEqual(storeFilters, [
+    [{ namespace: 'folder', allowList: ['payments'] }],
+    undefined,
+  ]);
+});
@@ -0,0 +1,120 @@
+/**
+ * Answer generation with the fake LLM provider: the answer, the numbered
+ * sources it was given and the errors callers report.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Document } = require('@langchain/core/documents');
+
+// The bot's settings, without GCP: the local backend and the fake model
+Object.assign(process.env, {
+  RAG_BACKEND: 'local',
+  LLM_PROVIDER: 'fake',
+  SLACK_BOT_TOKEN: 'xoxb-test',
+  SLACK_SIGNING_SECRET: 'test',
+  TICKET_CHANNEL_ID: 'CTICKETS',
+  TICKETING_CHANNEL_ID: 'CTICKETS',
+  GOOGLE_DRIVE_FOLDER_ID: 'folder',
+  PERSONALITY_USER_ID: 'U1',
+});
+const { generateAnswer, getLlmClient } = require('../src/rag/generator');
+
+const DOCUMENTS = [
+  new Document({
+    pageContent: 'Promote the replica with `REPLICAOF NO ONE`.',
+    metadata: {
+      id: 'redis#0',
+      source: 'file-redis',
+      name: 'Redis failover',
+      section: 'Failover',
+      folderPath: 'platform/redis',
+    },
+  }),
+  new Document({
+    pageContent: 'Check replication lag first.',
+    metadata: {
+      id: 'redis#1',
+      source: 'file-redis',
+      name: 'Redis failover',
+      section: 'Failover',
+      folderPath: 'platform/redis',
+    },
+  }),
+  new Document({
+    pageContent: 'Restarting the consumer fixed it last time.',
+    metadata: {
+      id: 'thread#0',
+      source: 'slack:C1:1.0',
+      name: '#support thread',
+      sourceType: 'slack_thread',
+      url: 'https://example.slack.com/archives/C1/p1',
+    },
+  }),
+];
+
+test('answers from the runbook context and returns its sources', async () => {
+  const { answer, citations } = await generateAnswer(
+    'How do I fail over Redis?',
+    DOCUMENTS,
+    'No relevant conversation history found.'
+  );
+
+  assert.match(answer, /^Fake LLM/);
+  assert.match(
+    answer,
+    /\[1\] Runbook: Redis failover \| Folder: platform\/redis \| Section: Failover/
+  );
+  assert.match(answer, /REPLICAOF NO ONE/);
+  assert.match(answer, /\[2\] Previous Slack thread: #support thread/);
+  assert.deepStrictEqual(citations, [
+    {
+      number: 1,
+      name: 'Redis failover',
+      url: 'https://drive.google.com/open?id=file-redis',
+      folderPath: 'platform/redis',
+      section: 'Failover',
+      pages: [],
+      sourceId: 'file-redis',
+      sourceType: null,
+      chunkIds: ['redis#0', 'redis#1'],
+    },
+    {
+      number: 2,
+      name: '#support thread',
+      url: 'https://example.slack.com/archives/C1/p1',
+      folderPath: null,
+      section: null,
+      pages: [],
+      sourceId: 'slack:C1:1.0',
+      sourceType: 'slack_thread',
+      chunkIds: ['thread#0'],
+    },
+  ]);
+});
+
+test('streams the answer to onPartial', async () => {
+  const partials = [];
+  const { answer } = await generateAnswer(
+    'How do I fail over Redis?',
+    DOCUMENTS.slice(0, 1),
+    '',
+    { onPartial: (partial) => partials.push(partial) }
+  );
+
+  assert.ok(partials.length > 0);
+  assert.strictEqual(partials[partials.length - 1], answer);
+});
+
+test('rejects an empty answer and invalid input', async (t) => {
+  const llm = await getLlmClient();
+  t.mock.method(llm, '_call', async () => '  ');
+
+  await assert.rejects(
+    generateAnswer('How do I fail over Redis?', DOCUMENTS, ''),
+    /LLM returned an empty response/
+  );
+  await assert.rejects(
+    generateAnswer('', DOCUMENTS, ''),
+    /generateAnswer received invalid input/
+  );
+});
@@ -0,0 +1,162 @@
+/**
+ * Conversation history for the prompt: noise is dropped, long threads keep
+ * their opening question and latest replies, and IDs become readable names.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  createNameResolver,
+  fetchSlackHistory,
+  formatSlackHistory,
+  getFormattedHistory,
+  resolveMentions,
+} = require('../src/slack/history');
+
+const logger = { warn() {} };
+
+/**
+ * A Slack client over a fixed thread, paged like conversations.replies.
+ * @param {Array<object>} replies - The thread's messages, oldest first.
+ * @returns {{client: object, requests: Array<object>}}
+ */
+function createStubClient(replies) {
+  const requests = [];
+  const client = {
+    conversations: {
+      replies: async (params) => {
+        requests.push(params);
+        const start = Number(params.cursor || 0);
+        const end = start + params.limit;
+        return {
+          messages: replies.slice(start, end),
+          response_metadata: {
+            next_cursor: end < replies.length ? String(end) : '',
+          },
+        };
+      },
+      info: async ({ channel }) => ({ channel: { name: `name-${channel}` } }),
+    },
+    users: {
+      info: async ({ user }) => {
+        if (user === 'UGONE') {
+          throw new Error('user_not_found');
+        }
+        return {
+          user: { name: user, profile: { display_name: `${user}-dn` } },
+        };
+      },
+    },
+  };
+  return { client, requests };
+}
+
+test('noise is dropped and the bot answers are kept', async () => {
+  const { client } = createStubClient([
+    { ts: '1.0', user: 'U1', text: 'Checkout is down' },
+    { ts: '2.0', user: 'U2', subtype: 'channel_join', text: 'joined' },
+    { ts: '3.0', bot_id: 'B9', text: 'Deploy finished' },
+    { ts: '4.0', user: 'UBOT', bot_id: 'B1', text: 'Try a restart' },
+    { ts: '5.0', user: 'U1', text: '@bot still down?' },
+  ]);
+
+  const messages = await fetchSlackHistory(
+    client,
+    { channel: 'C1', threadTs: '1.0', ts: '5.0' },
+    'UBOT'
+  );
+
+  assert.deepStrictEqual(
+    messages.map((msg) => msg.ts),
+    ['1.0', '4.0']
+  );
+});
+
+test('long threads keep the opening message and the latest replies', async () => {
+  const replies = Array.from({ length: 450 }, (_, index) => ({
+    ts: `${index + 1}.0`,
+    user: 'U1',
+    text: `message ${index + 1}`,
+  }));
+  const { client, requests } = createStubClient(replies);
+
+  const messages = await fetchSlackHistory(client, {
+    channel: 'C1',
+    threadTs: '1.0',
+  });
+
+  assert.deepStrictEqual(
+    requests.map((request) => request.limit),
+    [200, 200, 200]
+  );
+  assert.strictEqual(messages.length, 100);
+  assert.strictEqual(messages[0].ts, '1.0');
+  assert.strictEqual(messages[1].ts, '352.0');
+  assert.strictEqual(messages[99].ts, '450.0');
+});
+
+test('mentions, channels and links become readable text', async () => {
+  const { client } = createStubClient([]);
+  const resolver = createNameResolver(client, logger);
+  const text =
+    'Ask <@UMENTION1> or <@UGONE> in <#CMENTION1> or <#CMENTION2|ops>, <!here> <https://status.example.com|status page> <mailto:a@example.com>';
+
+  assert.strictEqual(
+    await resolveMentions(text, resolver),
+    'Ask @UMENTION1-dn or @UGONE in #name-CMENTION1 or #ops, @here status page (https://status.example.com) mailto:a@example.com'
+  );
+  assert.strictEqual(
+    await resolveMentions(
+      '<@UMENTION2|jane.doe> in <#CMENTION3|ops>',
+      resolver,
+      { ignoreLabels: true }
+    ),
+    '@UMENTION2-dn in #name-CMENTION3'
+  );
+});
+
+test('truncated history keeps the question and the most recent messages', () => {
+  const messages = [
+    { ts: '3.0', author: '@ann', text: 'c'.repeat(40) },
+    { ts: '1.0', author: '@ann', text: 'Why is checkout down?' },
+    { ts: '2.0', author: '@bob', text: 'b'.repeat(40) },
+    { ts: '4.0', author: '@bob', text: 'Fixed by a restart' },
+  ];
+  const full = formatSlackHistory(messages, 10000);
+  const lines = full.split('\n');
+  assert.match(lines[0], /^@ann \[.+\]: Why is checkout down\?$/);
+  assert.match(lines[3], /^@bob \[.+\]: Fixed by a restart$/);
+
+  const maxLength = lines[0].length + lines[3].length + 2;
+  const truncated = formatSlackHistory(messages, maxLength, {
+    keepOpening: true,
+  }).split('\n');
+  assert.deepStrictEqual(truncated, [
+    lines[0],
+    '[... 2 earlier messages omitted ...]',
+    lines[3],
+  ]);
+  assert.strictEqual(
+    formatSlackHistory([], 100),
+    'No relevant conversation history found.'
+  );
+});
+
+test('history is optional when Slack fails', async () => {
+  const client = {
+    conversations: {
+      replies: async () => {
+        throw new Error('ratelimited');
+      },
+    },
+  };
+
+  assert.strictEqual(
+    await getFormattedHistory(
+      client,
+      { channel: 'C1', threadTs: '1.0' },
+      'UBOT',
+      logger
+    ),
+    'No relevant conversation history found.'
+  );
+});
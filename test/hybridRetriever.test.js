@@ -0,0 +1,134 @@
+/**
+ * Hybrid retrieval: BM25 keyword scores, their fusion with the vector ranking
+ * (RRF) and the relevance cut-off.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Document } = require('@langchain/core/documents');
+const { createKeywordIndex } = require('../src/rag/keywordIndex');
+const { HybridRetriever } = require('../src/rag/hybridRetriever');
+
+const chunk = (id, text, metadata = {}) =>
+  new Document({ pageContent: text, metadata: { id, ...metadata } });
+
+const CORPUS = [
+  chunk('restart', 'Restart the payments worker when the queue backs up.'),
+  chunk(
+    'reset',
+    'ERR_CONN_RESET from db-1.prod: fail over the payments database.'
+  ),
+  chunk('tls', 'Rotate the TLS certificates before they expire.'),
+  chunk(
+    'balancer',
+    'ERR_CONN_RESET on the load balancer means the pool is exhausted.'
+  ),
+];
+
+/**
+ * A vector store that returns fixed results, best first.
+ * @param {Array<[string, number]>} results - Chunk IDs and similarities.
+ * @returns {{store: object, requests: Array<Array<any>>}}
+ */
+function createStubStore(results) {
+  const requests = [];
+  const byId = new Map(
+    CORPUS.map((document) => [document.metadata.id, document])
+  );
+  return {
+    requests,
+    store: {
+      similaritySearchWithScore: async (...args) => {
+        requests.push(args);
+        return results.map(([id, score]) => [byId.get(id), score]);
+      },
+    },
+  };
+}
+
+const ids = (documents) => documents.map((document) => document.metadata.id);
+
+test('exact tokens like error codes and hostnames are matched', () => {
+  const index = createKeywordIndex(CORPUS);
+
+  const results = index.search('Why do we get ERR_CONN_RESET from db-1.prod?');
+  assert.deepStrictEqual(
+    results.map(({ document }) => document.metadata.id),
+    ['reset', 'balancer']
+  );
+  assert.ok(results[0].score > results[1].score);
+  assert.ok(results.every(({ score }) => score > 0 && score <= 1));
+  assert.deepStrictEqual(
+    index
+      .search('ERR_CONN_RESET', 1)
+      .map(({ document }) => document.metadata.id),
+    ['reset']
+  );
+});
+
+test('question words alone match nothing', () => {
+  const index = createKeywordIndex(CORPUS);
+
+  assert.deepStrictEqual(index.search('How do I do that?'), []);
+  assert.deepStrictEqual(index.search('kubernetes'), []);
+  assert.strictEqual(index.size, 4);
+});
+
+test('chunks found by both searches rank first and weak ones are cut', async () => {
+  const { store } = createStubStore([
+    ['restart', 0.62],
+    ['reset', 0.58],
+    ['tls', 0.1],
+  ]);
+  const retriever = new HybridRetriever({
+    vectorStore: store,
+    keywordIndex: createKeywordIndex(CORPUS),
+    k: 4,
+    minScore: 0.3,
+  });
+
+  const results = await retriever.retrieve('ERR_CONN_RESET db-1.prod');
+
+  // reset: vector #2 + keyword #1; restart: vector #1; balancer: keyword only
+  assert.deepStrictEqual(ids(results), ['reset', 'restart', 'balancer']);
+  assert.strictEqual(results[1].metadata.relevanceScore, 0.62);
+  assert.ok(results[2].metadata.relevanceScore >= 0.3);
+  assert.deepStrictEqual(
+    ids(await retriever.invoke('ERR_CONN_RESET db-1.prod')),
+    ['reset', 'restart', 'balancer']
+  );
+
+  // Only the exact match is a strong keyword hit
+  assert.deepStrictEqual(
+    ids(
+      await retriever.retrieve('ERR_CONN_RESET db-1.prod', { minScore: 0.9 })
+    ),
+    ['reset']
+  );
+  assert.deepStrictEqual(
+    ids(await retriever.retrieve('ERR_CONN_RESET db-1.prod', { k: 2 })),
+    ['reset', 'restart']
+  );
+});
+
+test('without a corpus index keyword scores only re-rank the vector candidates', async () => {
+  const { store, requests } = createStubStore([
+    ['restart', 0.5],
+    ['tls', 0.45],
+    ['reset', 0.44],
+  ]);
+  const retriever = new HybridRetriever({
+    vectorStore: store,
+    k: 2,
+    candidateCount: 10,
+  });
+
+  const results = await retriever.retrieve('ERR_CONN_RESET db-1.prod');
+
+  assert.deepStrictEqual(ids(results), ['reset', 'restart']);
+  assert.strictEqual(results[0].metadata.relevanceScore, 1);
+  assert.deepStrictEqual(requests[0], [
+    'ERR_CONN_RESET db-1.prod',
+    10,
+    undefined,
+  ]);
+});
@@ -0,0 +1,188 @@
+/**
+ * Submitting the incident form, against a stub Bolt app and Slack client: what
+ * is kept when posting to the ticketing channel or filing the tracker ticket
+ * fails.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { registerIncidentHandlers } = require('../src/slack/incidents');
+const { createIncidentStore } = require('../src/incidents/store');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * A Bolt app that only records the registered handlers.
+ * @returns {{app: object, handlers: Object<string, Function>}}
+ */
+function createStubApp() {
+  const handlers = {};
+  const register = (id, handler) => {
+    handlers[id] = handler;
+  };
+  return { app: { action: register, view: register }, handlers };
+}
+
+/**
+ * A Slack client that records every chat call. Posting to the ticketing
+ * channel fails when `failTicketPost` is set.
+ * @param {{failTicketPost?: boolean}} [options]
+ * @returns {{client: object, calls: Array<[string, object]>}}
+ */
+function createStubClient({ failTicketPost = false } = {}) {
+  const calls = [];
+  const record = (method, result) => async (params) => {
+    calls.push([method, params]);
+    return typeof result === 'function' ? result(params) : result;
+  };
+  const client = {
+    chat: {
+      getPermalink: record('getPermalink', {
+        permalink: 'https://example.slack.com/archives/C1/p1',
+      }),
+      postMessage: record('postMessage', (params) => {
+        if (failTicketPost && params.channel === 'CTICKETS') {
+          throw new Error('channel_not_found');
+        }
+        return { channel: params.channel, ts: '9.0' };
+      }),
+      postEphemeral: record('postEphemeral', {}),
+      update: record('update', {}),
+    },
+    conversations: { replies: record('replies', { messages: [] }) },
+  };
+  return { client, calls };
+}
+
+/**
+ * Submits the incident form.
+ * @param {Function} handler - The incident_modal view handler.
+ * @param {object} client - Stub Slack client.
+ * @returns {Promise<void>}
+ */
+function submitIncident(handler, client) {
+  return handler({
+    ack: async () => {},
+    body: { user: { id: 'U1' } },
+    view: {
+      private_metadata: JSON.stringify({ channel: 'C1', threadTs: '1.0' }),
+      state: {
+        values: {
+          incident_title_block: {
+            incident_title: { value: 'Checkout API returning 502s' },
+          },
+          incident_severity_block: {
+            incident_severity: { selected_option: { value: 'sev2' } },
+          },
+          incident_service_block: { incident_service: { value: 'checkout' } },
+          incident_impact_block: {
+            incident_impact: { value: 'Customers cannot pay' },
+          },
+        },
+      },
+    },
+    client,
+    logger,
+  });
+}
+
+/**
+ * Runs a test against a fresh incident store file.
+ * @param {(config: object) => Promise<void>} run
+ * @param {object} [overrides] - Extra config.
+ * @returns {Promise<void>}
+ */
+async function withConfig(run, overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'incident-handlers-'));
+  try {
+    await run({
+      ticketingChannelId: 'CTICKETS',
+      ticketTracker: 'none',
+      incidentStorePath: path.join(dir, 'incidents.json'),
+      ...overrides,
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('an incident that could not be posted is not kept', () =>
+  withConfig(async (config) => {
+    const { app, handlers } = createStubApp();
+    registerIncidentHandlers(app, config);
+    const { client, calls } = createStubClient({ failTicketPost: true });
+
+    await submitIncident(handlers.incident_modal, client);
+
+    assert.deepStrictEqual(await createIncidentStore(config).list(), []);
+    const ephemeral = calls.find(([method]) => method === 'postEphemeral');
+    assert.match(ephemeral[1].text, /error logging this incident/);
+  }));
+
+test('a posted incident records its ticketing post', () =>
+  withConfig(async (config) => {
+    const { app, handlers } = createStubApp();
+    registerIncidentHandlers(app, config);
+    const { client } = createStubClient();
+
+    await submitIncident(handlers.incident_modal, client);
+
+    const [incident] = await createIncidentStore(config).list();
+    assert.strictEqual(incident.id, 'INC-0001');
+    assert.deepStrictEqual(incident.ticket, { channel: 'CTICKETS', ts: '9.0' });
+  }));
+
+test('a tracker outage keeps the post and records ticket_failed', async () => {
+  // A Jira that is down
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end('{"message":"maintenance"}');
+    });
+  });
+  await new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', resolve);
+  });
+
+  try {
+    await withConfig(
+      async (config) => {
+        const { app, handlers } = createStubApp();
+        registerIncidentHandlers(app, config);
+        const { client, calls } = createStubClient();
+
+        await submitIncident(handlers.incident_modal, client);
+
+        const [incident] = await createIncidentStore(config).list();
+        assert.deepStrictEqual(incident.ticket, {
+          channel: 'CTICKETS',
+          ts: '9.0',
+        });
+        assert.strictEqual(incident.trackerIssue, undefined);
+        assert.deepStrictEqual(
+          incident.activity.map(({ action, text }) => [action, text]),
+          [
+            ['logged', undefined],
+            ['ticket_failed', 'Jira'],
+          ]
+        );
+        // The post is rebuilt with the failure, not removed
+        const update = calls.find(([method]) => method === 'update');
+        assert.strictEqual(update[1].ts, '9.0');
+        assert.ok(!calls.some(([method]) => method === 'postEphemeral'));
+      },
+      {
+        ticketTracker: 'jira',
+        ticketTrackerBaseUrl: `http://127.0.0.1:${server.address().port}`,
+        ticketTrackerProject: 'OPS',
+        ticketTrackerToken: 'secret',
+      }
+    );
+  } finally {
+    server.close();
+  }
+});
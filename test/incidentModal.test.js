@@ -0,0 +1,111 @@
+/**
+ * The drafted incident summary fills in a form nobody has typed in yet, and is
+ * otherwise offered next to the form and only copied into it when asked.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  buildIncidentModal,
+  buildIncidentModalAfterTyping,
+  buildIncidentModalWithSuggestion,
+} = require('../src/slack/blocks');
+
+const METADATA = { channel: 'C1', threadTs: '1.0', messageTs: '2.0' };
+const SUGGESTION = {
+  title: 'Checkout API returning 502s',
+  summary: 'Symptoms: 502s on checkout',
+};
+const blockIds = (view) => view.blocks.map((block) => block.block_id);
+
+test('the suggestion keeps the form fields as they are', () => {
+  const pending = buildIncidentModal({ question: 'Why 502?' }, METADATA, {
+    summaryPending: true,
+  });
+  const suggested = buildIncidentModal({ question: 'Why 502?' }, METADATA, {
+    suggestion: SUGGESTION,
+  });
+
+  // Same block IDs, so Slack keeps whatever was typed while drafting
+  const fields = (view) =>
+    view.blocks.filter((block) => block.type === 'input');
+  assert.deepStrictEqual(
+    blockIds({ blocks: fields(suggested) }),
+    blockIds({ blocks: fields(pending) })
+  );
+  assert.ok(blockIds(suggested).includes('incident_suggestion_block'));
+  assert.deepStrictEqual(
+    JSON.parse(suggested.private_metadata).suggestion,
+    SUGGESTION
+  );
+});
+
+test('"Use suggestion" fills in the title and summary only', () => {
+  const view = buildIncidentModal({ question: 'Why 502?' }, METADATA, {
+    suggestion: SUGGESTION,
+  });
+  const filled = buildIncidentModalWithSuggestion(view);
+
+  const byId = Object.fromEntries(
+    filled.blocks.map((block) => [block.block_id, block])
+  );
+  assert.strictEqual(
+    byId.incident_title_block_suggested.element.initial_value,
+    SUGGESTION.title
+  );
+  assert.strictEqual(
+    byId.incident_summary_block_suggested.element.initial_value,
+    SUGGESTION.summary
+  );
+  assert.ok(byId.incident_impact_block);
+  assert.ok(
+    !blockIds(filled).some((id) => (id || '').startsWith('incident_suggestion'))
+  );
+  assert.deepStrictEqual(JSON.parse(filled.private_metadata), METADATA);
+});
+
+test('a long drafted summary is cut to fit private_metadata', () => {
+  // Quotes and newlines double in JSON
+  const summary = '"a"\n'.repeat(1000);
+  const view = buildIncidentModal({ question: 'Why 502?' }, METADATA, {
+    suggestion: { title: SUGGESTION.title, summary },
+  });
+
+  assert.ok(view.private_metadata.length <= 3000);
+  const stored = JSON.parse(view.private_metadata).suggestion;
+  assert.ok(summary.startsWith(stored.summary));
+  assert.ok(stored.summary.length > 1000 && stored.summary.length < 2000);
+  assert.strictEqual(stored.title, SUGGESTION.title);
+});
+
+test('typing in the title or summary is noticed only while drafting', () => {
+  const dispatching = (view) =>
+    view.blocks
+      .filter((block) => block.dispatch_action)
+      .map((block) => block.block_id);
+  const pending = buildIncidentModal({ question: 'Why 502?' }, METADATA, {
+    summaryPending: true,
+  });
+  assert.deepStrictEqual(dispatching(pending), [
+    'incident_title_block',
+    'incident_summary_block',
+  ]);
+  assert.deepStrictEqual(
+    dispatching(
+      buildIncidentModal({ question: 'Why 502?' }, METADATA, {
+        suggestion: SUGGESTION,
+      })
+    ),
+    []
+  );
+
+  // Typed in: same fields, so Slack keeps the text, but no more actions
+  const typed = buildIncidentModalAfterTyping(pending);
+  assert.deepStrictEqual(blockIds(typed), blockIds(pending));
+  assert.deepStrictEqual(dispatching(typed), []);
+  assert.ok(
+    !typed.blocks.some(
+      (block) => block.element && block.element.dispatch_action_config
+    )
+  );
+  assert.strictEqual(typed.private_metadata, pending.private_metadata);
+});
@@ -0,0 +1,41 @@
+/**
+ * Incidents created at the same time must each get their own ID and all be
+ * kept.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIncidentStore } = require('../src/incidents/store');
+
+test('concurrent creates keep every incident with a unique ID', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'incident-store-'));
+  const config = { incidentStorePath: path.join(dir, 'incidents.json') };
+
+  try {
+    // Two store instances over the same file, as after a restart mid-request
+    const stores = [createIncidentStore(config), createIncidentStore(config)];
+    const created = await Promise.all(
+      Array.from({ length: 10 }, (_, index) =>
+        stores[index % 2].create({ title: `Incident ${index}` }, 'U1')
+      )
+    );
+
+    const ids = created.map((incident) => incident.id);
+    assert.strictEqual(new Set(ids).size, 10);
+    const stored = await stores[0].list();
+    assert.strictEqual(stored.length, 10);
+
+    await Promise.all(
+      ids.map((id) =>
+        stores[1].update(id, (incident) => {
+          incident.status = 'resolved';
+        })
+      )
+    );
+    assert.deepStrictEqual(await stores[0].list({ status: ['open'] }), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
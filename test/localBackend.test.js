@@ -0,0 +1,67 @@
+/**
+ * End-to-end check of the local backend: ingest a runbook directory into the
+ * on-disk vector store, then retrieve from it, without GCP access.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createIngestionStages,
+  runIngestion,
+} = require('../src/ingestion/pipeline');
+const { createLocalRetriever } = require('../src/rag/local');
+
+const RUNBOOKS = {
+  'redis.md':
+    '# Redis failover\n\n1. Check replication lag with `redis-cli info replication`.\n2. Promote the replica with `REPLICAOF NO ONE`.',
+  'payments/kafka.md':
+    '# Kafka consumer lag\n\nRestart the orders-consumer pods and lower max.poll.records to 100.',
+};
+
+test('local ingestion round trip: ingest, retrieve and re-run incrementally', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-backend-'));
+  const runbooksDir = path.join(dir, 'runbooks');
+  Object.entries(RUNBOOKS).forEach(([name, text]) => {
+    fs.mkdirSync(path.dirname(path.join(runbooksDir, name)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(runbooksDir, name), text);
+  });
+  const config = {
+    ingestionSource: 'local',
+    ragBackend: 'local',
+    localRunbooksDir: runbooksDir,
+    localVectorStorePath: path.join(dir, 'vector-store.json'),
+    ingestionManifestPath: path.join(dir, 'ingestion-manifest.json'),
+  };
+
+  try {
+    const summary = await runIngestion(await createIngestionStages(config));
+    assert.strictEqual(summary.filesAdded, 2);
+    assert.strictEqual(summary.chunksUpserted, 2);
+
+    const retriever = await createLocalRetriever(config, {
+      k: 2,
+      minScore: 0.2,
+    });
+    const [best] = await retriever.retrieve(
+      'how do I promote the redis replica'
+    );
+    assert.strictEqual(best.metadata.name, 'redis.md');
+    assert.ok(best.pageContent.includes('REPLICAOF NO ONE'));
+
+    const [kafka] = await retriever.retrieve('consumer lag', {
+      filter: { folder: 'payments' },
+    });
+    assert.strictEqual(kafka.metadata.name, 'kafka.md');
+    assert.strictEqual(kafka.metadata.folderPath, 'payments');
+
+    const rerun = await runIngestion(await createIngestionStages(config));
+    assert.strictEqual(rerun.filesUnchanged, 2);
+    assert.strictEqual(rerun.chunksUpserted, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,110 @@
+/**
+ * The OpenAI-compatible provider against a local mock server: the request it
+ * sends and how it reads the reply.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
+const { createLlmClient } = require('../src/rag/llmProviders');
+
+let server;
+let baseUrl;
+let requests = [];
+let reply = { status: 200, body: {} };
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: JSON.parse(body),
+      });
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+  await new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+});
+
+after(() => server.close());
+
+/**
+ * Creates the provider's client pointed at the mock server.
+ * @param {object} [overrides] - Extra config.
+ */
+function createClient(overrides = {}) {
+  requests = [];
+  return createLlmClient({
+    llmProvider: 'openai',
+    openaiCompatBaseUrl: baseUrl,
+    openaiCompatModel: 'llama3.1',
+    ...overrides,
+  });
+}
+
+test('sends an OpenAI chat completions request and returns the reply', async () => {
+  reply = {
+    status: 200,
+    body: {
+      choices: [{ message: { role: 'assistant', content: 'Restart it.' } }],
+    },
+  };
+  const llm = createClient({ openaiCompatApiKey: 'secret' });
+
+  const result = await llm.invoke([
+    new SystemMessage('You help on-call engineers.'),
+    new HumanMessage('Consumer lag is growing.'),
+  ]);
+
+  assert.strictEqual(result.content, 'Restart it.');
+  assert.strictEqual(requests.length, 1);
+  const [request] = requests;
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.url, '/v1/chat/completions');
+  assert.strictEqual(request.headers.authorization, 'Bearer secret');
+  assert.deepStrictEqual(request.body, {
+    model: 'llama3.1',
+    temperature: 0.1,
+    max_tokens: 800,
+    messages: [
+      { role: 'system', content: 'You help on-call engineers.' },
+      { role: 'user', content: 'Consumer lag is growing.' },
+    ],
+  });
+});
+
+test('applies LLM_TEMPERATURE and LLM_MAX_OUTPUT_TOKENS and omits the key when unset', async () => {
+  reply = { status: 200, body: { choices: [{ message: { content: 'ok' } }] } };
+  const llm = createClient({ llmTemperature: '0.7', llmMaxOutputTokens: '64' });
+
+  await llm.invoke('hello');
+
+  const [request] = requests;
+  assert.strictEqual(request.headers.authorization, undefined);
+  assert.strictEqual(request.body.temperature, 0.7);
+  assert.strictEqual(request.body.max_tokens, 64);
+});
+
+test('reports error responses with their status and body', async () => {
+  reply = { status: 503, body: { error: 'model is loading' } };
+  const llm = createClient();
+
+  await assert.rejects(llm.invoke('hello'), /returned 503: .*model is loading/);
+});
+
+test('requires a base URL and model', () => {
+  assert.throws(
+    () => createLlmClient({ llmProvider: 'openai' }),
+    /openaiCompatBaseUrl, openaiCompatModel/
+  );
+});
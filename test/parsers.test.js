@@ -0,0 +1,114 @@
+/**
+ * Sheets, Slides and HTML runbooks become text segments the splitter can cut
+ * along their sheets, slides and headings.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createParserRegistry } = require('../src/ingestion/parsers');
+
+const registry = createParserRegistry();
+const parse = (mimeType, data) =>
+  registry.get(mimeType).parse(data, { name: 'runbook' });
+
+/**
+ * A Slides API shape with the given text.
+ * @param {string} content - Text of the shape.
+ * @returns {object}
+ */
+const shape = (content) => ({
+  shape: { text: { textElements: [{ textRun: { content } }] } },
+});
+
+test('each sheet becomes a section of column: value records', async () => {
+  const segments = await parse('application/vnd.google-apps.spreadsheet', {
+    sheets: [
+      {
+        title: 'Escalation',
+        values: [
+          ['Service', 'Owner', ''],
+          ['checkout', 'payments-oncall', 'page first'],
+          ['', '', ''],
+          ['search', '  '],
+        ],
+      },
+      { title: 'Empty', values: [['Service', 'Owner']] },
+    ],
+  });
+
+  assert.deepStrictEqual(segments, [
+    {
+      text: '# Escalation\n\nService: checkout\nOwner: payments-oncall\nColumn 3: page first\n\nService: search',
+      format: 'markdown',
+      metadata: { sheet: 'Escalation' },
+    },
+  ]);
+});
+
+test('each slide becomes a page with its tables and speaker notes', async () => {
+  const segments = await parse('application/vnd.google-apps.presentation', {
+    slides: [
+      {
+        pageElements: [
+          shape('Failover\n'),
+          {
+            elementGroup: { children: [shape('Promote the replica')] },
+          },
+          {
+            table: {
+              tableRows: [
+                {
+                  tableCells: [
+                    { text: { textElements: [{ textRun: { content: 'A' } }] } },
+                    { text: { textElements: [{ textRun: { content: 'B' } }] } },
+                  ],
+                },
+              ],
+            },
+          },
+        ],
+        slideProperties: {
+          notesPage: { pageElements: [shape('Check lag first')] },
+        },
+      },
+      { pageElements: [{ image: {} }] },
+      { pageElements: [shape('Rollback')] },
+    ],
+  });
+
+  assert.deepStrictEqual(segments, [
+    {
+      text: 'Failover\n\nPromote the replica\n\nA | B\n\nSpeaker notes:\nCheck lag first',
+      format: 'text',
+      metadata: { page: 1 },
+    },
+    { text: 'Rollback', format: 'text', metadata: { page: 3 } },
+  ]);
+});
+
+test('HTML is converted to Markdown without scripts or navigation', async () => {
+  const [segment] = await parse(
+    'text/html',
+    '<html><head><title>x</title></head><body><nav>Home</nav><h1>Failover</h1><ol><li>Promote</li></ol><script>alert(1)</script></body></html>'
+  );
+
+  assert.strictEqual(segment.format, 'markdown');
+  assert.strictEqual(segment.text, '# Failover\n\n1.  Promote');
+});
+
+test('parsers are looked up by MIME type and file extension', () => {
+  assert.strictEqual(
+    registry.get('application/vnd.google-apps.document').exportMimeType,
+    'text/markdown'
+  );
+  assert.strictEqual(registry.mimeTypeForExtension('.HTM'), 'text/html');
+  assert.strictEqual(registry.mimeTypeForExtension('.xlsx'), undefined);
+
+  const custom = createParserRegistry({
+    'text/csv': { parse: async (data) => [{ text: data, format: 'text' }] },
+  });
+  assert.strictEqual(custom.get('text/csv').responseType, 'text');
+  assert.throws(
+    () => custom.register('text/csv', {}),
+    /Parser for text\/csv must have a parse function/
+  );
+});
@@ -0,0 +1,141 @@
+/**
+ * The "working on it" placeholder: updated in place per stage, with the
+ * streamed draft throttled, and replaced by the final answer.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createProgressMessage } = require('../src/slack/progress');
+
+const logger = { warn() {} };
+const LOCATION = { channel: 'C1', threadTs: '1.0' };
+// Lets queued chat.update calls run
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * A Slack client that records chat calls. `failPost` fails posting the
+ * placeholder, `failUpdate` every update.
+ * @param {{failPost?: boolean, failUpdate?: boolean}} [options]
+ * @returns {{client: object, calls: Array<[string, object]>}}
+ */
+function createStubClient({ failPost = false, failUpdate = false } = {}) {
+  const calls = [];
+  const client = {
+    chat: {
+      postMessage: async (params) => {
+        calls.push(['postMessage', params]);
+        if (failPost && !params.blocks) {
+          throw new Error('not_in_channel');
+        }
+        return { ts: '2.0' };
+      },
+      update: async (params) => {
+        calls.push(['update', params]);
+        if (failUpdate) {
+          throw new Error('message_not_found');
+        }
+        return {};
+      },
+    },
+  };
+  return { client, calls };
+}
+
+test('the placeholder is updated per stage and replaced by the answer', async () => {
+  const { client, calls } = createStubClient();
+  const progress = await createProgressMessage(client, LOCATION, logger);
+
+  await progress.stage('retrieving'); // Already shown by the placeholder
+  await progress.stage('drafting');
+  await progress.stage('drafting');
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: 'Done' } }];
+  await progress.finish('Done', blocks);
+  await progress.stage('retrieving');
+
+  assert.deepStrictEqual(calls, [
+    [
+      'postMessage',
+      { channel: 'C1', text: '🔎 Searching runbooks…', thread_ts: '1.0' },
+    ],
+    [
+      'update',
+      { channel: 'C1', ts: '2.0', text: '✍️ Drafting an answer…', blocks: [] },
+    ],
+    ['update', { channel: 'C1', ts: '2.0', text: 'Done', blocks }],
+  ]);
+});
+
+test('the streamed draft is shown at most every 1.5 seconds', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const { client, calls } = createStubClient();
+  const progress = await createProgressMessage(client, LOCATION, logger);
+  const drafts = () =>
+    calls
+      .filter(([method]) => method === 'update')
+      .map(([, params]) => params.blocks[0].text.text);
+
+  progress.partial('Promote');
+  progress.partial('Promote the');
+  t.mock.timers.tick(0);
+  progress.partial('Promote the replica');
+  t.mock.timers.tick(1499);
+  await settle();
+  assert.deepStrictEqual(drafts(), ['Promote the']);
+
+  t.mock.timers.tick(1);
+  progress.partial('Promote the replica, then');
+  await settle();
+  assert.deepStrictEqual(drafts(), ['Promote the', 'Promote the replica']);
+
+  // Whatever is still pending is dropped once the answer is posted
+  await progress.finish('Done', []);
+  t.mock.timers.tick(1500);
+  assert.strictEqual(calls.length, 4);
+});
+
+test('long drafts show their tail', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const { client, calls } = createStubClient();
+  const progress = await createProgressMessage(client, LOCATION, logger);
+
+  progress.partial(`${'a'.repeat(3000)}end`);
+  t.mock.timers.tick(0);
+  await progress.finish('Done', []);
+
+  const [, draft] = calls[1];
+  assert.strictEqual(draft.blocks[0].text.text.length, 2901);
+  assert.match(draft.blocks[0].text.text, /^…a+end$/);
+});
+
+test('the answer is posted as a new message when the placeholder is gone', async () => {
+  const failedPost = createStubClient({ failPost: true });
+  const withoutPlaceholder = await createProgressMessage(
+    failedPost.client,
+    LOCATION,
+    logger
+  );
+  withoutPlaceholder.partial('Promote');
+  await withoutPlaceholder.finish('Done', []);
+
+  assert.deepStrictEqual(failedPost.calls[1], [
+    'postMessage',
+    { channel: 'C1', text: 'Done', blocks: [], thread_ts: '1.0' },
+  ]);
+
+  const failedUpdate = createStubClient({ failUpdate: true });
+  const deleted = await createProgressMessage(
+    failedUpdate.client,
+    { channel: 'D1' },
+    logger
+  );
+  await deleted.finish('Done', []);
+
+  assert.deepStrictEqual(
+    failedUpdate.calls.map(([method]) => method),
+    ['postMessage', 'update', 'postMessage']
+  );
+  assert.deepStrictEqual(failedUpdate.calls[2][1], {
+    channel: 'D1',
+    text: 'Done',
+    blocks: [],
+  });
+});
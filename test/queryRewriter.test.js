@@ -0,0 +1,81 @@
+/**
+ * Query rewriting with the fake LLM provider: what the model is asked and how
+ * its reply becomes a search query with alternative phrasings.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// The bot's settings, without GCP: the local backend and the fake model
+Object.assign(process.env, {
+  RAG_BACKEND: 'local',
+  LLM_PROVIDER: 'fake',
+  QUERY_REWRITE: 'true',
+  QUERY_REWRITE_VARIANTS: '2',
+  SLACK_BOT_TOKEN: 'xoxb-test',
+  SLACK_SIGNING_SECRET: 'test',
+  TICKET_CHANNEL_ID: 'CTICKETS',
+  TICKETING_CHANNEL_ID: 'CTICKETS',
+  GOOGLE_DRIVE_FOLDER_ID: 'folder',
+  PERSONALITY_USER_ID: 'U1',
+});
+const { getConfig } = require('../src/config');
+const { getLlmClient } = require('../src/rag/generator');
+const { rewriteQuery } = require('../src/rag/queryRewriter');
+
+const HISTORY = `@ann: ${'x'.repeat(5000)}\n@ann: How do I fail over Redis in prod?`;
+
+test('the follow-up becomes a standalone query with variants', async (t) => {
+  const llm = await getLlmClient();
+  const prompts = [];
+  t.mock.method(llm, '_call', async (messages) => {
+    prompts.push(messages[0].content);
+    return [
+      '1. "Redis failover on staging"',
+      '- redis replica promotion staging',
+      '• Redis failover on staging',
+      '* promote the redis replica',
+      '- restart redis',
+    ].join('\n');
+  });
+
+  const result = await rewriteQuery('what about staging?', HISTORY);
+
+  assert.deepStrictEqual(result, {
+    query: 'Redis failover on staging',
+    variants: ['redis replica promotion staging', 'promote the redis replica'],
+    rewritten: true,
+  });
+  const [prompt] = prompts;
+  assert.match(prompt, /Latest question: what about staging\?$/);
+  assert.match(prompt, /add 2 alternative phrasings of it/);
+  // Only the end of a long conversation is sent
+  assert.match(prompt, /@ann: How do I fail over Redis in prod\?/);
+  assert.ok(!prompt.includes('x'.repeat(4001)));
+});
+
+test('an empty reply is an error so the question is searched instead', async (t) => {
+  const llm = await getLlmClient();
+  t.mock.method(llm, '_call', async () => '\n  - \n""');
+
+  await assert.rejects(
+    rewriteQuery('what about staging?', HISTORY),
+    /LLM returned no search query/
+  );
+});
+
+test('the question is searched as it is when rewriting is off', async (t) => {
+  const config = await getConfig();
+  config.queryRewrite = 'false';
+  t.after(() => {
+    config.queryRewrite = 'true';
+  });
+  const llm = await getLlmClient();
+  const call = t.mock.method(llm, '_call', async () => 'unused');
+
+  assert.deepStrictEqual(await rewriteQuery('what about staging?', HISTORY), {
+    query: 'what about staging?',
+    variants: [],
+    rewritten: false,
+  });
+  assert.strictEqual(call.mock.callCount(), 0);
+});
@@ -0,0 +1,136 @@
+/**
+ * Related incident search: earlier incidents about the same problem are
+ * offered in the form for linking, newest window only, best match first.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  findRelatedIncidents,
+  relatedIncidentOptions,
+} = require('../src/incidents/related');
+const { buildIncidentModal } = require('../src/slack/blocks');
+
+const NOW = new Date('2026-03-31T12:00:00.000Z');
+
+const incident = (id, title, service, createdAt, extra = {}) => ({
+  id,
+  title,
+  service,
+  status: 'open',
+  createdAt,
+  ...extra,
+});
+
+const CANDIDATES = [
+  incident(
+    'INC-0001',
+    'Checkout API returning 502 errors',
+    'checkout',
+    '2026-03-30T09:00:00.000Z',
+    { status: 'acknowledged' }
+  ),
+  incident(
+    'INC-0002',
+    'Search index rebuild stuck',
+    'search',
+    '2026-03-29T09:00:00.000Z'
+  ),
+  incident(
+    'INC-0003',
+    'Checkout API returning 502 errors',
+    'checkout',
+    '2026-01-02T09:00:00.000Z'
+  ),
+  incident(
+    'INC-0004',
+    'Checkout payments returning errors',
+    'checkout',
+    '2026-03-28T09:00:00.000Z',
+    {
+      summary:
+        'Symptoms: 502 errors from the checkout API\nSuspected cause: Unknown',
+    }
+  ),
+];
+
+test('the same problem is found within the window, best match first', () => {
+  const related = findRelatedIncidents(
+    { title: 'Checkout API 502 errors', service: 'checkout' },
+    CANDIDATES,
+    { now: NOW }
+  );
+
+  assert.deepStrictEqual(
+    related.map((match) => match.incident.id),
+    ['INC-0001', 'INC-0004']
+  );
+  assert.ok(related[0].score > related[1].score);
+  assert.ok(related.every((match) => match.score >= 0.3));
+});
+
+test('an incident is not related to itself and limits apply', () => {
+  const related = findRelatedIncidents(CANDIDATES[0], CANDIDATES, {
+    now: NOW,
+    windowDays: 120,
+    limit: 1,
+  });
+
+  assert.deepStrictEqual(
+    related.map((match) => match.incident.id),
+    ['INC-0003']
+  );
+  assert.deepStrictEqual(findRelatedIncidents({}, CANDIDATES), []);
+  assert.deepStrictEqual(
+    findRelatedIncidents(CANDIDATES[0], CANDIDATES, {
+      now: NOW,
+      minScore: 1.1,
+    }),
+    []
+  );
+});
+
+test('the options come from the configuration', () => {
+  assert.deepStrictEqual(relatedIncidentOptions({}), {
+    minScore: 0.3,
+    windowDays: 30,
+  });
+  assert.deepStrictEqual(
+    relatedIncidentOptions({
+      relatedIncidentMinScore: '0.5',
+      relatedIncidentWindowDays: '7',
+    }),
+    { minScore: 0.5, windowDays: 7 }
+  );
+});
+
+test('the form offers to link the thread to each match', () => {
+  const relatedIncidents = findRelatedIncidents(
+    { title: 'Checkout API 502 errors', service: 'checkout' },
+    CANDIDATES,
+    { now: NOW }
+  );
+  const view = buildIncidentModal(
+    { question: 'Why 502?' },
+    { channel: 'C1', threadTs: '1.0' },
+    { relatedIncidents }
+  );
+
+  const links = view.blocks.filter(
+    (block) =>
+      block.accessory && block.accessory.action_id === 'incident_link_button'
+  );
+  assert.deepStrictEqual(
+    links.map((block) => block.accessory.value),
+    ['INC-0001', 'INC-0004']
+  );
+  assert.match(
+    links[0].text.text,
+    /^\*INC-0001\*: Checkout API returning 502 errors\n🟡 Acknowledged · checkout · logged <!date\^\d+\^\{date_short_pretty\}\|2026-03-30T09:00:00\.000Z>$/
+  );
+
+  const unrelated = buildIncidentModal(
+    { question: 'Why 502?' },
+    { channel: 'C1', threadTs: '1.0' }
+  );
+  assert.ok(!JSON.stringify(unrelated.blocks).includes('incident_link_button'));
+});
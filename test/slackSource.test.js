@@ -0,0 +1,175 @@
+/**
+ * Past Slack threads as an ingestion source, against a stub Slack client:
+ * which threads count as resolved, and how they enter and leave the index.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createIngestionStages,
+  runIngestion,
+} = require('../src/ingestion/pipeline');
+const {
+  combineSources,
+  createLocalSource,
+  createSlackSource,
+} = require('../src/ingestion/sources');
+const {
+  anonymizeThread,
+  isResolvedThread,
+} = require('../src/ingestion/slackThreads');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * A Slack client serving one channel (C1) from a list of threads.
+ * @param {Array<Array<object>>} threads - Thread messages, opening message first.
+ * @returns {object}
+ */
+function createStubClient(threads) {
+  return {
+    conversations: {
+      history: async ({ channel, oldest }) => ({
+        messages:
+          channel === 'C1'
+            ? threads
+                .filter(([opening]) => Number(opening.ts) > Number(oldest))
+                .map(([opening, ...replies]) => ({
+                  ...opening,
+                  reply_count: replies.length,
+                  latest_reply: replies[replies.length - 1].ts,
+                }))
+            : [],
+      }),
+      replies: async ({ ts }) => ({
+        messages: threads.find(([opening]) => opening.ts === ts),
+      }),
+      info: async () => ({ channel: { name: 'support' } }),
+    },
+    chat: {
+      getPermalink: async ({ message_ts: ts }) => ({
+        permalink: `https://example.slack.com/archives/C1/p${ts}`,
+      }),
+    },
+  };
+}
+
+test('only the asker closing the thread without doubts resolves it', () => {
+  const question = { user: 'U1', ts: '1.0', text: 'Kafka consumer lag again' };
+  const reply = (user, text) => [question, { user, ts: '2.0', text }];
+
+  assert.strictEqual(isResolvedThread(reply('U1', 'fixed, thanks!')), true);
+  assert.strictEqual(
+    isResolvedThread(reply('U1', 'thanks, still broken')),
+    false
+  );
+  assert.strictEqual(isResolvedThread(reply('U1', 'thanks, why?')), false);
+  assert.strictEqual(
+    isResolvedThread(reply('U1', 'thanks, will try that tomorrow')),
+    false
+  );
+  assert.strictEqual(isResolvedThread(reply('U1', 'thanks, looking')), false);
+  assert.strictEqual(isResolvedThread(reply('U1', 'thx, that worked')), true);
+  assert.strictEqual(isResolvedThread(reply('U2', 'thanks, looking')), false);
+  assert.strictEqual(
+    isResolvedThread([
+      question,
+      {
+        user: 'U2',
+        ts: '2.0',
+        text: 'Restart it',
+        reactions: [{ name: 'white_check_mark' }],
+      },
+    ]),
+    true
+  );
+});
+
+test('mention labels never reach the index', async () => {
+  const messages = await anonymizeThread(
+    [
+      { user: 'U1', ts: '1.0', text: 'Orders consumer is lagging' },
+      {
+        user: 'U2',
+        ts: '2.0',
+        text: 'Ask <@U3|jane.doe> in <#C9|team-jane-private>, or mail jane@example.com',
+      },
+    ],
+    async () => 'payments'
+  );
+
+  assert.deepStrictEqual(
+    messages.map(({ author, text }) => `${author}: ${text}`),
+    [
+      '@Person 1: Orders consumer is lagging',
+      '@Person 2: Ask @Person 3 in #payments, or mail [email]',
+    ]
+  );
+});
+
+test('unresolved threads are rechecked and aged-out threads are kept', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-source-'));
+  fs.mkdirSync(path.join(dir, 'runbooks'));
+  const config = {
+    ingestionSource: 'local',
+    ragBackend: 'local',
+    localRunbooksDir: path.join(dir, 'runbooks'),
+    localVectorStorePath: path.join(dir, 'vector-store.json'),
+    ingestionManifestPath: path.join(dir, 'ingestion-manifest.json'),
+  };
+  const started = Math.floor(Date.now() / 1000) - 10 * DAY_SECONDS;
+  const thread = [
+    { user: 'U1', ts: `${started}.000100`, text: 'Orders consumer is lagging' },
+    {
+      user: 'U2',
+      ts: `${started + 60}.000100`,
+      text: 'Lower max.poll.records to 100 and restart the pods',
+    },
+    {
+      user: 'U1',
+      ts: `${started + 120}.000100`,
+      text: 'thanks, still lagging',
+    },
+  ];
+  const client = createStubClient([thread]);
+
+  const run = async (slackSettings) => {
+    const slackConfig = {
+      ...config,
+      slackHistoryDays: '30',
+      slackHistoryChannelIds: 'C1',
+      ...slackSettings,
+    };
+    const stages = await createIngestionStages(config);
+    stages.source = combineSources([
+      createLocalSource(config),
+      createSlackSource(slackConfig, { client }),
+    ]);
+    return runIngestion(stages);
+  };
+
+  try {
+    const unresolved = await run();
+    assert.strictEqual(unresolved.filesAdded, 0);
+
+    // A reaction doesn't change the latest reply, but the thread is rechecked
+    thread[1].reactions = [{ name: 'white_check_mark' }];
+    const resolved = await run();
+    assert.strictEqual(resolved.filesAdded, 1);
+    assert.strictEqual(resolved.chunksUpserted, 1);
+
+    // Out of the window now: kept, not deleted
+    const agedOut = await run({ slackHistoryDays: '5' });
+    assert.strictEqual(agedOut.filesDeleted, 0);
+    assert.strictEqual(agedOut.chunksRemoved, 0);
+
+    // The channel is no longer ingested: its threads go
+    const dropped = await run({ slackHistoryChannelIds: 'C2' });
+    assert.strictEqual(dropped.filesDeleted, 1);
+    assert.strictEqual(dropped.chunksRemoved, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
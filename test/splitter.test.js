@@ -0,0 +1,126 @@
+/**
+ * Structure-aware chunking: chunks follow the Markdown headings and carry
+ * their section, numbered step lists stay whole where they can, and PDF page
+ * numbers are kept.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { splitText } = require('../src/ingestion/splitter');
+
+const FILE = { id: 'file-db', name: 'DB Failover', folderPath: 'payments/db' };
+
+// A numbered step of about 100 characters
+const step = (number) =>
+  `${number}. Run step ${number} of the failover and check the replica before going on.`.padEnd(
+    100,
+    '.'
+  );
+
+test('each chunk belongs to one section and starts with its breadcrumb', async () => {
+  const markdown = [
+    '# **Failover**',
+    'Use this when the primary is down.',
+    '## Promote replica',
+    '```sh',
+    '# not a heading',
+    'pg_ctl promote',
+    '```',
+    '# Rollback',
+    'Point the app back at the old primary.',
+  ].join('\n');
+
+  const documents = await splitText(
+    [{ text: markdown, format: 'markdown', metadata: {} }],
+    FILE
+  );
+
+  assert.deepStrictEqual(
+    documents.map((document) => [
+      document.metadata.id,
+      document.metadata.section,
+      document.pageContent,
+    ]),
+    [
+      [
+        'file-db_chunk_0',
+        'Failover',
+        'Section: Failover\n\nUse this when the primary is down.',
+      ],
+      [
+        'file-db_chunk_1',
+        'Failover > Promote replica',
+        'Section: Failover > Promote replica\n\n```sh\n# not a heading\npg_ctl promote\n```',
+      ],
+      [
+        'file-db_chunk_2',
+        'Rollback',
+        'Section: Rollback\n\nPoint the app back at the old primary.',
+      ],
+    ]
+  );
+  assert.strictEqual(documents[0].metadata.folderPath, 'payments/db');
+  assert.strictEqual(documents[0].metadata.source, 'file-db');
+});
+
+test('a numbered list longer than a chunk stays whole', async () => {
+  const steps = Array.from({ length: 15 }, (_, index) => step(index + 1));
+  const markdown = `# Failover\n${steps.join('\n\n')}`;
+
+  const documents = await splitText(
+    [{ text: markdown, format: 'markdown', metadata: {} }],
+    FILE
+  );
+
+  assert.strictEqual(documents.length, 1);
+  assert.ok(documents[0].pageContent.length > 1000);
+  assert.match(documents[0].pageContent, /\n1\. Run step 1 /);
+  assert.match(documents[0].pageContent, /\n15\. Run step 15 /);
+});
+
+test('a list too long to keep whole is cut between steps', async () => {
+  const steps = Array.from({ length: 40 }, (_, index) => step(index + 1));
+
+  const documents = await splitText(
+    [{ text: steps.join('\n'), format: 'text', metadata: {} }],
+    FILE
+  );
+
+  assert.ok(documents.length > 1);
+  documents.forEach((document) => {
+    assert.ok(document.pageContent.length <= 1000);
+    assert.ok(
+      document.pageContent
+        .split('\n')
+        .every((line) => /^\d+\. Run step \d+ of the failover/.test(line))
+    );
+  });
+  assert.strictEqual(
+    documents.map((document) => document.pageContent).join('\n'),
+    steps.join('\n')
+  );
+});
+
+test('PDF pages and Slack conversations keep their segment', async () => {
+  const documents = await splitText(
+    [
+      { text: 'Page one text.', format: 'text', metadata: { page: 1 } },
+      { text: 'Page two text.', format: 'text', metadata: { page: 2 } },
+      {
+        text: 'Q: Is checkout down?\n\nA: Restart the consumer.',
+        format: 'conversation',
+        metadata: {},
+      },
+    ],
+    FILE
+  );
+
+  assert.deepStrictEqual(
+    documents.map((document) => [document.pageContent, document.metadata.page]),
+    [
+      ['Page one text.', 1],
+      ['Page two text.', 2],
+      ['Q: Is checkout down?\n\nA: Restart the consumer.', undefined],
+    ]
+  );
+  assert.deepStrictEqual(await splitText('  ', FILE), []);
+});
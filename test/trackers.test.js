@@ -0,0 +1,186 @@
+/**
+ * The Jira and GitHub ticket trackers against a local mock server: the
+ * request each sends, what it returns and how failures surface.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createTicketTracker } = require('../src/incidents/trackers');
+
+let server;
+let baseUrl;
+let requests = [];
+let reply = { status: 200, body: {} };
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: JSON.parse(body),
+      });
+      setTimeout(() => {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply.body));
+      }, reply.delayMs || 0);
+    });
+  });
+  await new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const INCIDENT = {
+  id: 'INC-0042',
+  title: 'Checkout API returning 502s',
+  severity: 'sev2',
+  service: 'checkout',
+  impact: 'Customers cannot pay',
+  permalink: 'https://example.slack.com/archives/C1/p1',
+};
+
+/**
+ * Creates a tracker pointed at the mock server.
+ * @param {object} config - Tracker config.
+ */
+function createTracker(config) {
+  requests = [];
+  return createTicketTracker({
+    ticketTrackerBaseUrl: `${baseUrl}/`,
+    ticketTrackerToken: 'secret',
+    ...config,
+  });
+}
+
+test('files a Jira issue with basic auth and links to it', async () => {
+  reply = { status: 201, body: { id: '10001', key: 'OPS-7' } };
+  const tracker = createTracker({
+    ticketTracker: 'jira',
+    ticketTrackerProject: 'OPS',
+    ticketTrackerEmail: 'bot@example.com',
+    ticketTrackerIssueType: 'Incident',
+  });
+
+  const ticket = await tracker.createTicket(INCIDENT);
+
+  assert.deepStrictEqual(ticket, {
+    key: 'OPS-7',
+    url: `${baseUrl}/browse/OPS-7`,
+  });
+  const [request] = requests;
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.url, '/rest/api/2/issue');
+  assert.strictEqual(
+    request.headers.authorization,
+    `Basic ${Buffer.from('bot@example.com:secret').toString('base64')}`
+  );
+  const { description, ...fields } = request.body.fields;
+  assert.deepStrictEqual(fields, {
+    project: { key: 'OPS' },
+    issuetype: { name: 'Incident' },
+    summary: '[SEV2] Checkout API returning 502s',
+    labels: ['oncall-bot', 'sev2'],
+  });
+  assert.match(description, /Impact:\nCustomers cannot pay/);
+  assert.match(description, /Logged from Slack as INC-0042\./);
+});
+
+test('uses a bearer token for Jira without an email', async () => {
+  reply = { status: 201, body: { key: 'OPS-8' } };
+  const tracker = createTracker({
+    ticketTracker: 'jira',
+    ticketTrackerProject: 'OPS',
+  });
+
+  await tracker.createTicket(INCIDENT);
+
+  assert.strictEqual(requests[0].headers.authorization, 'Bearer secret');
+});
+
+test('files a GitHub issue in the configured repository', async () => {
+  reply = {
+    status: 201,
+    body: { number: 12, html_url: 'https://github.com/acme/ops/issues/12' },
+  };
+  const tracker = createTracker({
+    ticketTracker: 'github',
+    ticketTrackerProject: 'acme/ops',
+  });
+
+  const ticket = await tracker.createTicket(INCIDENT);
+
+  assert.deepStrictEqual(ticket, {
+    key: 'acme/ops#12',
+    url: 'https://github.com/acme/ops/issues/12',
+  });
+  const [request] = requests;
+  assert.strictEqual(request.url, '/repos/acme/ops/issues');
+  assert.strictEqual(request.headers.authorization, 'Bearer secret');
+  assert.strictEqual(request.headers.accept, 'application/vnd.github+json');
+  assert.strictEqual(request.body.title, '[SEV2] Checkout API returning 502s');
+  assert.deepStrictEqual(request.body.labels, ['oncall-bot', 'sev2']);
+  assert.match(request.body.body, /Slack thread: https:\/\/example\.slack/);
+});
+
+test('reports error responses with their status and body', async () => {
+  reply = { status: 400, body: { errors: { project: 'project is required' } } };
+  const tracker = createTracker({
+    ticketTracker: 'jira',
+    ticketTrackerProject: 'OPS',
+  });
+
+  await assert.rejects(
+    tracker.createTicket(INCIDENT),
+    /returned 400: .*project is required/
+  );
+});
+
+test('gives up on a tracker that does not answer in time', async () => {
+  reply = { status: 201, body: { key: 'OPS-9' }, delayMs: 500 };
+  const tracker = createTracker({
+    ticketTracker: 'jira',
+    ticketTrackerProject: 'OPS',
+    ticketTrackerTimeoutMs: '50',
+  });
+
+  await assert.rejects(tracker.createTicket(INCIDENT), {
+    name: 'TimeoutError',
+  });
+});
+
+test('falls back to the default timeout when the setting is invalid', async () => {
+  reply = { status: 201, body: { key: 'OPS-10' }, delayMs: 20 };
+  const tracker = createTracker({
+    ticketTracker: 'jira',
+    ticketTrackerProject: 'OPS',
+    ticketTrackerTimeoutMs: 'ten seconds',
+  });
+
+  const ticket = await tracker.createTicket(INCIDENT);
+
+  assert.strictEqual(ticket.key, 'OPS-10');
+});
+
+test('requires the tracker settings', () => {
+  assert.throws(
+    () => createTicketTracker({ ticketTracker: 'github' }),
+    /ticketTrackerProject, ticketTrackerToken/
+  );
+  assert.throws(
+    () => createTicketTracker({ ticketTracker: 'linear' }),
+    /Unsupported TICKET_TRACKER "linear"/
+  );
+  assert.strictEqual(createTicketTracker({ ticketTracker: 'none' }), null);
+});
@@ -0,0 +1,139 @@
+/**
+ * The Vertex AI retriever against stub clients: neighbors come from
+ * findNeighbors on the deployed index, their text from the chunk store.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Document } = require('@langchain/core/documents');
+const { createVertexRetriever } = require('../src/rag/vertex');
+
+const CONFIG = {
+  gcpProjectId: 'project',
+  gcpRegion: 'us-central1',
+  vertexAiIndexId: 'runbooks',
+  vertexAiIndexEndpointId: 'endpoint',
+};
+const ENDPOINT =
+  'projects/project/locations/us-central1/indexEndpoints/endpoint';
+
+const chunk = (id, text, folderPath) =>
+  new Document({
+    pageContent: text,
+    metadata: { id, name: `${id}.md`, folderPath },
+  });
+
+/**
+ * Stub clients over a fixed chunk store. findNeighbors returns every chunk
+ * allowed by the folder restrict, in the order given.
+ * @param {Array<[string, number]>} neighbors - Datapoint IDs and distances.
+ * @returns {{clients: object, requests: Array<object>}}
+ */
+function createStubClients(neighbors) {
+  const requests = [];
+  const chunks = new Map(
+    [
+      chunk('kafka', 'Restart the orders consumer', 'platform'),
+      chunk('payments', 'Fail over the payments DB with pg_ctl', 'payments'),
+    ].map((document) => [document.metadata.id, document])
+  );
+  const clients = {
+    embeddings: { embedQuery: async () => [0.1, 0.2] },
+    endpointClient: {
+      getIndexEndpoint: async ({ name }) => [
+        {
+          name,
+          publicEndpointDomainName: '123.us-central1-456.vdb.vertexai.goog',
+          deployedIndexes: [
+            { id: 'old_runbooks', index: 'projects/1/locations/l/indexes/old' },
+            {
+              id: 'runbooks_v2',
+              index: 'projects/1/locations/l/indexes/runbooks',
+            },
+          ],
+        },
+      ],
+    },
+    matchClient: {
+      findNeighbors: async (request) => {
+        requests.push(request);
+        const [{ datapoint }] = request.queries;
+        const folder = datapoint.restricts.find(
+          (restrict) => restrict.namespace === 'folder'
+        );
+        return [
+          {
+            nearestNeighbors: [
+              {
+                neighbors: neighbors
+                  .filter(
+                    ([id]) =>
+                      !folder ||
+                      !chunks.has(id) ||
+                      folder.allowList.includes(
+                        chunks.get(id).metadata.folderPath
+                      )
+                  )
+                  .map(([id, distance]) => ({
+                    datapoint: { datapointId: id },
+                    distance,
+                  })),
+              },
+            ],
+          },
+        ];
+      },
+    },
+    chunkStore: { location: 'memory', load: async () => chunks },
+  };
+  return { clients, requests };
+}
+
+test('neighbors are looked up in the chunk store', async () => {
+  const { clients, requests } = createStubClients([
+    ['kafka', 0.8],
+    ['gone', 0.7],
+  ]);
+  const retriever = await createVertexRetriever(
+    CONFIG,
+    { k: 2, candidateCount: 5, minScore: 0.2 },
+    clients
+  );
+
+  const results = await retriever.retrieve('orders consumer lag');
+  assert.deepStrictEqual(
+    results.map((document) => document.metadata.id),
+    ['kafka']
+  );
+  assert.strictEqual(results[0].pageContent, 'Restart the orders consumer');
+  assert.deepStrictEqual(requests[0], {
+    indexEndpoint: ENDPOINT,
+    deployedIndexId: 'runbooks_v2',
+    queries: [
+      {
+        datapoint: { featureVector: [0.1, 0.2], restricts: [] },
+        neighborCount: 5,
+      },
+    ],
+  });
+});
+
+test('keyword search covers chunks the vector search missed', async () => {
+  const { clients, requests } = createStubClients([['kafka', 0.3]]);
+  const retriever = await createVertexRetriever(
+    { ...CONFIG, vertexAiDeployedIndexId: 'pinned' },
+    { k: 2, candidateCount: 5, minScore: 0.2 },
+    clients
+  );
+
+  const results = await retriever.retrieve('pg_ctl failover', {
+    filter: { folder: 'payments' },
+  });
+  assert.deepStrictEqual(
+    results.map((document) => document.metadata.id),
+    ['payments']
+  );
+  assert.strictEqual(requests[0].deployedIndexId, 'pinned');
+  assert.deepStrictEqual(requests[0].queries[0].datapoint.restricts, [
+    { namespace: 'folder', allowList: ['payments'] },
+  ]);
+});
@@ -0,0 +1,99 @@
+/**
+ * The Vertex AI sink keeps chunk text and metadata in the chunk store next to
+ * the vectors, for the datapoints that actually made it into the index.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createVertexSink } = require('../src/ingestion/sinks');
+const { createChunkStore } = require('../src/rag/chunkStore');
+
+const chunk = (id, text) => ({
+  id,
+  embedding: [1, 0],
+  pageContent: text,
+  metadata: { name: 'kafka.md', folderPath: 'platform' },
+});
+
+test('upserted chunks are written to the chunk store on flush', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vertex-sink-'));
+  const config = {
+    gcpProjectId: 'project',
+    gcpRegion: 'us-central1',
+    vertexAiIndexId: 'index',
+    chunkStorePath: path.join(dir, 'chunks.json'),
+  };
+  const chunkStore = createChunkStore(config);
+  const upserted = [];
+  const indexClient = {
+    upsertDatapoints: async ({ index, datapoints }) => {
+      assert.strictEqual(
+        index,
+        'projects/project/locations/us-central1/indexes/index'
+      );
+      upserted.push(...datapoints);
+    },
+    removeDatapoints: async () => {},
+  };
+
+  try {
+    const sink = createVertexSink(config, { indexClient, chunkStore });
+    await sink.upsert([
+      chunk('a#0', 'Restart the consumer'),
+      chunk('b#0', 'Lower max.poll.records'),
+    ]);
+    // Nothing is written before flush
+    assert.strictEqual((await chunkStore.load()).size, 0);
+    await sink.flush();
+
+    assert.deepStrictEqual(
+      upserted.map((datapoint) => Object.keys(datapoint).sort()),
+      [
+        ['datapointId', 'featureVector', 'numericRestricts', 'restricts'],
+        ['datapointId', 'featureVector', 'numericRestricts', 'restricts'],
+      ]
+    );
+    const stored = await chunkStore.load();
+    assert.strictEqual(stored.get('a#0').pageContent, 'Restart the consumer');
+    assert.deepStrictEqual(stored.get('a#0').metadata, {
+      name: 'kafka.md',
+      folderPath: 'platform',
+      id: 'a#0',
+    });
+
+    const next = createVertexSink(config, { indexClient, chunkStore });
+    await next.remove(['a#0']);
+    await next.flush();
+    assert.deepStrictEqual([...(await chunkStore.load()).keys()], ['b#0']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('chunks whose upsert failed are not stored', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vertex-sink-'));
+  const config = {
+    gcpProjectId: 'project',
+    gcpRegion: 'us-central1',
+    vertexAiIndexId: 'index',
+    chunkStorePath: path.join(dir, 'chunks.json'),
+  };
+  const chunkStore = createChunkStore(config);
+  const indexClient = {
+    upsertDatapoints: async () => {
+      throw new Error('quota exceeded');
+    },
+  };
+
+  try {
+    const sink = createVertexSink(config, { indexClient, chunkStore });
+    const ids = await sink.upsert([chunk('a#0', 'Restart the consumer')]);
+    await sink.flush();
+    assert.strictEqual(ids.size, 0);
+    assert.strictEqual((await chunkStore.load()).size, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});